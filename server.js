@@ -10,18 +10,40 @@ require('dotenv').config();
 const {
   authRoutes,
   expenseRoutes,
+  expenseImportRoutes,
   incomeRoutes,
   categoryRoutes,
   analyticsRoutes,
   allocationRoutes, // Add allocation routes
+  allocationTemplateRoutes,
+  notificationRoutes,
+  syncRoutes,
+  adminRoutes,
+  auditRoutes,
+  accountRoutes,
 } = require('./src/routes');
 
 // Import middleware
-const { errorHandler } = require('./src/middleware');
+const { errorHandler, createRateLimiters } = require('./src/middleware');
+const { requestContext } = require('./src/utils/requestContext');
+
+// Background jobs (recurring expenses and income)
+const { startScheduler, stopScheduler } = require('./src/jobs/scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// Behind Cloud Run's proxy the client IP comes from X-Forwarded-For. TRUST_PROXY is the
+// number of proxy hops (or any value Express accepts); login protection keys on this IP.
+const trustProxy = process.env.TRUST_PROXY || '1';
+if (/^\d+$/.test(trustProxy)) {
+  app.set('trust proxy', parseInt(trustProxy));
+} else if (trustProxy === 'true' || trustProxy === 'false') {
+  app.set('trust proxy', trustProxy === 'true');
+} else {
+  app.set('trust proxy', trustProxy);
+}
+
 // Security middleware
 app.use(helmet());
 app.use(
@@ -38,18 +60,34 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Compression middleware
 app.use(compression());
 
+// Request context (actor, IP, request id) for the audit log
+app.use(requestContext);
+
 // Logging middleware (development only)
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
 }
 
+// Rate limiting (per user when authenticated, otherwise per IP)
+const rateLimiters = createRateLimiters();
+app.use('/api/auth', rateLimiters.auth);
+app.use('/api/analytics', rateLimiters.analytics);
+app.use('/api', rateLimiters.read, rateLimiters.write);
+
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/expenses/import', expenseImportRoutes);
 app.use('/api/expenses', expenseRoutes);
 app.use('/api/income', incomeRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/allocations', allocationRoutes); // Add allocation routes
+app.use('/api/allocation-templates', allocationTemplateRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/account', accountRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -63,6 +101,12 @@ app.get('/', (req, res) => {
       categories: '/api/categories',
       analytics: '/api/analytics',
       allocations: '/api/allocations', // Add allocations endpoint
+      allocationTemplates: '/api/allocation-templates',
+      notifications: '/api/notifications',
+      sync: '/api/sync',
+      admin: '/api/admin',
+      audit: '/api/audit',
+      account: '/api/account',
     },
   });
 });
@@ -96,6 +140,11 @@ const connectDB = async () => {
 
     console.log(`MongoDB Connected: ${conn.connection.host}`);
     console.log(`Database: ${conn.connection.name}`);
+
+    // Start background jobs once the database is reachable
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      startScheduler();
+    }
   } catch (error) {
     console.error('MongoDB connection error:', error);
     process.exit(1);
@@ -125,6 +174,7 @@ const server = app.listen(PORT, '0.0.0.0', () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopScheduler();
   server.close(() => {
     console.log('Process terminated');
     // Note: Do not call process.exit here; let platform manage restart if needed
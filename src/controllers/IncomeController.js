@@ -1,4 +1,5 @@
 const Income = require("../models/Income");
+const incomeAllocationService = require("../services/incomeAllocationService");
 
 // Create a new income
 exports.createIncome = async (req, res) => {
@@ -11,6 +12,8 @@ exports.createIncome = async (req, res) => {
       category, 
       isRecurring, 
       recurringEndDate, 
+      autoPost,
+      autoAllocate,
       description, 
       tags, 
       notes 
@@ -35,15 +38,24 @@ exports.createIncome = async (req, res) => {
       isRecurring: isRecurring || false,
       recurringFrequency: frequency, // Map frequency to recurringFrequency
       recurringEndDate,
+      recurringAutoPost: autoPost || false, // Post occurrences as records on their due date
       description,
       tags: tags || [],
       notes
     });
 
     const savedIncome = await newIncome.save();
+
+    // This splits the income across the user's allocations when auto-allocation is on
+    let allocations = [];
+    if (await incomeAllocationService.shouldAutoAllocate(savedIncome.userId, autoAllocate)) {
+      allocations = await incomeAllocationService.allocateIncome(savedIncome);
+    }
+
     res.status(201).json({
       message: "Income created successfully",
-      income: savedIncome
+      income: savedIncome,
+      allocations
     });
   } catch (error) {
     console.error("Error creating income:", error);
@@ -213,6 +225,9 @@ exports.updateIncome = async (req, res) => {
       });
     }
 
+    // This keeps an existing allocation split in line with the new amount
+    await incomeAllocationService.reallocateIfAllocated(updated);
+
     res.status(200).json({
       message: "Income updated successfully",
       income: updated
@@ -255,6 +270,9 @@ exports.deleteIncome = async (req, res) => {
       });
     }
 
+    // This removes the income's allocation ledger entries
+    await incomeAllocationService.removeForIncome(deleted._id);
+
     res.status(200).json({ 
       message: "Income deleted successfully",
       deletedIncome: {
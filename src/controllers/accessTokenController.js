@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const personalAccessTokenService = require('../services/personalAccessTokenService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Errors from createToken that are the client's fault
+const VALIDATION_ERRORS = [
+  'Token name is required',
+  'At least one scope is required',
+  'Unknown scopes',
+  'Expiry must be a date in the future',
+  'Token limit reached'
+];
+
+class AccessTokenController {
+  // Personal access tokens of the authenticated user
+  async listTokens(req, res) {
+    try {
+      const tokens = await personalAccessTokenService.listTokens(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Access tokens retrieved successfully',
+        data: {
+          tokens,
+          availableScopes: personalAccessTokenService.SCOPES
+        }
+      });
+
+    } catch (error) {
+      console.error('List access tokens error:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Error retrieving access tokens',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Create a token; the response is the only time the token is shown
+  async createToken(req, res) {
+    try {
+      const { name, scopes, expiresAt, expiresInDays } = req.body;
+
+      let expiry = expiresAt || null;
+      if (!expiry && expiresInDays !== undefined && expiresInDays !== null) {
+        const days = Number(expiresInDays);
+        if (!Number.isFinite(days) || days <= 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'expiresInDays must be a positive number'
+          });
+        }
+        expiry = new Date(Date.now() + days * DAY_MS);
+      }
+
+      const { token, accessToken } = await personalAccessTokenService.createToken(req.user.id, {
+        name,
+        scopes,
+        expiresAt: expiry
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Access token created. Copy it now, it won\'t be shown again.',
+        data: {
+          token,
+          accessToken
+        }
+      });
+
+    } catch (error) {
+      console.error('Create access token error:', error);
+
+      if (VALIDATION_ERRORS.some(message => error.message.includes(message))) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error creating access token',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Revoke a token; requests using it fail right away
+  async revokeToken(req, res) {
+    try {
+      const { tokenId } = req.params;
+
+      const revoked = mongoose.isValidObjectId(tokenId) &&
+        await personalAccessTokenService.revokeToken(req.user.id, tokenId);
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'Access token not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Access token revoked successfully'
+      });
+
+    } catch (error) {
+      console.error('Revoke access token error:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Error revoking access token',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new AccessTokenController();
@@ -0,0 +1,139 @@
+const accountService = require('../services/accountService');
+
+class AccountController {
+  // Download everything tied to the account as a zip archive
+  async exportData(req, res) {
+    try {
+      const date = new Date().toISOString().slice(0, 10);
+
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="expensewise-export-${date}.zip"`,
+        'Cache-Control': 'no-store'
+      });
+
+      await accountService.writeExport(req.user.id, res);
+
+    } catch (error) {
+      console.error('Account export error:', error);
+
+      // Once the archive has started streaming the status can't change anymore
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({
+        success: false,
+        message: 'Error exporting account data',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getDeletionStatus(req, res) {
+    res.json({
+      success: true,
+      message: 'Deletion status retrieved successfully',
+      data: accountService.getDeletionStatus(req.user)
+    });
+  }
+
+  // Schedule deletion after the grace period (needs the password, and a 2FA code when enabled)
+  async requestDeletion(req, res) {
+    try {
+      const { password, code, recoveryCode } = req.body;
+
+      // Accounts without a password confirm with a recent sign-in instead
+      if (!password && req.user.password) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password is required to delete the account',
+          errors: { password: 'Password is required' }
+        });
+      }
+
+      const status = await accountService.requestDeletion(
+        req.user.id,
+        { password, code, recoveryCode },
+        req.sessionId
+      );
+
+      res.status(202).json({
+        success: true,
+        message: 'Account deletion scheduled. Sign in and cancel before the date to keep your account.',
+        data: status
+      });
+
+    } catch (error) {
+      console.error('Request account deletion error:', error);
+
+      if (error.message.includes('Password is incorrect')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password is incorrect',
+          errors: { password: 'The password you entered is wrong' }
+        });
+      }
+
+      if (error.message.includes('Recent sign-in required')) {
+        return res.status(401).json({
+          success: false,
+          message: 'Please sign in again to confirm, then retry within a few minutes',
+          code: 'REAUTHENTICATION_REQUIRED'
+        });
+      }
+
+      if (error.message.includes('Invalid two-factor code')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid two-factor code',
+          errors: { code: 'A valid two-factor code or recovery code is required' }
+        });
+      }
+
+      if (error.message.includes('already scheduled')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error scheduling account deletion',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async cancelDeletion(req, res) {
+    try {
+      const status = await accountService.cancelDeletion(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Account deletion cancelled',
+        data: status
+      });
+
+    } catch (error) {
+      console.error('Cancel account deletion error:', error);
+
+      if (error.message.includes('not scheduled')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error cancelling account deletion',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new AccountController();
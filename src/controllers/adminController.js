@@ -0,0 +1,219 @@
+const adminService = require('../services/adminService');
+const auditService = require('../services/auditService');
+
+// Who is acting, recorded with each admin action
+const getContext = (req) => ({
+  actor: req.user,
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+// Respond to an AdminError (not found, not allowed, invalid state); returns false for other errors
+const handleKnownError = (error, res) => {
+  if (!(error instanceof adminService.AdminError)) return false;
+
+  res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+  return true;
+};
+
+const sendServerError = (res, message, error) => {
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+class AdminController {
+  // Search users by email or name (?q=), role and status (active, disabled)
+  async searchUsers(req, res) {
+    try {
+      const { q, role, status, page, limit } = req.query;
+      const result = await adminService.searchUsers({ q, role, status, page, limit });
+
+      res.json({
+        success: true,
+        message: 'Users retrieved successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Admin search users error:', error);
+      sendServerError(res, 'Error searching users', error);
+    }
+  }
+
+  // Account details and stats. Looking at an account is recorded too.
+  async getUser(req, res) {
+    try {
+      const stats = await adminService.getUserStats(req.params.userId);
+      await adminService.recordAction(getContext(req), 'user.view', stats.user.id);
+
+      res.json({
+        success: true,
+        message: 'User retrieved successfully',
+        data: stats
+      });
+
+    } catch (error) {
+      console.error('Admin get user error:', error);
+      if (handleKnownError(error, res)) return;
+      sendServerError(res, 'Error retrieving user', error);
+    }
+  }
+
+  async disableUser(req, res) {
+    try {
+      const user = await adminService.disableUser(getContext(req), req.params.userId, req.body.reason);
+
+      res.json({
+        success: true,
+        message: 'Account disabled and signed out on all devices',
+        data: { user }
+      });
+
+    } catch (error) {
+      console.error('Admin disable user error:', error);
+      if (handleKnownError(error, res)) return;
+      sendServerError(res, 'Error disabling account', error);
+    }
+  }
+
+  async enableUser(req, res) {
+    try {
+      const user = await adminService.enableUser(getContext(req), req.params.userId, req.body.reason);
+
+      res.json({
+        success: true,
+        message: 'Account re-enabled',
+        data: { user }
+      });
+
+    } catch (error) {
+      console.error('Admin enable user error:', error);
+      if (handleKnownError(error, res)) return;
+      sendServerError(res, 'Error enabling account', error);
+    }
+  }
+
+  async forceLogout(req, res) {
+    try {
+      const result = await adminService.forceLogout(getContext(req), req.params.userId, req.body.reason);
+
+      res.json({
+        success: true,
+        message: 'User signed out on all devices',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Admin force logout error:', error);
+      if (handleKnownError(error, res)) return;
+      sendServerError(res, 'Error signing user out', error);
+    }
+  }
+
+  async resetTwoFactor(req, res) {
+    try {
+      const user = await adminService.resetTwoFactor(getContext(req), req.params.userId, req.body.reason);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication turned off',
+        data: { user }
+      });
+
+    } catch (error) {
+      console.error('Admin reset two-factor error:', error);
+      if (handleKnownError(error, res)) return;
+      sendServerError(res, 'Error resetting two-factor authentication', error);
+    }
+  }
+
+  async unlockLogin(req, res) {
+    try {
+      await adminService.unlockLogin(getContext(req), req.params.userId, req.body.reason);
+
+      res.json({
+        success: true,
+        message: 'Login lockout cleared'
+      });
+
+    } catch (error) {
+      console.error('Admin unlock login error:', error);
+      if (handleKnownError(error, res)) return;
+      sendServerError(res, 'Error clearing login lockout', error);
+    }
+  }
+
+  async setRole(req, res) {
+    try {
+      const { role, reason } = req.body;
+      const user = await adminService.setRole(getContext(req), req.params.userId, role, reason);
+
+      res.json({
+        success: true,
+        message: 'Role updated',
+        data: { user }
+      });
+
+    } catch (error) {
+      console.error('Admin set role error:', error);
+      if (handleKnownError(error, res)) return;
+      sendServerError(res, 'Error updating role', error);
+    }
+  }
+
+  // Audit events across all accounts; the /api/audit filters plus userId, actorId and actorType
+  async listAuditEvents(req, res) {
+    try {
+      const { userId, actorId, actorType, action, entityType, entityId, from, to, page, limit } = req.query;
+      const result = await auditService.listAll({
+        userId, actorId, actorType, action, entityType, entityId, from, to, page, limit
+      });
+
+      res.json({
+        success: true,
+        message: 'Audit events retrieved successfully',
+        data: {
+          events: result.events,
+          pagination: {
+            currentPage: result.page,
+            totalPages: Math.ceil(result.total / result.limit),
+            totalEvents: result.total,
+            hasNext: result.page * result.limit < result.total,
+            hasPrev: result.page > 1
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Admin list audit events error:', error);
+      sendServerError(res, 'Error retrieving audit events', error);
+    }
+  }
+
+  // The admin action log (?actorId=, ?targetUserId=, ?action=)
+  async listActions(req, res) {
+    try {
+      const { actorId, targetUserId, action, page, limit } = req.query;
+      const result = await adminService.listActions({ actorId, targetUserId, action, page, limit });
+
+      res.json({
+        success: true,
+        message: 'Admin actions retrieved successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Admin list actions error:', error);
+      if (handleKnownError(error, res)) return;
+      sendServerError(res, 'Error retrieving admin actions', error);
+    }
+  }
+}
+
+module.exports = new AdminController();
@@ -1,28 +1,76 @@
+const mongoose = require('mongoose');
 const Allocation = require('../models/Allocation');
+const incomeAllocationService = require('../services/incomeAllocationService');
+const envelopeService = require('../services/envelopeService');
+const { setVersionTag, sendVersionConflict } = require('../middleware/concurrency');
+
+// Fields a client may set on an allocation (userId always comes from the token)
+const ALLOCATION_FIELDS = [
+  'categoryId',
+  'categoryName',
+  'percentage',
+  'budgetLimit',
+  'templateId',
+  'bucketName',
+  'rolloverRule',
+  'rolloverCap',
+  'isActive'
+];
+
+const pickAllocationFields = (data = {}) => {
+  const fields = {};
+  ALLOCATION_FIELDS.forEach(field => {
+    if (data[field] !== undefined) fields[field] = data[field];
+  });
+  return fields;
+};
+
+// This rejects requests that name a different user than the one in the token.
+// Older app versions still send userId, so a matching value is accepted.
+const isForeignUserId = (req, userId) => {
+  return userId !== undefined && userId !== null && String(userId) !== String(req.userId);
+};
+
+// This loads an allocation and tells apart "missing" from "owned by someone else".
+// A malformed id is treated as missing.
+const findOwnedAllocation = async (id, userId) => {
+  if (!mongoose.isValidObjectId(id)) return { allocation: null, forbidden: false };
+  const allocation = await Allocation.findById(id);
+  if (!allocation) return { allocation: null, forbidden: false };
+  if (!allocation.userId.equals(userId)) return { allocation: null, forbidden: true };
+  return { allocation, forbidden: false };
+};
+
+const forbiddenResponse = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: 'You do not have permission to access this allocation'
+  });
+};
+
+// This answers a stale edit with the allocation as it is now
+const conflictResponse = (res, current) => {
+  return sendVersionConflict(res, current, {
+    success: false,
+    message: 'Allocation was changed by another update'
+  });
+};
 
 // Get all allocations for a user
 exports.getAllocations = async (req, res) => {
   try {
-    const { userId } = req.query;
-    
-    console.log('Getting allocations for user:', userId);
-    
-    // This checks if user ID was provided in the request
-    if (!userId) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'User ID is required' 
-      });
-    }
-
-    // This makes sure the user ID is in correct format (not empty string)
-    if (typeof userId !== 'string' || userId.length < 1) {
-      return res.status(400).json({
+    // This takes the user from the auth token instead of the query string
+    if (isForeignUserId(req, req.query.userId)) {
+      return res.status(403).json({
         success: false,
-        message: 'Invalid user ID format'
+        message: "You do not have permission to access this user's allocations"
       });
     }
 
+    const userId = req.userId;
+
+    console.log('Getting allocations for user:', userId);
+
     // This finds all active budget allocations for this user, newest first
     const allocations = await Allocation.find({ 
       userId: userId, 
@@ -52,15 +100,26 @@ exports.createAllocation = async (req, res) => {
   try {
     // This gets all the data from the request body
     const {
-      userId,
       categoryId,
       categoryName,
       percentage,
       budgetLimit,
       templateId,
-      bucketName
+      bucketName,
+      rolloverRule,
+      rolloverCap
     } = req.body;
 
+    // This rejects attempts to create allocations for another user
+    if (isForeignUserId(req, req.body.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot create allocations for another user'
+      });
+    }
+
+    const userId = req.userId;
+
     console.log('Creating allocation with data:', {
       userId,
       categoryId,
@@ -72,10 +131,10 @@ exports.createAllocation = async (req, res) => {
     });
 
      // This validates that all required fields are provided
-    if (!userId || !categoryName || percentage === undefined || !templateId) {
+    if (!categoryName || percentage === undefined || !templateId) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: userId, categoryName, percentage, templateId'
+        message: 'Missing required fields: categoryName, percentage, templateId'
       });
     }
 
@@ -100,7 +159,9 @@ exports.createAllocation = async (req, res) => {
       percentage,
       budgetLimit,
       templateId,
-      bucketName
+      bucketName,
+      rolloverRule,
+      rolloverCap
     });
 
     await allocation.save();
@@ -131,18 +192,26 @@ exports.updateAllocation = async (req, res) => {
       categoryId,
       categoryName,
       percentage,
-      budgetLimit
+      budgetLimit,
+      rolloverRule,
+      rolloverCap
     } = req.body;
 
     console.log('Updating allocation:', id, 'with data:', {
       categoryId,
       categoryName,
       percentage,
-      budgetLimit
+      budgetLimit,
+      rolloverRule,
+      rolloverCap
     });
 
-    const allocation = await Allocation.findById(id);
-// This checks if the allocation was found
+    const { allocation, forbidden } = await findOwnedAllocation(id, req.userId);
+    // This rejects allocations that belong to another user
+    if (forbidden) {
+      return forbiddenResponse(res);
+    }
+    // This checks if the allocation was found
     if (!allocation) {
       return res.status(404).json({
         success: false,
@@ -150,16 +219,34 @@ exports.updateAllocation = async (req, res) => {
       });
     }
 
+    // This rejects edits made against an older version of the allocation
+    if (req.expectedVersion !== null && req.expectedVersion !== undefined &&
+        allocation.version !== req.expectedVersion) {
+      return conflictResponse(res, allocation);
+    }
+
      // This updates only the fields that were provided in the request
     if (categoryName !== undefined) allocation.categoryName = categoryName;
     if (categoryId !== undefined) allocation.categoryId = categoryId;
     if (percentage !== undefined) allocation.percentage = percentage;
     if (budgetLimit !== undefined) allocation.budgetLimit = budgetLimit;
+    if (rolloverRule !== undefined) allocation.rolloverRule = rolloverRule;
+    if (rolloverCap !== undefined) allocation.rolloverCap = rolloverCap;
 
-    await allocation.save();
+    try {
+      await allocation.save();
+    } catch (saveError) {
+      // This catches a concurrent update that landed between loading and saving
+      if (saveError.name === 'DocumentNotFoundError') {
+        const current = await Allocation.findById(id);
+        if (current) return conflictResponse(res, current);
+      }
+      throw saveError;
+    }
 
     console.log('Allocation updated successfully:', allocation._id);
 
+    setVersionTag(res, allocation);
     res.status(200).json({
       success: true,
       message: 'Allocation updated successfully',
@@ -182,8 +269,12 @@ exports.deleteAllocation = async (req, res) => {
       const { id } = req.params;
   
       console.log('Deleting allocation:', id);
-  // This finds the allocation by ID and deletes it permanently from database
-      const allocation = await Allocation.findByIdAndDelete(id);
+      const { allocation, forbidden } = await findOwnedAllocation(id, req.userId);
+  
+      // This rejects allocations that belong to another user
+      if (forbidden) {
+        return forbiddenResponse(res);
+      }
   
       if (!allocation) {
         return res.status(404).json({
@@ -192,6 +283,9 @@ exports.deleteAllocation = async (req, res) => {
         });
       }
   
+      // This deletes the allocation permanently from database
+      await Allocation.findOneAndDelete({ _id: allocation._id, userId: req.userId });
+  
       console.log('Allocation hard deleted successfully:', id);
   
       res.status(200).json({
@@ -217,6 +311,7 @@ exports.getAllocationByTemplateId = async (req, res) => {
     console.log('Getting allocation by template ID:', templateId);
 
     const allocation = await Allocation.findOne({ 
+      userId: req.userId,
       templateId, 
       isActive: true 
     });
@@ -265,40 +360,54 @@ exports.bulkUpdateAllocations = async (req, res) => {
       try {
         const { action, data } = operation;
 
+        // This rejects operations that name another user
+        if (data && isForeignUserId(req, data.userId)) {
+          results.push({ action, success: false, id: data._id, error: 'Forbidden' });
+          continue;
+        }
+
         switch (action) {
           case 'create':
-            // This creates a new allocation
-            const newAllocation = new Allocation(data);
+            // This creates a new allocation owned by the authenticated user
+            const newAllocation = new Allocation({ ...pickAllocationFields(data), userId: req.userId });
             await newAllocation.save();
             results.push({ action: 'create', success: true, id: newAllocation._id });
             break;
 
-          case 'update':
-            // This updates an existing allocation
-            const updatedAllocation = await Allocation.findByIdAndUpdate(
-              data._id,
-              { $set: data },
-              { new: true }
-            );
-            if (updatedAllocation) {
+          case 'update': {
+            // This updates an existing allocation if it belongs to the user
+            const { allocation, forbidden } = await findOwnedAllocation(data._id, req.userId);
+            if (forbidden) {
+              results.push({ action: 'update', success: false, id: data._id, error: 'Forbidden' });
+            } else if (allocation) {
+              await Allocation.findOneAndUpdate(
+                { _id: allocation._id, userId: req.userId },
+                { $set: pickAllocationFields(data) },
+                { new: true, runValidators: true }
+              );
               results.push({ action: 'update', success: true, id: data._id });
             } else {
               results.push({ action: 'update', success: false, id: data._id, error: 'Not found' });
             }
             break;
-
-          case 'delete':
-            const deletedAllocation = await Allocation.findByIdAndUpdate(
-              data._id,
-              { $set: { isActive: false } },
-              { new: true }
-            );
-            if (deletedAllocation) {
+          }
+
+          case 'delete': {
+            const { allocation, forbidden } = await findOwnedAllocation(data._id, req.userId);
+            if (forbidden) {
+              results.push({ action: 'delete', success: false, id: data._id, error: 'Forbidden' });
+            } else if (allocation) {
+              await Allocation.findOneAndUpdate(
+                { _id: allocation._id, userId: req.userId },
+                { $set: { isActive: false } },
+                { new: true }
+              );
               results.push({ action: 'delete', success: true, id: data._id });
             } else {
               results.push({ action: 'delete', success: false, id: data._id, error: 'Not found' });
             }
             break;
+          }
 
           default:
             results.push({ action, success: false, error: 'Unknown action' });
@@ -324,4 +433,80 @@ exports.bulkUpdateAllocations = async (req, res) => {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
+};
+
+// Get money available per bucket (allocated from incomes minus expenses in its categories)
+exports.getAvailableByBucket = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const available = await incomeAllocationService.getAvailableByBucket(req.userId, { startDate, endDate });
+
+    res.status(200).json({
+      success: true,
+      ...available
+    });
+  } catch (error) {
+    console.error('Error getting available amounts per bucket:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching available amounts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get envelope balances (opening, funding, spend, closing) for a month
+exports.getEnvelopes = async (req, res) => {
+  try {
+    const { year, month } = req.query;
+
+    const envelopes = await envelopeService.getEnvelopes(req.userId, { year, month });
+
+    res.status(200).json({
+      success: true,
+      ...envelopes
+    });
+  } catch (error) {
+    console.error('Error getting envelopes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching envelopes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get the stored monthly history of one envelope
+exports.getEnvelopeHistory = async (req, res) => {
+  try {
+    const { allocation, forbidden } = await findOwnedAllocation(req.params.id, req.userId);
+
+    if (forbidden) {
+      return forbiddenResponse(res);
+    }
+
+    if (!allocation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Allocation not found'
+      });
+    }
+
+    const periods = await envelopeService.getHistory(req.userId, allocation._id);
+
+    res.status(200).json({
+      success: true,
+      allocation,
+      periods,
+      count: periods.length
+    });
+  } catch (error) {
+    console.error('Error getting envelope history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching envelope history',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
 };
\ No newline at end of file
@@ -0,0 +1,322 @@
+const mongoose = require('mongoose');
+const { Allocation, AllocationTemplate, Category } = require('../models');
+
+// Built-in templates are created on first use instead of at startup
+let builtInsReady = null;
+const ensureBuiltIns = () => {
+  if (!builtInsReady) {
+    builtInsReady = AllocationTemplate.ensureBuiltInTemplates().catch(error => {
+      builtInsReady = null;
+      throw error;
+    });
+  }
+  return builtInsReady;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// This converts mongoose validation errors into the API error format
+const validationErrorResponse = (res, error) => {
+  const errors = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors
+  });
+};
+
+// This splits each bucket's percentage across its categories.
+// A bucket without categories becomes a single allocation named after the bucket.
+const buildAllocationRows = (template, userId, categoriesByName) => {
+  const stamp = Date.now().toString(36);
+  const rows = [];
+
+  template.buckets.forEach((bucket, bucketIndex) => {
+    const names = bucket.categoryNames.length > 0 ? bucket.categoryNames : [bucket.name];
+    const share = round2(bucket.percentage / names.length);
+
+    names.forEach((categoryName, index) => {
+      // The last category takes the rounding remainder so the bucket total stays exact
+      const percentage = index === names.length - 1
+        ? round2(bucket.percentage - share * (names.length - 1))
+        : share;
+      const category = categoriesByName.get(categoryName.toLowerCase());
+
+      rows.push({
+        userId,
+        categoryId: category ? String(category._id) : null,
+        categoryName,
+        percentage,
+        templateId: `${template._id}:${stamp}:${bucketIndex}-${index}`,
+        bucketName: bucket.name,
+        allocationTemplateId: template._id
+      });
+    });
+  });
+
+  return rows;
+};
+
+// Get all templates available to the user (built-in and their own)
+exports.getTemplates = async (req, res) => {
+  try {
+    await ensureBuiltIns();
+
+    const templates = await AllocationTemplate.findAvailable(req.userId);
+
+    res.status(200).json({
+      success: true,
+      templates,
+      count: templates.length
+    });
+  } catch (error) {
+    console.error('Error getting allocation templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching allocation templates',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get a single template
+exports.getTemplate = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Allocation template not found'
+      });
+    }
+
+    await ensureBuiltIns();
+
+    const [template] = await AllocationTemplate.findAvailable(req.userId, { _id: req.params.id });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Allocation template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      template
+    });
+  } catch (error) {
+    console.error('Error getting allocation template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching allocation template',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Create a custom template
+exports.createTemplate = async (req, res) => {
+  try {
+    const { name, description, buckets } = req.body;
+
+    // This validates that all required fields are provided
+    if (!name || !Array.isArray(buckets)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: name, buckets'
+      });
+    }
+
+    const template = new AllocationTemplate({
+      userId: req.userId,
+      name,
+      description,
+      buckets
+    });
+
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Allocation template created successfully',
+      template
+    });
+  } catch (error) {
+    console.error('Error creating allocation template:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating allocation template',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Update a custom template (built-in templates are read-only)
+exports.updateTemplate = async (req, res) => {
+  try {
+    const { name, description, buckets } = req.body;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Allocation template not found or cannot be modified'
+      });
+    }
+
+    const template = await AllocationTemplate.findOne({
+      _id: req.params.id,
+      userId: req.userId,
+      isBuiltIn: false
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Allocation template not found or cannot be modified'
+      });
+    }
+
+    // This updates only the fields that were provided in the request
+    if (name !== undefined) template.name = name;
+    if (description !== undefined) template.description = description;
+    if (buckets !== undefined) template.buckets = buckets;
+
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Allocation template updated successfully',
+      template
+    });
+  } catch (error) {
+    console.error('Error updating allocation template:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating allocation template',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Delete a custom template. Allocations generated from it are kept.
+exports.deleteTemplate = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Allocation template not found or cannot be deleted'
+      });
+    }
+
+    const template = await AllocationTemplate.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.userId,
+      isBuiltIn: false
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Allocation template not found or cannot be deleted'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Allocation template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting allocation template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting allocation template',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Apply a template: generate the user's allocations from its buckets
+exports.applyTemplate = async (req, res) => {
+  try {
+    const { replaceExisting = true } = req.body;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Allocation template not found'
+      });
+    }
+
+    await ensureBuiltIns();
+
+    const [template] = await AllocationTemplate.findAvailable(req.userId, { _id: req.params.id });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Allocation template not found'
+      });
+    }
+
+    // This links allocations to the user's categories by name where possible
+    const categories = await Category.find({ userId: req.userId });
+    const categoriesByName = new Map();
+    categories.forEach(category => {
+      categoriesByName.set(category.name.toLowerCase(), category);
+    });
+
+    // Creating the new allocations and deactivating the old ones happen together or not at all
+    let allocations;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        allocations = await Allocation.insertMany(
+          buildAllocationRows(template, req.userId, categoriesByName),
+          { session }
+        );
+
+        // This deactivates the previous allocations so only the applied template is active
+        if (replaceExisting) {
+          await Allocation.updateMany(
+            {
+              userId: req.userId,
+              isActive: true,
+              _id: { $nin: allocations.map(allocation => allocation._id) }
+            },
+            { isActive: false },
+            { session }
+          );
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    console.log(`Applied template ${template._id} for user ${req.userId}: ${allocations.length} allocations`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Allocation template applied successfully',
+      template,
+      allocations,
+      count: allocations.length
+    });
+  } catch (error) {
+    console.error('Error applying allocation template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while applying allocation template',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
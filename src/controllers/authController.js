@@ -1,15 +1,137 @@
 const userService = require('../services/userService');
+const passwordResetService = require('../services/passwordResetService');
+const emailVerificationService = require('../services/emailVerificationService');
 const { validatePassword } = require('../utils/password');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const loginProtectionService = require('../services/loginProtectionService');
+const auditService = require('../services/auditService');
+const oidcService = require('../services/oidcService');
 const { 
   generateAccessToken, 
   generateRefreshToken, 
+  generateSessionId,
   storeRefreshToken,
   validateRefreshToken,
+  findRefreshToken,
+  rotateRefreshToken,
   removeRefreshToken,
   removeAllRefreshTokens
 } = require('../utils/jwt');
 const validator = require('validator');
-const { User } = require('../models');
+const { User, RefreshToken } = require('../models');
+
+// Device details for the session a request starts or continues
+const getSessionDetails = (req) => ({
+  deviceName: req.body.deviceName,
+  platform: req.body.platform,
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+// Access and refresh tokens for a session; the session id travels as the `sid` claim
+const issueTokens = (user, sessionId = generateSessionId()) => {
+  const tokenPayload = {
+    userId: user.id,
+    email: user.email,
+    name: user.name,
+    sid: sessionId
+  };
+
+  // Unverified accounts may get shorter-lived access tokens
+  const expiresIn = emailVerificationService.getAccessTokenExpiresIn(user);
+
+  return {
+    accessToken: generateAccessToken(tokenPayload, { expiresIn }),
+    refreshToken: generateRefreshToken(tokenPayload),
+    expiresIn,
+    sessionId
+  };
+};
+
+// Sign-in through an external provider: tokens for a new session, or a two-factor
+// challenge, like a password login
+const respondWithOidcLogin = async (res, { user, isNewUser, session, provider }) => {
+  if (user.disabledAt) {
+    return res.status(403).json({
+      success: false,
+      message: 'This account has been disabled. Please contact support.',
+      code: 'ACCOUNT_DISABLED'
+    });
+  }
+
+  user.lastLoginAt = new Date();
+  await User.updateOne({ _id: user._id }, { lastLoginAt: user.lastLoginAt });
+
+  if (user.twoFactor && user.twoFactor.enabled) {
+    const { challengeToken, expiresIn } = await twoFactorService.createChallenge(user.id, session);
+
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken,
+        expiresIn
+      }
+    });
+  }
+
+  const { accessToken, refreshToken, expiresIn, sessionId } = issueTokens(user);
+
+  await storeRefreshToken(user.id, refreshToken, { ...session, sessionId });
+
+  await auditService.record(user.id, 'auth.login', { method: `oidc:${provider}`, sessionId }, { actorId: user.id });
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        currency: user.currency,
+        emailVerified: user.isEmailVerified,
+        role: user.role || 'user',
+        lastLogin: user.lastLoginAt
+      },
+      tokens: {
+        accessToken,
+        refreshToken,
+        expiresIn
+      },
+      sessionId,
+      isNewUser
+    }
+  });
+};
+
+const sendOidcError = (res, error) => {
+  if (error instanceof oidcService.OidcError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      data: error.data
+    });
+  }
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: 'Too many failed login attempts. Please try again later.',
+      retryAfter: error.retryAfter
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error during login',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
 
 class AuthController {
   // Register new user
@@ -69,18 +191,13 @@ class AuthController {
         currency: currency || 'LKR'
       });
 
-      // Generate tokens
-      const tokenPayload = {
-        userId: user.id,
-        email: user.email,
-        name: user.name
-      };
-
-      const accessToken = generateAccessToken(tokenPayload);
-      const refreshToken = generateRefreshToken(tokenPayload);
+      // Generate tokens for a new session on this device
+      const { accessToken, refreshToken, expiresIn, sessionId } = issueTokens(user);
 
       // Store refresh token
-      await storeRefreshToken(user.id, refreshToken);
+      await storeRefreshToken(user.id, refreshToken, { ...getSessionDetails(req), sessionId });
+
+      await auditService.record(user.id, 'auth.register', { sessionId }, { actorId: user.id });
 
       res.status(201).json({
         success: true,
@@ -91,14 +208,15 @@ class AuthController {
             email: user.email,
             name: user.name,
             currency: user.currency,
-            emailVerified: user.email_verified,
+            emailVerified: user.isEmailVerified,
             createdAt: user.created_at
           },
           tokens: {
             accessToken,
             refreshToken,
-            expiresIn: process.env.JWT_EXPIRES_IN || '15m'
-          }
+            expiresIn
+          },
+          sessionId
         }
       });
 
@@ -147,21 +265,52 @@ class AuthController {
         });
       }
 
+      const attempt = { email: email.toLowerCase().trim(), ip: req.ip };
+
+      // Locked accounts and IPs, and retries too soon after a failure, are turned away
+      // before the password is checked
+      await loginProtectionService.check(attempt);
+
       // Authenticate user
-      const user = await userService.authenticateUser(email.toLowerCase().trim(), password);
+      let user;
+      try {
+        user = await userService.authenticateUser(attempt.email, password);
+      } catch (authError) {
+        if (authError.message.includes('Invalid credentials')) {
+          await loginProtectionService.recordFailure(attempt);
+        }
+        throw authError;
+      }
 
-      // Generate tokens
-      const tokenPayload = {
-        userId: user.id,
-        email: user.email,
-        name: user.name
-      };
+      // With two-factor enabled the password only earns a short-lived challenge;
+      // tokens are issued by verifyTwoFactor. The account's failures are only cleared
+      // once the login is complete, so challenges can't be used to reset the lockout.
+      if (user.twoFactorEnabled) {
+        const { challengeToken, expiresIn } = await twoFactorService.createChallenge(
+          user.id,
+          getSessionDetails(req)
+        );
+
+        return res.json({
+          success: true,
+          message: 'Two-factor authentication required',
+          data: {
+            twoFactorRequired: true,
+            challengeToken,
+            expiresIn
+          }
+        });
+      }
 
-      const accessToken = generateAccessToken(tokenPayload);
-      const refreshToken = generateRefreshToken(tokenPayload);
+      await loginProtectionService.recordSuccess(attempt);
+
+      // Generate tokens for a new session on this device
+      const { accessToken, refreshToken, expiresIn, sessionId } = issueTokens(user);
 
       // Store refresh token
-      await storeRefreshToken(user.id, refreshToken);
+      await storeRefreshToken(user.id, refreshToken, { ...getSessionDetails(req), sessionId });
+
+      await auditService.record(user.id, 'auth.login', { method: 'password', sessionId }, { actorId: user.id });
 
       res.json({
         success: true,
@@ -172,20 +321,32 @@ class AuthController {
             email: user.email,
             name: user.name,
             currency: user.currency,
-            emailVerified: user.email_verified,
+            emailVerified: user.isEmailVerified,
+            role: user.role || 'user',
             lastLogin: user.updated_at
           },
           tokens: {
             accessToken,
             refreshToken,
-            expiresIn: process.env.JWT_EXPIRES_IN || '15m'
-          }
+            expiresIn
+          },
+          sessionId
         }
       });
 
     } catch (error) {
       console.error('Login error:', error);
       
+      // Same message whether or not the email has an account
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'Too many failed login attempts. Please try again later.',
+          retryAfter: error.retryAfter
+        });
+      }
+      
       if (error.message.includes('Invalid credentials')) {
         return res.status(401).json({
           success: false,
@@ -194,6 +355,14 @@ class AuthController {
         });
       }
 
+      if (error.message.includes('Account disabled')) {
+        return res.status(403).json({
+          success: false,
+          message: 'This account has been disabled. Please contact support.',
+          code: 'ACCOUNT_DISABLED'
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Internal server error during login',
@@ -202,6 +371,195 @@ class AuthController {
     }
   }
 
+  // Second login step: exchange the challenge token and a TOTP or recovery code for tokens
+  async verifyTwoFactor(req, res) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      if (!challengeToken || (!code && !recoveryCode)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Challenge token and a two-factor code or recovery code are required',
+          errors: {
+            challengeToken: !challengeToken ? 'Challenge token is required' : null,
+            code: !code && !recoveryCode ? 'Code or recovery code is required' : null
+          }
+        });
+      }
+
+      const { user, challenge, method } = await twoFactorService.completeChallenge(
+        challengeToken,
+        { code, recoveryCode },
+        { ip: req.ip }
+      );
+
+      await loginProtectionService.recordSuccess({ email: user.email });
+
+      // Generate tokens for a new session on the device that started the login
+      const { accessToken, refreshToken, expiresIn, sessionId } = issueTokens(user);
+
+      await storeRefreshToken(user.id, refreshToken, {
+        deviceName: challenge.deviceName,
+        platform: challenge.platform,
+        ipAddress: challenge.ipAddress,
+        userAgent: challenge.userAgent,
+        sessionId
+      });
+
+      await auditService.record(user.id, 'auth.login', { method, sessionId }, { actorId: user.id });
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: {
+          user: {
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            currency: user.currency,
+            emailVerified: user.isEmailVerified,
+            role: user.role || 'user',
+            lastLogin: user.lastLoginAt
+          },
+          tokens: {
+            accessToken,
+            refreshToken,
+            expiresIn
+          },
+          sessionId,
+          usedRecoveryCode: method === 'recovery_code'
+        }
+      });
+
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'Too many failed login attempts. Please try again later.',
+          retryAfter: error.retryAfter
+        });
+      }
+
+      if (error.message.includes('Invalid or expired challenge')) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired login challenge',
+          errors: { challengeToken: 'Please login again' }
+        });
+      }
+
+      if (error.message.includes('Invalid two-factor code')) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid two-factor code',
+          errors: { code: 'The code is wrong, expired or was already used' }
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error during login',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // External identity providers (OIDC) available for sign-in
+  async getOidcProviders(req, res) {
+    res.json({
+      success: true,
+      message: 'Sign-in providers retrieved successfully',
+      data: { providers: oidcService.listProviders() }
+    });
+  }
+
+  // Start signing in with an external provider; the client sends the user to authorizationUrl
+  async startOidcLogin(req, res) {
+    try {
+      const result = await oidcService.startLogin(req.params.provider, {
+        redirectUri: req.body.redirectUri,
+        session: getSessionDetails(req)
+      });
+
+      res.json({
+        success: true,
+        message: 'Continue signing in with the provider',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('OIDC login start error:', error);
+
+      if (error instanceof oidcService.OidcError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error during login',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Finish signing in with the code and state the provider redirected back with.
+  // Works like login: two-factor accounts get a challenge instead of tokens.
+  async completeOidcLogin(req, res) {
+    try {
+      const { code, state, name } = req.body;
+
+      if (!code || !state) {
+        return res.status(400).json({
+          success: false,
+          message: 'Authorization code and state are required',
+          errors: {
+            code: !code ? 'Authorization code is required' : null,
+            state: !state ? 'State is required' : null
+          }
+        });
+      }
+
+      const result = await oidcService.completeLogin(req.params.provider, { code, state, name });
+      await respondWithOidcLogin(res, result);
+
+    } catch (error) {
+      console.error('OIDC login error:', error);
+      sendOidcError(res, error);
+    }
+  }
+
+  // Link a provider identity to an existing account with that account's password
+  // (the link token comes from a LINK_CONFIRMATION_REQUIRED answer), then sign in
+  async confirmOidcLink(req, res) {
+    try {
+      const { linkToken, password } = req.body;
+
+      if (!linkToken || !password) {
+        return res.status(400).json({
+          success: false,
+          message: 'Link token and password are required',
+          errors: {
+            linkToken: !linkToken ? 'Link token is required' : null,
+            password: !password ? 'Password is required' : null
+          }
+        });
+      }
+
+      const result = await oidcService.confirmLink(linkToken, password, { ip: req.ip });
+      await respondWithOidcLogin(res, result);
+
+    } catch (error) {
+      console.error('OIDC link confirmation error:', error);
+      sendOidcError(res, error);
+    }
+  }
+
   // Refresh access token
   async refreshToken(req, res) {
     try {
@@ -228,19 +586,29 @@ class AuthController {
         });
       }
 
-      // Generate new tokens
-      const tokenPayload = {
-        userId: user.id,
-        email: user.email,
-        name: user.name
-      };
+      if (user.disabledAt) {
+        return res.status(403).json({
+          success: false,
+          message: 'This account has been disabled. Please contact support.',
+          code: 'ACCOUNT_DISABLED'
+        });
+      }
+
+      // Generate new tokens for the same session
+      const stored = await findRefreshToken(refreshToken);
+      const {
+        accessToken: newAccessToken,
+        refreshToken: newRefreshToken,
+        expiresIn
+      } = issueTokens(user, (stored && stored.sessionId) || decoded.sid || generateSessionId());
 
-      const newAccessToken = generateAccessToken(tokenPayload);
-      const newRefreshToken = generateRefreshToken(tokenPayload);
+      // Replace old refresh token with the new one
+      await rotateRefreshToken(refreshToken, newRefreshToken, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
 
-      // Remove old refresh token and store new one
-      await removeRefreshToken(refreshToken);
-      await storeRefreshToken(user.id, newRefreshToken);
+      await auditService.record(user.id, 'auth.refresh', { sessionId: stored && stored.sessionId }, { actorId: user.id });
 
       res.json({
         success: true,
@@ -249,7 +617,7 @@ class AuthController {
           tokens: {
             accessToken: newAccessToken,
             refreshToken: newRefreshToken,
-            expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+            expiresIn
           }
         }
       });
@@ -257,6 +625,14 @@ class AuthController {
     } catch (error) {
       console.error('Token refresh error:', error);
       
+      // A replayed token signs out the whole session it belongs to
+      if (error.reusedToken) {
+        await sessionService.handleTokenReuse(error.reusedToken, {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        }).catch(reuseError => console.error('Token reuse handling error:', reuseError));
+      }
+      
       return res.status(401).json({
         success: false,
         message: 'Invalid or expired refresh token',
@@ -280,6 +656,10 @@ class AuthController {
         await removeAllRefreshTokens(userId);
       }
 
+      if (userId) {
+        await auditService.record(userId, refreshToken ? 'auth.logout' : 'auth.logout_all');
+      }
+
       res.json({
         success: true,
         message: 'Logout successful'
@@ -304,6 +684,8 @@ class AuthController {
       // Remove all refresh tokens for this user
       await removeAllRefreshTokens(userId);
 
+      await auditService.record(userId, 'auth.logout_all');
+
       res.json({
         success: true,
         message: 'Logged out from all devices successfully'
@@ -343,7 +725,15 @@ class AuthController {
             email: user.email,
             name: user.name,
             currency: user.currency,
-            emailVerified: user.email_verified,
+            emailVerified: user.isEmailVerified,
+            role: user.role || 'user',
+            hasPassword: Boolean(req.user.password),
+            identities: (user.identities || []).map(identity => ({
+              provider: identity.provider,
+              email: identity.email,
+              linkedAt: identity.linkedAt,
+              lastUsedAt: identity.lastUsedAt
+            })),
             createdAt: user.created_at,
             updatedAt: user.updated_at
           }
@@ -364,7 +754,7 @@ class AuthController {
   // Update user profile
   async updateProfile(req, res) {
     try {
-      const { name, email, currency, financial_goals, monthlyBudget, monthlyIncome } = req.body;
+      const { name, email, currency, financial_goals, monthlyBudget, monthlyIncome, autoAllocateIncome } = req.body;
       
       // Handle both req.user.id and req.user._id (depending on authMiddleware implementation)
       const userId = req.user.id || req.user._id || req.user.userId;
@@ -378,17 +768,37 @@ class AuthController {
         });
       }
 
+      // The email address receives password reset links, so changing it needs a real login
+      const emailChanged = email !== undefined && email !== null &&
+        String(email).toLowerCase().trim() !== req.user.email;
+      if (emailChanged && req.tokenScopes) {
+        return res.status(403).json({
+          success: false,
+          message: 'The email address can\'t be changed with a personal access token',
+          code: 'LOGIN_REQUIRED'
+        });
+      }
+
+      const update = {
+        name: name,
+        email: email,
+        currency: currency,
+        financial_goals: financial_goals,
+        monthlyBudget: monthlyBudget,
+        monthlyIncome: monthlyIncome,
+        autoAllocateIncome: autoAllocateIncome
+      };
+
+      // A new address isn't verified until its owner confirms it
+      if (emailChanged) {
+        update.isEmailVerified = false;
+        update.emailVerifiedAt = null;
+      }
+
       // Update user in database
       const updatedUser = await User.findByIdAndUpdate(
         userId,
-        {
-          name: name,
-          email: email,
-          currency: currency,
-          financial_goals: financial_goals,
-          monthlyBudget: monthlyBudget,
-          monthlyIncome: monthlyIncome
-        },
+        update,
         { new: true, runValidators: true }
       ).select('-password'); // Don't send password back
 
@@ -399,13 +809,37 @@ class AuthController {
         });
       }
 
+      if (emailChanged) {
+        await auditService.record(userId, 'auth.email_change', {
+          previousEmail: req.user.email,
+          email: updatedUser.email
+        }, { actorId: userId });
+
+        // The profile is saved either way; the user can ask for another email
+        try {
+          await emailVerificationService.restartVerification(updatedUser);
+        } catch (verificationError) {
+          console.error('Error sending verification email:', verificationError);
+        }
+      }
+
       res.json({
         success: true,
         user: updatedUser,
-        message: 'Profile updated successfully'
+        message: emailChanged
+          ? 'Profile updated successfully. Please verify your new email address.'
+          : 'Profile updated successfully'
       });
     } catch (error) {
       console.error('Profile update error:', error);
+
+      if (error.code === 11000 && error.keyValue && error.keyValue.email) {
+        return res.status(409).json({
+          success: false,
+          message: 'An account with this email already exists'
+        });
+      }
+
       res.status(500).json({ 
         success: false, 
         message: 'Failed to update profile',
@@ -419,19 +853,38 @@ class AuthController {
     try {
       const userId = req.user.id;
       const { currentPassword, newPassword } = req.body;
+      // Accounts created through an external provider may not have a password yet
+      const hasPassword = Boolean(req.user.password);
 
       // Input validation
-      if (!currentPassword || !newPassword) {
+      if ((hasPassword && !currentPassword) || !newPassword) {
         return res.status(400).json({
           success: false,
           message: 'Current password and new password are required',
           errors: {
-            currentPassword: !currentPassword ? 'Current password is required' : null,
+            currentPassword: hasPassword && !currentPassword ? 'Current password is required' : null,
             newPassword: !newPassword ? 'New password is required' : null
           }
         });
       }
 
+      // Setting a first password needs a recent sign-in, so a stolen session can't take over
+      if (!hasPassword && !(await sessionService.isRecentlyAuthenticated(req.sessionId))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Please sign in again to confirm, then retry within a few minutes',
+          code: 'REAUTHENTICATION_REQUIRED'
+        });
+      }
+
+      if (currentPassword === newPassword) {
+        return res.status(400).json({
+          success: false,
+          message: 'New password must be different from the current password',
+          errors: { newPassword: 'Choose a password you are not using now' }
+        });
+      }
+
       // Validate new password strength
       const passwordValidation = validatePassword(newPassword);
       if (!passwordValidation.isValid) {
@@ -447,12 +900,38 @@ class AuthController {
 
       await userService.changePassword(userId, currentPassword, newPassword);
 
-      // Remove all refresh tokens to force re-login on all devices
+      // Keep the device details of the current session
+      const currentSession = req.sessionId
+        ? await RefreshToken.findOne({ userId, sessionId: req.sessionId })
+        : null;
+
+      // Remove all refresh tokens to sign out every other device
       await removeAllRefreshTokens(userId);
 
+      // Keep this device signed in with fresh tokens
+      const { accessToken, refreshToken, expiresIn, sessionId } = issueTokens(req.user, req.sessionId);
+
+      await storeRefreshToken(userId, refreshToken, {
+        ...getSessionDetails(req),
+        ...(currentSession ? {
+          deviceName: currentSession.deviceName,
+          platform: currentSession.platform
+        } : {}),
+        sessionId
+      });
+
+      await auditService.record(userId, 'auth.password_change');
+
       res.json({
         success: true,
-        message: 'Password changed successfully. Please login again on all devices.'
+        message: 'Password changed successfully. Other devices have been signed out.',
+        data: {
+          tokens: {
+            accessToken,
+            refreshToken,
+            expiresIn
+          }
+        }
       });
 
     } catch (error) {
@@ -473,6 +952,267 @@ class AuthController {
       });
     }
   }
+
+  // Request a password reset email
+  async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+
+      if (!email || !validator.isEmail(email)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid email format',
+          errors: { email: 'Please provide a valid email address' }
+        });
+      }
+
+      await passwordResetService.requestReset(email);
+
+      // Same answer whether or not the account exists
+      res.json({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent'
+      });
+
+    } catch (error) {
+      console.error('Forgot password error:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Error requesting password reset',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Set a new password with a reset token
+  async resetPassword(req, res) {
+    try {
+      const { token, newPassword } = req.body;
+
+      // Input validation
+      if (!token || !newPassword) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reset token and new password are required',
+          errors: {
+            token: !token ? 'Reset token is required' : null,
+            newPassword: !newPassword ? 'New password is required' : null
+          }
+        });
+      }
+
+      // Validate new password strength
+      const passwordValidation = validatePassword(newPassword);
+      if (!passwordValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'New password does not meet security requirements',
+          errors: { 
+            newPassword: passwordValidation.errors,
+            strength: passwordValidation.strength
+          }
+        });
+      }
+
+      await passwordResetService.resetPassword(token, newPassword);
+
+      res.json({
+        success: true,
+        message: 'Password reset successfully. Please login again on all devices.'
+      });
+
+    } catch (error) {
+      console.error('Reset password error:', error);
+
+      if (error.message.includes('Invalid or expired reset token')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired reset token',
+          errors: { token: 'Please request a new password reset link' }
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error resetting password',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Unlock an account with the token from the lockout email
+  async unlockAccount(req, res) {
+    try {
+      const token = req.body.token || req.query.token;
+
+      if (!token) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unlock token is required',
+          errors: { token: 'Unlock token is missing' }
+        });
+      }
+
+      await loginProtectionService.unlockWithToken(token);
+
+      res.json({
+        success: true,
+        message: 'Account unlocked. You can sign in again.'
+      });
+
+    } catch (error) {
+      console.error('Unlock account error:', error);
+
+      if (error.message.includes('Invalid or expired unlock token')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired unlock token'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error unlocking account',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Verify email address with the token from the verification email
+  async verifyEmail(req, res) {
+    try {
+      const token = req.body.token || req.query.token;
+
+      if (!token) {
+        return res.status(400).json({
+          success: false,
+          message: 'Verification token is required',
+          errors: { token: 'Verification token is missing' }
+        });
+      }
+
+      const user = await emailVerificationService.verify(token);
+
+      res.json({
+        success: true,
+        message: 'Email verified successfully',
+        data: {
+          user: {
+            id: user.id,
+            email: user.email,
+            emailVerified: user.isEmailVerified
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Verify email error:', error);
+
+      if (error.message.includes('Invalid or expired verification token')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired verification token',
+          errors: { token: 'Please request a new verification email' }
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error verifying email',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Send another verification email
+  async resendVerification(req, res) {
+    try {
+      await emailVerificationService.resend(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Verification email sent'
+      });
+
+    } catch (error) {
+      console.error('Resend verification error:', error);
+
+      if (error.message.includes('already verified')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email is already verified'
+        });
+      }
+
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'Too many verification emails requested. Please try again later.',
+          retryAfter: error.retryAfter
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error sending verification email',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // List the user's active sessions
+  async getSessions(req, res) {
+    try {
+      const sessions = await sessionService.listSessions(req.user.id, req.sessionId);
+
+      res.json({
+        success: true,
+        message: 'Sessions retrieved successfully',
+        data: { sessions }
+      });
+
+    } catch (error) {
+      console.error('Get sessions error:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Error retrieving sessions',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Revoke one session, e.g. on a lost device
+  async revokeSession(req, res) {
+    try {
+      const revoked = await sessionService.revokeSession(req.user.id, req.params.sessionId);
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      await auditService.record(req.user.id, 'auth.session_revoke', { sessionId: req.params.sessionId });
+
+      res.json({
+        success: true,
+        message: 'Session revoked successfully'
+      });
+
+    } catch (error) {
+      console.error('Revoke session error:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Error revoking session',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
 }
 
 module.exports = new AuthController();
\ No newline at end of file
@@ -0,0 +1,154 @@
+const expenseImportService = require('../services/expenseImportService');
+
+// Respond to an ImportError (bad file, bad settings, not found); returns false for other errors
+const handleKnownError = (error, res) => {
+  if (!(error instanceof expenseImportService.ImportError)) return false;
+
+  res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+  return true;
+};
+
+const sendServerError = (res, message, error) => {
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+class ExpenseImportController {
+  // Upload a CSV file (multipart field "file") with a profile and/or mapping settings;
+  // answers with the parsed rows, validation errors and category matches
+  async preview(req, res) {
+    try {
+      const preview = await expenseImportService.preview(req.user.id, req.file, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'File parsed. Check the rows, then commit the import.',
+        data: preview
+      });
+
+    } catch (error) {
+      console.error('Expense import preview error:', error);
+      if (handleKnownError(error, res)) return;
+      sendServerError(res, 'Error reading import file', error);
+    }
+  }
+
+  async getImport(req, res) {
+    try {
+      const preview = await expenseImportService.getPreview(req.user.id, req.params.importId);
+
+      res.json({
+        success: true,
+        message: 'Import retrieved successfully',
+        data: preview
+      });
+
+    } catch (error) {
+      console.error('Get expense import error:', error);
+      if (handleKnownError(error, res)) return;
+      sendServerError(res, 'Error retrieving import', error);
+    }
+  }
+
+  // Save the rows as expenses, all or nothing
+  async commit(req, res) {
+    try {
+      const { createMissingCategories, skipInvalidRows } = req.body;
+      const result = await expenseImportService.commit(req.user.id, req.params.importId, {
+        createMissingCategories,
+        skipInvalidRows
+      });
+
+      res.json({
+        success: true,
+        message: `${result.imported} expenses imported`,
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Expense import commit error:', error);
+      if (handleKnownError(error, res)) return;
+      sendServerError(res, 'Error importing expenses', error);
+    }
+  }
+
+  async listProfiles(req, res) {
+    try {
+      const profiles = await expenseImportService.listProfiles(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Import profiles retrieved successfully',
+        data: { profiles }
+      });
+
+    } catch (error) {
+      console.error('List import profiles error:', error);
+      sendServerError(res, 'Error retrieving import profiles', error);
+    }
+  }
+
+  async createProfile(req, res) {
+    try {
+      const profile = await expenseImportService.createProfile(req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Import profile created successfully',
+        data: { profile }
+      });
+
+    } catch (error) {
+      console.error('Create import profile error:', error);
+      if (handleKnownError(error, res)) return;
+      sendServerError(res, 'Error creating import profile', error);
+    }
+  }
+
+  async updateProfile(req, res) {
+    try {
+      const profile = await expenseImportService.updateProfile(req.user.id, req.params.profileId, req.body);
+
+      res.json({
+        success: true,
+        message: 'Import profile updated successfully',
+        data: { profile }
+      });
+
+    } catch (error) {
+      console.error('Update import profile error:', error);
+      if (handleKnownError(error, res)) return;
+      sendServerError(res, 'Error updating import profile', error);
+    }
+  }
+
+  async deleteProfile(req, res) {
+    try {
+      const deleted = await expenseImportService.deleteProfile(req.user.id, req.params.profileId);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Import profile not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Import profile deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete import profile error:', error);
+      sendServerError(res, 'Error deleting import profile', error);
+    }
+  }
+}
+
+module.exports = new ExpenseImportController();
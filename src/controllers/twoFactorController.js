@@ -0,0 +1,166 @@
+const twoFactorService = require('../services/twoFactorService');
+
+// Map service errors to responses; returns false for unexpected errors
+const handleKnownError = (error, res) => {
+  if (error.message.includes('already enabled') ||
+      error.message.includes('not enabled') ||
+      error.message.includes('has not been started')) {
+    res.status(400).json({ success: false, message: error.message });
+    return true;
+  }
+
+  if (error.message.includes('Invalid two-factor code')) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid two-factor code',
+      errors: { code: 'The code is wrong, expired or was already used' }
+    });
+    return true;
+  }
+
+  if (error.message.includes('Current password is incorrect')) {
+    res.status(400).json({
+      success: false,
+      message: 'Current password is incorrect',
+      errors: { password: 'The password you entered is wrong' }
+    });
+    return true;
+  }
+
+  return false;
+};
+
+class TwoFactorController {
+  // Two-factor status for the authenticated user
+  async getStatus(req, res) {
+    try {
+      const status = await twoFactorService.getStatus(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Two-factor status retrieved successfully',
+        data: status
+      });
+
+    } catch (error) {
+      console.error('Get two-factor status error:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Error retrieving two-factor status',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Start enrollment: returns the secret and an otpauth:// URI for a QR code
+  async setup(req, res) {
+    try {
+      const { secret, otpauthUri } = await twoFactorService.startEnrollment(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Scan the code with your authenticator app and confirm with a code',
+        data: { secret, otpauthUri }
+      });
+
+    } catch (error) {
+      console.error('Two-factor setup error:', error);
+      if (handleKnownError(error, res)) return;
+
+      res.status(500).json({
+        success: false,
+        message: 'Error starting two-factor setup',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Confirm enrollment with a code; returns the recovery codes once
+  async confirm(req, res) {
+    try {
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor code is required',
+          errors: { code: 'Code is required' }
+        });
+      }
+
+      const recoveryCodes = await twoFactorService.confirmEnrollment(req.user.id, code);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.',
+        data: { recoveryCodes }
+      });
+
+    } catch (error) {
+      console.error('Two-factor confirm error:', error);
+      if (handleKnownError(error, res)) return;
+
+      res.status(500).json({
+        success: false,
+        message: 'Error enabling two-factor authentication',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Turn two-factor off (needs password and a code or recovery code)
+  async disable(req, res) {
+    try {
+      const { password, code, recoveryCode } = req.body;
+
+      await twoFactorService.disable(req.user.id, password, { code, recoveryCode });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+
+    } catch (error) {
+      console.error('Two-factor disable error:', error);
+      if (handleKnownError(error, res)) return;
+
+      res.status(500).json({
+        success: false,
+        message: 'Error disabling two-factor authentication',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Replace all recovery codes (needs password and a code or recovery code)
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const { password, code, recoveryCode } = req.body;
+
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(
+        req.user.id,
+        password,
+        { code, recoveryCode }
+      );
+
+      res.json({
+        success: true,
+        message: 'New recovery codes generated. The old ones no longer work.',
+        data: { recoveryCodes }
+      });
+
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error);
+      if (handleKnownError(error, res)) return;
+
+      res.status(500).json({
+        success: false,
+        message: 'Error generating recovery codes',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new TwoFactorController();
@@ -0,0 +1,67 @@
+const recurringExpenseService = require('../services/recurringExpenseService');
+const recurringIncomeService = require('../services/recurringIncomeService');
+const accountService = require('../services/accountService');
+
+// Background tasks run on a fixed interval by every instance.
+// Tasks must be idempotent: several Cloud Run instances may run them at the same time.
+const tasks = [
+  {
+    name: 'recurring-expenses',
+    run: () => recurringExpenseService.materializeAll()
+  },
+  {
+    name: 'recurring-income',
+    run: () => recurringIncomeService.postAllDue()
+  },
+  {
+    name: 'account-deletion',
+    run: () => accountService.purgeDueAccounts()
+  }
+];
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+let timer = null;
+let running = false;
+
+const runTasks = async () => {
+  // Skip this tick if the previous run is still going
+  if (running) return;
+  running = true;
+
+  try {
+    for (const task of tasks) {
+      try {
+        const result = await task.run();
+        console.log(`Scheduler task ${task.name} completed:`, result);
+      } catch (error) {
+        console.error(`Scheduler task ${task.name} failed:`, error);
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+const startScheduler = (intervalMs = parseInt(process.env.SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return;
+
+  timer = setInterval(runTasks, intervalMs);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+
+  runTasks();
+};
+
+const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  runTasks
+};
@@ -1,5 +1,8 @@
-const jwt = require("jsonwebtoken");
+const { verifyAccessToken } = require("../utils/jwt");
 const { User } = require("../models");
+const sessionService = require("../services/sessionService");
+const personalAccessTokenService = require("../services/personalAccessTokenService");
+const { setActor } = require("../utils/requestContext");
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -11,7 +14,33 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Personal access tokens (scripts and integrations) are limited to their scopes
+    if (personalAccessTokenService.isPersonalAccessToken(token)) {
+      const result = await personalAccessTokenService.authenticate(token, req.ip);
+
+      if (!result) {
+        return res.status(401).json({ 
+          error: "Invalid or expired access token." 
+        });
+      }
+
+      if (result.user.disabledAt) {
+        return res.status(403).json({ 
+          error: "This account has been disabled.",
+          code: "ACCOUNT_DISABLED"
+        });
+      }
+
+      req.user = result.user;
+      req.userId = result.user._id;
+      req.sessionId = null;
+      req.accessToken = result.accessToken;
+      req.tokenScopes = result.accessToken.scopes;
+      setActor({ actorId: result.user._id, actorType: "token" });
+      return next();
+    }
+
+    const decoded = verifyAccessToken(token);
     const user = await User.findById(decoded.userId);
     
     if (!user) {
@@ -20,8 +49,26 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
+    if (user.disabledAt) {
+      return res.status(403).json({ 
+        error: "This account has been disabled.",
+        code: "ACCOUNT_DISABLED"
+      });
+    }
+
+    // Tokens from a revoked session stop working right away
+    if (decoded.sid && !(await sessionService.touchSession(decoded.sid))) {
+      return res.status(401).json({ 
+        error: "Session has been revoked." 
+      });
+    }
+
     req.user = user;
     req.userId = user._id;
+    req.sessionId = decoded.sid || null;
+    // Signed-in users aren't limited by scopes
+    req.tokenScopes = null;
+    setActor({ actorId: user._id, actorType: "user", sessionId: req.sessionId });
     next();
   } catch (error) {
     console.error("Auth middleware error:", error);
@@ -0,0 +1,56 @@
+// Optimistic concurrency for updates. Clients send the version they edited either as
+// `version` in the body or as an If-Match header holding the ETag from a previous response.
+
+const formatETag = (version) => `"${version}"`;
+
+// Read the expected version into req.expectedVersion (null when the client sent none)
+const readExpectedVersion = (req, res, next) => {
+  let raw = req.body && req.body.version !== undefined ? req.body.version : undefined;
+
+  const ifMatch = req.header("If-Match");
+  if (raw === undefined && ifMatch && ifMatch.trim() !== "*") {
+    raw = ifMatch.trim().replace(/^W\//, "").replace(/"/g, "");
+  }
+
+  if (raw === undefined || raw === null || raw === "") {
+    req.expectedVersion = null;
+    return next();
+  }
+
+  const version = Number(raw);
+  if (!Number.isInteger(version) || version < 1) {
+    return res.status(400).json({ error: "Invalid version" });
+  }
+
+  req.expectedVersion = version;
+  next();
+};
+
+// Add the expected version to an update filter so stale writes match nothing
+const withExpectedVersion = (req, filter) => {
+  if (req.expectedVersion === null || req.expectedVersion === undefined) return filter;
+  return { ...filter, version: req.expectedVersion };
+};
+
+const setVersionTag = (res, doc) => {
+  if (doc && doc.version !== undefined) {
+    res.set("ETag", formatETag(doc.version));
+  }
+};
+
+// Reject a stale write and hand back the current server copy
+const sendVersionConflict = (res, current, body = { error: "Version conflict" }) => {
+  setVersionTag(res, current);
+  res.status(409).json({
+    ...body,
+    currentVersion: current.version,
+    current
+  });
+};
+
+module.exports = {
+  readExpectedVersion,
+  withExpectedVersion,
+  setVersionTag,
+  sendVersionConflict
+};
@@ -0,0 +1,16 @@
+const emailVerificationService = require("../services/emailVerificationService");
+
+// Block an action for accounts that haven't verified their email, if the
+// verification policy (EMAIL_VERIFICATION_BLOCKED_ACTIONS) lists it. Use after authMiddleware.
+const requireVerifiedEmail = (action) => (req, res, next) => {
+  if (emailVerificationService.isActionAllowed(req.user, action)) {
+    return next();
+  }
+
+  res.status(403).json({
+    error: "Please verify your email address to use this feature",
+    code: "EMAIL_NOT_VERIFIED"
+  });
+};
+
+module.exports = requireVerifiedEmail;
@@ -1,9 +1,21 @@
 const authMiddleware = require("./auth");
+const optionalAuth = require("./optionalAuth");
 const errorHandler = require("./errorHandler");
 const validation = require("./validation");
+const concurrency = require("./concurrency");
+const requireVerifiedEmail = require("./emailVerification");
+const rateLimit = require("./rateLimit");
+const scopes = require("./scopes");
+const requirePermission = require("./permissions");
 
 module.exports = {
   authMiddleware,
+  optionalAuth,
   errorHandler,
-  ...validation
+  requireVerifiedEmail,
+  requirePermission,
+  ...validation,
+  ...concurrency,
+  ...rateLimit,
+  ...scopes
 };
\ No newline at end of file
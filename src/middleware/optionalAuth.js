@@ -0,0 +1,30 @@
+const { verifyAccessToken } = require("../utils/jwt");
+const { User } = require("../models");
+const sessionService = require("../services/sessionService");
+
+// Like authMiddleware, but lets requests without a valid token through.
+// Sets req.user / req.userId when the token is valid and its session isn't revoked.
+const optionalAuth = async (req, res, next) => {
+  const token = req.header("Authorization")?.replace("Bearer ", "");
+  if (!token) return next();
+
+  try {
+    const decoded = verifyAccessToken(token);
+    const user = await User.findById(decoded.userId);
+
+    // Tokens from a revoked session count as no token, as in authMiddleware
+    const sessionActive = !decoded.sid || (await sessionService.touchSession(decoded.sid));
+
+    if (user && !user.disabledAt && sessionActive) {
+      req.user = user;
+      req.userId = user._id;
+      req.sessionId = decoded.sid || null;
+    }
+  } catch (error) {
+    // An invalid or expired token is treated as no token
+  }
+
+  next();
+};
+
+module.exports = optionalAuth;
@@ -0,0 +1,15 @@
+const { hasPermission } = require("../utils/permissions");
+
+// Require a role permission (see utils/permissions), e.g. "users:disable". Use after authMiddleware.
+const requirePermission = (permission) => (req, res, next) => {
+  if (req.user && hasPermission(req.user.role, permission)) {
+    return next();
+  }
+
+  res.status(403).json({
+    error: "You don't have permission to perform this action",
+    code: "FORBIDDEN"
+  });
+};
+
+module.exports = requirePermission;
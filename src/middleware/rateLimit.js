@@ -0,0 +1,135 @@
+const mongoose = require("mongoose");
+const { RateLimitCounter } = require("../models");
+const { verifyAccessToken } = require("../utils/jwt");
+const { hashToken } = require("../utils/tokens");
+const personalAccessTokenService = require("../services/personalAccessTokenService");
+
+const DEFAULT_WINDOW_MS = 15 * 60 * 1000;
+
+const getSetting = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+// Policy from RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_MS (window defaults to RATE_LIMIT_WINDOW_MS)
+const getPolicy = (name, defaultMax) => {
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  return {
+    max: getSetting(`${prefix}_MAX`, defaultMax),
+    windowMs: getSetting(`${prefix}_WINDOW_MS`, getSetting("RATE_LIMIT_WINDOW_MS", DEFAULT_WINDOW_MS))
+  };
+};
+
+const isReadRequest = (req) => ["GET", "HEAD", "OPTIONS"].includes(req.method);
+
+// Endpoints that take credentials (passwords, codes, reset and unlock tokens, provider codes)
+const CREDENTIAL_PATH = /^\/api\/auth\/(login|register|forgot-password|reset-password|unlock|2fa\/verify|oidc\/[^/]+\/callback|oidc\/link\/confirm)\/?$/;
+
+const isCredentialRequest = (req) => CREDENTIAL_PATH.test(`${req.baseUrl}${req.path}`);
+
+// Authenticated requests are limited per user (or per personal access token), so users
+// behind one NAT don't share a budget; anything else per IP. Only the signature is checked here, authMiddleware
+// still decides whether the request is allowed.
+const getClientKey = (req) => {
+  const token = req.header("Authorization")?.replace("Bearer ", "");
+  if (token && personalAccessTokenService.isPersonalAccessToken(token)) {
+    return `token:${hashToken(token)}`;
+  }
+  if (token) {
+    try {
+      const decoded = verifyAccessToken(token);
+      if (decoded.userId) return `user:${decoded.userId}`;
+    } catch (error) {
+      // Invalid tokens are counted against the IP
+    }
+  }
+  return `ip:${req.ip}`;
+};
+
+// Standard RateLimit-* headers. When several limiters apply to a request, the one with
+// the fewest requests left is reported.
+const setHeaders = (res, state) => {
+  const reported = res.locals.rateLimit;
+  if (reported && reported.remaining <= state.remaining) return;
+  res.locals.rateLimit = state;
+
+  res.set({
+    "RateLimit-Policy": `${state.limit};w=${Math.round(state.windowMs / 1000)}`,
+    "RateLimit-Limit": String(state.limit),
+    "RateLimit-Remaining": String(state.remaining),
+    "RateLimit-Reset": String(state.reset)
+  });
+};
+
+// Fixed-window rate limiter. Counters live in MongoDB so the limit holds across
+// instances. `skip(req)` exempts requests from this limiter.
+const rateLimit = ({ name, max, windowMs, skip }) => async (req, res, next) => {
+  if (process.env.RATE_LIMIT_ENABLED === "false" || (skip && skip(req))) {
+    return next();
+  }
+
+  // Without the database, serve the request rather than wait for it
+  if (mongoose.connection.readyState !== 1) {
+    return next();
+  }
+
+  try {
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const windowEnd = windowStart + windowMs;
+
+    const count = await RateLimitCounter.hit(
+      `${name}:${getClientKey(req)}:${windowStart}`,
+      new Date(windowEnd)
+    );
+
+    const reset = Math.max(1, Math.ceil((windowEnd - now) / 1000));
+    setHeaders(res, { limit: max, remaining: Math.max(0, max - count), reset, windowMs });
+
+    if (count > max) {
+      res.set("Retry-After", String(reset));
+      return res.status(429).json({
+        error: "Too many requests. Please try again later.",
+        retryAfter: reset
+      });
+    }
+  } catch (error) {
+    // A failing store shouldn't take the API down with it
+    console.error("Rate limit error:", error);
+  }
+
+  next();
+};
+
+// Policies used by server.js; see .env.example for the settings
+const createRateLimiters = () => {
+  const auth = getPolicy("auth", 20);
+  const analytics = getPolicy("analytics", 60);
+  const read = getPolicy("read", 600);
+  // RATE_LIMIT_MAX_REQUESTS is the older name of RATE_LIMIT_WRITE_MAX
+  const write = getPolicy("write", getSetting("RATE_LIMIT_MAX_REQUESTS", 100));
+
+  return {
+    // Login, registration, password reset etc. have their own, stricter policy; the other
+    // /api/auth endpoints (profile, refresh, sessions, tokens) count as reads and writes
+    auth: rateLimit({ name: "auth", ...auth, skip: (req) => !isCredentialRequest(req) }),
+    // Aggregations are expensive, so they get a budget of their own on top of the read limit
+    analytics: rateLimit({ name: "analytics", ...analytics }),
+    // Everything else under /api, reads and writes counted separately
+    read: rateLimit({
+      name: "read",
+      ...read,
+      skip: (req) => !isReadRequest(req) || isCredentialRequest(req)
+    }),
+    write: rateLimit({
+      name: "write",
+      ...write,
+      skip: (req) => isReadRequest(req) || isCredentialRequest(req)
+    })
+  };
+};
+
+module.exports = {
+  rateLimit,
+  createRateLimiters
+};
@@ -0,0 +1,32 @@
+// Scope checks for personal access tokens. Requests authenticated with a login (JWT)
+// have no scope limits. Use after authMiddleware.
+
+// Require a scope (e.g. "read:expenses") when the request uses a personal access token
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.tokenScopes || req.tokenScopes.includes(scope)) {
+    return next();
+  }
+
+  res.status(403).json({
+    error: `This access token is missing the "${scope}" scope`,
+    code: "INSUFFICIENT_SCOPE",
+    requiredScope: scope
+  });
+};
+
+// Account security endpoints (sessions, password, 2FA, tokens) need a real login
+const rejectPersonalAccessTokens = (req, res, next) => {
+  if (!req.tokenScopes) {
+    return next();
+  }
+
+  res.status(403).json({
+    error: "This endpoint can't be used with a personal access token",
+    code: "LOGIN_REQUIRED"
+  });
+};
+
+module.exports = {
+  requireScope,
+  rejectPersonalAccessTokens
+};
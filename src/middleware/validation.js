@@ -59,6 +59,40 @@ const validateExpense = [
   checkValidation
 ];
 
+// Validation rules for "this and all future" edits of a recurring expense
+const validateRecurringExpenseUpdate = [
+  body("amount")
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage("Amount must be greater than 0"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Description must be between 1 and 200 characters"),
+  body("categoryId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid category ID"),
+  body("recurringFrequency")
+    .optional()
+    .isIn(["daily", "weekly", "monthly", "yearly"])
+    .withMessage("Invalid recurring frequency"),
+  body("recurringEndDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Invalid date format"),
+  checkValidation
+];
+
+// Validation rules for skipping a recurring occurrence
+const validateSkipOccurrence = [
+  body("date")
+    .isISO8601()
+    .withMessage("Occurrence date is required"),
+  checkValidation
+];
+
 // Validation rules for income creation
 const validateIncome = [
   body("amount")
@@ -100,6 +134,8 @@ module.exports = {
   validateRegistration,
   validateLogin,
   validateExpense,
+  validateRecurringExpenseUpdate,
+  validateSkipOccurrence,
   validateIncome,
   validateCategory,
   checkValidation
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Audit record of an action taken through the admin API
+const adminActionSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  actorRole: {
+    type: String,
+    required: true
+  },
+  // e.g. "user.disable", "user.force_logout"
+  action: {
+    type: String,
+    required: true
+  },
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ipAddress: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+adminActionSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AdminAction', adminActionSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const syncable = require('./plugins/syncable');
+const auditable = require('./plugins/auditable');
 
 const allocationSchema = new mongoose.Schema({
   userId: {
@@ -25,13 +27,30 @@ const allocationSchema = new mongoose.Schema({
     default: null
   },
   templateId: {
-    type: String, // Reference to SQLite template_id
+    type: String, // Client-side allocation/template reference (SQLite template_id)
     required: true
   },
   bucketName: {
-    type: String, // Reference to SQLite bucket name
+    type: String, // Name of the template bucket this allocation belongs to
     default: ''
   },
+  allocationTemplateId: {
+    type: mongoose.Schema.Types.ObjectId, // Server-side template this allocation was generated from
+    ref: 'AllocationTemplate',
+    default: null
+  },
+  // What happens to unspent money at the end of a month (deficits always carry over):
+  // none - surplus is dropped, full - surplus rolls over, capped - rolls over up to rolloverCap
+  rolloverRule: {
+    type: String,
+    enum: ['none', 'full', 'capped'],
+    default: 'none'
+  },
+  rolloverCap: {
+    type: Number,
+    min: 0,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -43,5 +62,12 @@ const allocationSchema = new mongoose.Schema({
 // Index for faster queries
 allocationSchema.index({ userId: 1, categoryName: 1 });
 allocationSchema.index({ templateId: 1 });
+allocationSchema.index({ userId: 1, allocationTemplateId: 1 });
+
+// Offline sync fields, change sequence and tombstones
+allocationSchema.plugin(syncable, { entity: 'allocations' });
+
+// Audit events with before/after diffs
+allocationSchema.plugin(auditable, { entity: 'allocation' });
 
 module.exports = mongoose.model('Allocation', allocationSchema);
\ No newline at end of file
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+const bucketSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Bucket name is required'],
+    trim: true,
+    maxlength: [50, 'Bucket name cannot exceed 50 characters']
+  },
+  percentage: {
+    type: Number,
+    required: [true, 'Bucket percentage is required'],
+    min: [0, 'Bucket percentage cannot be negative'],
+    max: [100, 'Bucket percentage cannot exceed 100']
+  },
+  // Categories that share this bucket's percentage when the template is applied
+  categoryNames: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  }]
+}, { _id: false });
+
+const allocationTemplateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null for built-in templates
+  },
+  // Stable identifier of built-in templates
+  key: {
+    type: String,
+    default: undefined
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [50, 'Template name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  isBuiltIn: {
+    type: Boolean,
+    default: false
+  },
+  buckets: {
+    type: [bucketSchema],
+    validate: [
+      {
+        validator: function(buckets) {
+          return buckets.length > 0;
+        },
+        message: 'Template must have at least one bucket'
+      },
+      {
+        validator: function(buckets) {
+          const names = buckets.map(bucket => bucket.name.toLowerCase());
+          return new Set(names).size === names.length;
+        },
+        message: 'Bucket names must be unique'
+      },
+      {
+        validator: function(buckets) {
+          const total = buckets.reduce((sum, bucket) => sum + bucket.percentage, 0);
+          return Math.abs(total - 100) < 0.01;
+        },
+        message: 'Bucket percentages must add up to 100'
+      }
+    ]
+  }
+}, {
+  timestamps: true
+});
+
+allocationTemplateSchema.index({ userId: 1, name: 1 });
+allocationTemplateSchema.index(
+  { key: 1 },
+  { unique: true, partialFilterExpression: { key: { $type: 'string' } } }
+);
+
+// Templates every user can apply
+allocationTemplateSchema.statics.BUILT_IN_TEMPLATES = [
+  {
+    key: '50-30-20',
+    name: '50/30/20',
+    description: 'Needs, wants and savings',
+    buckets: [
+      { name: 'Needs', percentage: 50, categoryNames: ['House Rent', 'Utilities', 'Food & Dining', 'Transportation', 'Healthcare'] },
+      { name: 'Wants', percentage: 30, categoryNames: ['Shopping', 'Entertainment', 'Travel'] },
+      { name: 'Savings', percentage: 20, categoryNames: ['Savings'] }
+    ]
+  },
+  {
+    key: '70-20-10',
+    name: '70/20/10',
+    description: 'Living expenses, savings and giving or debt repayment',
+    buckets: [
+      { name: 'Living', percentage: 70, categoryNames: ['House Rent', 'Utilities', 'Food & Dining', 'Transportation', 'Healthcare', 'Shopping', 'Entertainment'] },
+      { name: 'Savings', percentage: 20, categoryNames: ['Savings'] },
+      { name: 'Giving & Debt', percentage: 10, categoryNames: [] }
+    ]
+  },
+  {
+    key: '80-20',
+    name: '80/20',
+    description: 'Pay yourself first: save 20% and spend the rest',
+    buckets: [
+      { name: 'Spending', percentage: 80, categoryNames: [] },
+      { name: 'Savings', percentage: 20, categoryNames: ['Savings'] }
+    ]
+  }
+];
+
+// Create or refresh the built-in templates
+allocationTemplateSchema.statics.ensureBuiltInTemplates = async function() {
+  try {
+    await this.bulkWrite(this.BUILT_IN_TEMPLATES.map(template => ({
+      updateOne: {
+        filter: { key: template.key },
+        update: { $set: { ...template, userId: null, isBuiltIn: true } },
+        upsert: true
+      }
+    })));
+  } catch (error) {
+    console.error('Error creating built-in allocation templates:', error);
+    throw error;
+  }
+};
+
+// Templates visible to a user: their own plus the built-in ones
+allocationTemplateSchema.statics.findAvailable = function(userId, filter = {}) {
+  return this.find({
+    ...filter,
+    $or: [{ userId }, { isBuiltIn: true }]
+  }).sort({ isBuiltIn: -1, name: 1 });
+};
+
+module.exports = mongoose.model('AllocationTemplate', allocationTemplateSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Append-only record of a security event or a change to financial data. Written by
+// auditService (directly, or through the auditable plugin); never updated or deleted.
+const auditEventSchema = new mongoose.Schema({
+  // Account the event belongs to (the data owner)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  // Who did it; differs from userId for admin actions
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // user (login session), token (personal access token), admin, system (jobs) or anonymous
+  actorType: {
+    type: String,
+    enum: ['user', 'token', 'admin', 'system', 'anonymous'],
+    required: true
+  },
+  // e.g. "auth.login", "expense.update"
+  action: {
+    type: String,
+    required: true
+  },
+  entityType: String,
+  entityId: mongoose.Schema.Types.ObjectId,
+  // Changed fields only: their values before and after the change
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ipAddress: String,
+  userAgent: String,
+  sessionId: String,
+  requestId: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditEventSchema.index({ userId: 1, createdAt: -1 });
+auditEventSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditEventSchema.index({ createdAt: -1 });
+
+// Append-only: refuse every update and delete
+const rejectChange = function() {
+  throw new Error('Audit events are append-only');
+};
+
+auditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+auditEventSchema.pre('save', function() {
+  if (!this.isNew) rejectChange();
+});
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
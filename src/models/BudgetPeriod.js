@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Monthly envelope record for one allocation
+const budgetPeriodSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  allocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Allocation',
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  month: {
+    type: Number, // 1-12
+    required: true,
+    min: 1,
+    max: 12
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  openingBalance: {
+    type: Number,
+    default: 0
+  },
+  funded: {
+    type: Number,
+    default: 0
+  },
+  spent: {
+    type: Number,
+    default: 0
+  },
+  closingBalance: {
+    type: Number,
+    default: 0
+  },
+  // Amount carried into the next month after applying the rollover rule
+  carryOver: {
+    type: Number,
+    default: 0
+  },
+  rolloverRule: {
+    type: String,
+    enum: ['none', 'full', 'capped'],
+    default: 'none'
+  },
+  rolloverCap: {
+    type: Number,
+    default: null
+  },
+  isClosed: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+budgetPeriodSchema.index({ allocationId: 1, year: 1, month: 1 }, { unique: true });
+budgetPeriodSchema.index({ userId: 1, year: 1, month: 1 });
+
+module.exports = mongoose.model('BudgetPeriod', budgetPeriodSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const syncable = require('./plugins/syncable');
+const auditable = require('./plugins/auditable');
 
 const categorySchema = new mongoose.Schema({
   userId: {
@@ -66,4 +68,10 @@ categorySchema.statics.createDefaultCategories = async function(userId) {
   }
 };
 
+// Offline sync fields, change sequence and tombstones
+categorySchema.plugin(syncable, { entity: 'categories' });
+
+// Audit events with before/after diffs
+categorySchema.plugin(auditable, { entity: 'category' });
+
 module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Named sequences (e.g. the sync change sequence)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Atomically increment a sequence and return the new value. `count` reserves several
+// numbers at once (the returned value is the last one). A sequence that doesn't exist
+// yet starts counting after `initial`.
+counterSchema.statics.next = async function(name, { count = 1, initial = 0 } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    [{ $set: { seq: { $add: [{ $ifNull: ['$seq', initial] }, count] } } }],
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
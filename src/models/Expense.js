@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const syncable = require("./plugins/syncable");
+const auditable = require("./plugins/auditable");
 
 const expenseSchema = new mongoose.Schema({
   userId: {
@@ -59,6 +61,20 @@ const expenseSchema = new mongoose.Schema({
       message: "Recurring end date must be in the future"
     }
   },
+  // Occurrences generated from a recurring expense point back to it
+  recurringParentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Expense",
+    default: null
+  },
+  // Occurrence dates the user chose to skip (set on the recurring parent)
+  recurringSkippedDates: [{
+    type: Date
+  }],
+  // Date of the last occurrence the scheduler generated (set on the recurring parent)
+  recurringLastGeneratedAt: {
+    type: Date
+  },
   location: {
     latitude: Number,
     longitude: Number,
@@ -72,4 +88,18 @@ const expenseSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Indexes for recurring expense generation
+expenseSchema.index({ isRecurring: 1, recurringParentId: 1 });
+// One occurrence per parent and date, so overlapping scheduler runs can't duplicate rows
+expenseSchema.index(
+  { recurringParentId: 1, date: 1 },
+  { unique: true, partialFilterExpression: { recurringParentId: { $type: "objectId" } } }
+);
+
+// Offline sync fields, change sequence and tombstones
+expenseSchema.plugin(syncable, { entity: "expenses" });
+
+// Audit events with before/after diffs
+expenseSchema.plugin(auditable, { entity: "expense" });
+
 module.exports = mongoose.model("Expense", expenseSchema);
\ No newline at end of file
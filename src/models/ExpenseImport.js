@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// An uploaded CSV file, parsed and validated, waiting for the user to commit it. Rows are
+// kept as parsed so the commit writes exactly what the preview showed. Uncommitted
+// imports expire.
+const expenseImportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  fileName: String,
+  profileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportProfile',
+    default: null
+  },
+  // Settings the file was parsed with (see ImportProfile)
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  headers: [String],
+  rows: [{
+    _id: false,
+    // Row number in the file (the header is row 1), for error messages
+    rowNumber: Number,
+    date: Date,
+    amount: Number,
+    description: String,
+    category: String,
+    tags: [String],
+    notes: String,
+    // Validation errors; rows with errors are not imported
+    issues: [String]
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'committed'],
+    default: 'pending'
+  },
+  committedAt: Date,
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Abandoned and old imports are removed by MongoDB
+expenseImportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ExpenseImport', expenseImportSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A saved CSV import setup: which column holds which expense field, and how dates and
+// amounts are written. Columns are header names, or 1-based column numbers.
+const importProfileSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Profile name is required'],
+    trim: true,
+    maxlength: [50, 'Profile name cannot exceed 50 characters']
+  },
+  mapping: {
+    date: String,
+    amount: String,
+    description: String,
+    category: String,
+    tags: String,
+    notes: String
+  },
+  // e.g. YYYY-MM-DD, DD/MM/YYYY, MM/DD/YY
+  dateFormat: {
+    type: String,
+    default: 'YYYY-MM-DD'
+  },
+  decimalSeparator: {
+    type: String,
+    enum: ['.', ','],
+    default: '.'
+  },
+  // Empty means detect from the file
+  delimiter: {
+    type: String,
+    enum: ['', ',', ';', '\t'],
+    default: ''
+  },
+  tagSeparator: {
+    type: String,
+    default: ';'
+  },
+  hasHeaderRow: {
+    type: Boolean,
+    default: true
+  },
+  // Used for rows without a category
+  defaultCategory: {
+    type: String,
+    trim: true
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+importProfileSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ImportProfile', importProfileSchema);
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const syncable = require("./plugins/syncable");
+const auditable = require("./plugins/auditable");
 
 const incomeSchema = new mongoose.Schema({
   userId: {
@@ -55,6 +57,22 @@ const incomeSchema = new mongoose.Schema({
       message: "Recurring end date must be in the future"
     }
   },
+  // Post occurrences of this recurring income as Income records on their due date.
+  // When false, occurrences are only projected into summaries and analytics.
+  recurringAutoPost: {
+    type: Boolean,
+    default: false
+  },
+  // Posted occurrences point back to the recurring income they came from
+  recurringParentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Income",
+    default: null
+  },
+  // Date of the last occurrence posted as a concrete record (set on the recurring parent)
+  recurringLastPostedAt: {
+    type: Date
+  },
   tags: [{
     type: String,
     trim: true,
@@ -108,6 +126,12 @@ incomeSchema.index({ userId: 1, category: 1 });
 incomeSchema.index({ userId: 1, api_id: 1 }); // For sync lookups
 incomeSchema.index({ userId: 1, sync_status: 1 }); // For sync queries
 incomeSchema.index({ userId: 1, last_sync_at: 1 }); // For sync performance
+incomeSchema.index({ userId: 1, isRecurring: 1, recurringParentId: 1 }); // For recurring projection
+// One posted occurrence per parent and date
+incomeSchema.index(
+  { recurringParentId: 1, date: 1 },
+  { unique: true, partialFilterExpression: { recurringParentId: { $type: "objectId" } } }
+);
 
 // Virtual for formatted amount
 incomeSchema.virtual('formattedAmount').get(function() {
@@ -122,7 +146,6 @@ incomeSchema.virtual('displayCategory').get(function() {
 // Pre-save middleware to update last_modified
 incomeSchema.pre('save', function(next) {
   this.metadata.last_modified = new Date();
-  this.version += 1;
   next();
 });
 
@@ -191,6 +214,8 @@ incomeSchema.methods.toSyncFormat = function() {
     isRecurring: this.isRecurring,
     recurringFrequency: this.recurringFrequency,
     recurringEndDate: this.recurringEndDate,
+    recurringAutoPost: this.recurringAutoPost,
+    recurringParentId: this.recurringParentId,
     tags: this.tags,
     notes: this.notes,
     api_id: this.api_id,
@@ -210,6 +235,7 @@ incomeSchema.statics.createFromFrontend = function(userId, frontendData) {
     frequency,
     type,
     isRecurring = true,
+    autoPost,
     api_id
   } = frontendData;
 
@@ -224,6 +250,7 @@ incomeSchema.statics.createFromFrontend = function(userId, frontendData) {
               type === 'secondary' ? 'freelance' : 'other',
     isRecurring: isRecurring,
     recurringFrequency: frequency,
+    recurringAutoPost: autoPost,
     api_id: api_id,
     sync_status: "pending"
   };
@@ -240,7 +267,8 @@ incomeSchema.statics.updateFromFrontend = function(incomeId, userId, updateData)
     startDate,
     frequency,
     type,
-    isRecurring = true
+    isRecurring = true,
+    autoPost
   } = updateData;
 
   // Map frontend fields to backend schema
@@ -253,6 +281,7 @@ incomeSchema.statics.updateFromFrontend = function(incomeId, userId, updateData)
               type === 'secondary' ? 'freelance' : 'other',
     isRecurring: isRecurring,
     recurringFrequency: frequency,
+    recurringAutoPost: autoPost,
     sync_status: "pending", // Mark as needing sync back to frontend
     "metadata.last_modified": new Date()
   };
@@ -271,4 +300,10 @@ incomeSchema.statics.updateFromFrontend = function(incomeId, userId, updateData)
   );
 };
 
+// Offline sync fields, change sequence and tombstones
+incomeSchema.plugin(syncable, { entity: "income" });
+
+// Audit events with before/after diffs
+incomeSchema.plugin(auditable, { entity: "income" });
+
 module.exports = mongoose.model("Income", incomeSchema);
\ No newline at end of file
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Ledger of how each income was split across the user's allocations
+const incomeAllocationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  incomeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Income',
+    required: true
+  },
+  allocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Allocation',
+    required: true
+  },
+  categoryId: {
+    type: String, // Same format as Allocation.categoryId
+    default: null
+  },
+  categoryName: {
+    type: String,
+    required: true
+  },
+  bucketName: {
+    type: String,
+    default: ''
+  },
+  percentage: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  date: {
+    type: Date, // Date of the income
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+incomeAllocationSchema.index({ incomeId: 1 });
+incomeAllocationSchema.index({ userId: 1, date: -1 });
+incomeAllocationSchema.index({ userId: 1, bucketName: 1, categoryName: 1 });
+
+module.exports = mongoose.model('IncomeAllocation', incomeAllocationSchema);
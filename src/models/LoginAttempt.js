@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Failed login counter for one account (by email, whether or not it exists) or one IP address
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Number of lockouts so far; each one lasts longer
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  // Hash of the token in the unlock email (account entries only)
+  unlockTokenHash: {
+    type: String,
+    default: null
+  },
+  // The entry is forgotten after a quiet period
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginAttemptSchema.index({ unlockTokenHash: 1 }, { sparse: true });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['budget_threshold', 'security', 'system'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Identifies the event so the same alert is never stored twice
+  dedupeKey: {
+    type: String
+  },
+  // Delivery result per channel (the in-app channel is this document itself)
+  deliveries: [{
+    channel: String,
+    status: {
+      type: String,
+      enum: ['sent', 'failed', 'skipped']
+    },
+    error: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, isRead: 1 });
+notificationSchema.index(
+  { userId: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Notification', notificationSchema);
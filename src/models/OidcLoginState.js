@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A sign-in with an external identity provider in progress: created when the user is sent
+// to the provider, consumed once when the provider redirects back. Holds the PKCE verifier
+// and nonce; only the hash of the `state` value is stored.
+//
+// Also used for an identity waiting to be linked to an existing account (`linkUserId` set):
+// then `stateHash` is the hash of the link token and the account's password confirms it.
+const oidcLoginStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: function() { return !this.linkUserId; }
+  },
+  codeVerifier: {
+    type: String,
+    required: function() { return !this.linkUserId; }
+  },
+  redirectUri: {
+    type: String,
+    required: function() { return !this.linkUserId; }
+  },
+  // Pending link: the account and the verified identity from the provider
+  linkUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  subject: String,
+  email: String,
+  // Device details of the login, used for the session it creates
+  deviceName: String,
+  platform: String,
+  ipAddress: String,
+  userAgent: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Abandoned logins are removed by MongoDB
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcLoginState', oidcLoginStateSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Long-lived, scoped API token for scripts and integrations. Only the token hash is
+// stored; the token itself is shown once when it is created.
+const personalAccessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the token, so users can tell their tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [String],
+    default: []
+  },
+  // null: never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Request count for one rate limit key in one fixed window, shared by all instances
+const rateLimitCounterSchema = new mongoose.Schema({
+  // "<policy>:<user or ip>:<window start>"
+  _id: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // End of the window; the TTL index removes the counter afterwards
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Atomically count a request and return the count so far in the window
+rateLimitCounterSchema.statics.hit = async function(key, expiresAt) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+    { new: true, upsert: true }
+  );
+  return counter.count;
+};
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
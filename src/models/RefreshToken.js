@@ -7,12 +7,58 @@ const refreshTokenSchema = new mongoose.Schema({
     ref: 'User',
     index: true
   },
+  // SHA-256 hash of the refresh token; the token itself is never stored
   token: {
     type: String,
     required: true,
     unique: true,
     index: true
   },
+  // Stable id of the login session; kept when the refresh token is rotated
+  sessionId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Device the session was started on
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  platform: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Token this one replaced when the session was refreshed
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  },
+  // Set once the token has been exchanged; presenting it again means it was stolen
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  // When the user last signed in (password or external provider) for this session;
+  // kept when the token is rotated
+  authenticatedAt: {
+    type: Date,
+    default: Date.now
+  },
   createdAt: {
     type: Date,
     default: Date.now
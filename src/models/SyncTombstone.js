@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Record of a deleted document so offline clients can remove their local copy
+const syncTombstoneSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  entity: {
+    type: String,
+    enum: ['expenses', 'income', 'categories', 'allocations'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  api_id: {
+    type: String
+  },
+  syncSeq: {
+    type: Number,
+    required: true
+  },
+  syncSeqAt: {
+    type: Date
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+syncTombstoneSchema.index({ userId: 1, syncSeq: 1 });
+// Tombstones are kept for SYNC_TOMBSTONE_TTL_DAYS (default 90); clients that have not
+// synced for longer must do a full sync (pull with since=0)
+syncTombstoneSchema.index(
+  { deletedAt: 1 },
+  { expireAfterSeconds: (parseInt(process.env.SYNC_TOMBSTONE_TTL_DAYS) || 90) * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('SyncTombstone', syncTombstoneSchema);
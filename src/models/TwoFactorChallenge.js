@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Second login step for accounts with two-factor authentication. Issued after the
+// password check; exchanged for tokens with a valid code. Only the token hash is stored.
+const twoFactorChallengeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Device details of the login, used for the session once the challenge is passed
+  deviceName: String,
+  platform: String,
+  ipAddress: String,
+  userAgent: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Expired challenges are removed by MongoDB
+twoFactorChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('TwoFactorChallenge', twoFactorChallengeSchema);
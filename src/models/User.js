@@ -10,11 +10,33 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Optional for accounts created through an external identity provider
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [
+      function() { return !this.identities || this.identities.length === 0; },
+      'Password is required'
+    ],
     minlength: [6, 'Password must be at least 6 characters long']
   },
+  // External identity providers (OIDC) linked to the account
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    // The provider's stable user id (`sub` claim)
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: Date
+  }],
   name: {
     type: String,
     required: [true, 'Name is required'],
@@ -30,10 +52,125 @@ const userSchema = new mongoose.Schema({
     type: String,
     maxlength: [500, 'Financial goals cannot exceed 500 characters']
   },
+  // Split new income across the user's allocations automatically
+  autoAllocateIncome: {
+    type: Boolean,
+    default: false
+  },
+  // Delivery channels for notifications beyond the in-app list
+  notificationPreferences: {
+    email: {
+      type: Boolean,
+      default: false
+    },
+    push: {
+      type: Boolean,
+      default: false
+    },
+    budgetAlerts: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // Device tokens used by the push provider
+  pushTokens: [{
+    token: {
+      type: String,
+      required: true
+    },
+    platform: {
+      type: String,
+      enum: ['ios', 'android', 'web'],
+      default: 'android'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isEmailVerified: {
     type: Boolean,
     default: false
   },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // TOTP two-factor authentication. Secrets are stored encrypted, recovery codes hashed.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String
+    },
+    // Secret from a started enrollment, until it is confirmed with a code
+    pendingSecret: {
+      type: String
+    },
+    enabledAt: {
+      type: Date
+    },
+    // Time step of the last accepted code, so a code can't be used twice
+    lastUsedCounter: {
+      type: Number
+    },
+    recoveryCodes: [{
+      codeHash: {
+        type: String,
+        required: true
+      },
+      usedAt: {
+        type: Date,
+        default: null
+      }
+    }]
+  },
+  // Security events that need attention, e.g. a replayed refresh token
+  securityFlags: [{
+    type: {
+      type: String,
+      enum: ['refresh_token_reuse'],
+      required: true
+    },
+    sessionId: String,
+    ipAddress: String,
+    userAgent: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Access level: support staff and admins can use /api/admin (see utils/permissions)
+  role: {
+    type: String,
+    enum: ['user', 'support', 'admin'],
+    default: 'user',
+    index: true
+  },
+  // Set when an admin disables the account; disabled accounts can't sign in
+  disabledAt: {
+    type: Date,
+    default: null
+  },
+  disabledReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  disabledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Account deletion requested by the user; data is removed once the grace period ends
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null,
+    index: true
+  },
   lastLoginAt: {
     type: Date
   },
@@ -50,11 +187,20 @@ const userSchema = new mongoose.Schema({
   toJSON: { 
     transform: function(doc, ret) {
       delete ret.password;
+      if (ret.twoFactor) {
+        ret.twoFactor = { enabled: ret.twoFactor.enabled, enabledAt: ret.twoFactor.enabledAt };
+      }
       return ret;
     }
   }
 });
 
+// An external identity belongs to one account
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -70,6 +216,8 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  // Password-less accounts (external sign-in only) never match
+  if (!this.password || !candidatePassword) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
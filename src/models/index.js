@@ -3,11 +3,47 @@ const Expense = require("./Expense");
 const Income = require("./Income");
 const Category = require("./Category");
 const RefreshToken = require("./RefreshToken");
+const Allocation = require("./Allocation");
+const AllocationTemplate = require("./AllocationTemplate");
+const IncomeAllocation = require("./IncomeAllocation");
+const BudgetPeriod = require("./BudgetPeriod");
+const Notification = require("./Notification");
+const Counter = require("./Counter");
+const SyncTombstone = require("./SyncTombstone");
+const PasswordResetToken = require("./PasswordResetToken");
+const EmailVerificationToken = require("./EmailVerificationToken");
+const TwoFactorChallenge = require("./TwoFactorChallenge");
+const LoginAttempt = require("./LoginAttempt");
+const RateLimitCounter = require("./RateLimitCounter");
+const PersonalAccessToken = require("./PersonalAccessToken");
+const AdminAction = require("./AdminAction");
+const AuditEvent = require("./AuditEvent");
+const OidcLoginState = require("./OidcLoginState");
+const ImportProfile = require("./ImportProfile");
+const ExpenseImport = require("./ExpenseImport");
 
 module.exports = {
   User,
   Expense,
   Income,
   Category
-  ,RefreshToken
+  ,RefreshToken,
+  Allocation,
+  AllocationTemplate,
+  IncomeAllocation,
+  BudgetPeriod,
+  Notification,
+  Counter,
+  SyncTombstone,
+  PasswordResetToken,
+  EmailVerificationToken,
+  TwoFactorChallenge,
+  LoginAttempt,
+  RateLimitCounter,
+  PersonalAccessToken,
+  AdminAction,
+  AuditEvent,
+  OidcLoginState,
+  ImportProfile,
+  ExpenseImport
 };
\ No newline at end of file
@@ -0,0 +1,89 @@
+const { diffDocuments, recordAuditEvents } = require('../../utils/audit');
+
+// Records an audit event (see utils/audit) for every create, update and delete of a
+// document, with the changed fields before and after. `entity` names the events,
+// e.g. "expense" gives expense.create, expense.update and expense.delete.
+//
+// Covers the same write paths as syncable: save, insertMany, findOneAndUpdate,
+// updateOne/updateMany (query), findOneAndDelete, deleteOne and deleteMany.
+const auditable = (schema, { entity }) => {
+  const createEvent = (action, before, after) => {
+    const doc = after || before;
+    const { before: changedBefore, after: changedAfter, changed } = diffDocuments(before, after);
+    if (!changed) return null;
+
+    return {
+      userId: doc.userId,
+      action: `${entity}.${action}`,
+      entityType: entity,
+      entityId: doc._id,
+      before: changedBefore,
+      after: changedAfter
+    };
+  };
+
+  const record = (events, session) => recordAuditEvents(events.filter(Boolean), { session });
+
+  // Keep what a loaded document looked like, to diff against when it is saved
+  schema.post('init', function() {
+    this.$locals.auditOriginal = this.toObject({ depopulate: true });
+  });
+
+  schema.pre('save', function() {
+    this.$locals.auditWasNew = this.isNew;
+  });
+
+  schema.post('save', async function(doc) {
+    const before = doc.$locals.auditWasNew ? null : doc.$locals.auditOriginal;
+    await record([createEvent(before ? 'update' : 'create', before, doc)], doc.$session());
+    doc.$locals.auditOriginal = doc.toObject({ depopulate: true });
+  });
+
+  schema.post('insertMany', async function(docs) {
+    const list = Array.isArray(docs) ? docs : [docs];
+    await record(list.map(doc => createEvent('create', null, doc)), list.length > 0 ? list[0].$session() : null);
+  });
+
+  // Query updates: load the matched documents before and after the update (in the
+  // update's transaction, if it has one)
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], async function() {
+    const query = this.model.find(this.getFilter()).session(this.getOptions().session || null).lean();
+    if (this.op !== 'updateMany') query.limit(1);
+    this._auditBefore = await query;
+  });
+
+  schema.post(['findOneAndUpdate', 'updateOne', 'updateMany'], async function() {
+    const befores = this._auditBefore || [];
+    if (befores.length === 0) return;
+
+    const session = this.getOptions().session || null;
+    const afters = await this.model.find({ _id: { $in: befores.map(doc => doc._id) } }).session(session).lean();
+    const afterById = new Map(afters.map(doc => [String(doc._id), doc]));
+
+    await record(befores.map(before => {
+      const after = afterById.get(String(before._id));
+      return after ? createEvent('update', before, after) : null;
+    }), session);
+  });
+
+  schema.post('findOneAndDelete', async function(doc) {
+    if (doc) await record([createEvent('delete', doc, null)]);
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await record([createEvent('delete', doc, null)]);
+  });
+
+  // Query deletes don't return the documents, so load them first
+  schema.pre(['deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+    const query = this.model.find(this.getFilter()).lean();
+    if (this.op === 'deleteOne') query.limit(1);
+    this._auditDeleted = await query;
+  });
+
+  schema.post(['deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+    await record((this._auditDeleted || []).map(doc => createEvent('delete', doc, null)));
+  });
+};
+
+module.exports = auditable;
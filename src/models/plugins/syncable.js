@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const Counter = require('../Counter');
+const SyncTombstone = require('../SyncTombstone');
+
+// Name of the change sequence used as the sync cursor. Each user has their own
+// (`sync:<userId>`); the global `sync` sequence is what was used before.
+const SYNC_SEQUENCE = 'sync';
+
+// Next change sequence number of a user, or the last of `count` reserved ones. A user's
+// sequence starts after the global one, so cursors handed out before per-user sequences
+// stay valid.
+const nextSyncSeq = async (userId, count = 1) => {
+  const name = `${SYNC_SEQUENCE}:${userId}`;
+  const counter = await Counter.findOneAndUpdate({ _id: name }, { $inc: { seq: count } }, { new: true });
+  if (counter) return counter.seq;
+
+  const legacy = await Counter.findById(SYNC_SEQUENCE).lean();
+  return Counter.next(name, { count, initial: legacy ? legacy.seq : 0 });
+};
+
+// Stamp new documents or tombstones with consecutive sequence numbers, reserved in one
+// counter update per user
+const stampSyncSeqs = async (docs) => {
+  const byUser = new Map();
+  docs.forEach(doc => {
+    const key = String(doc.userId);
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(doc);
+  });
+
+  await Promise.all([...byUser.values()].map(async userDocs => {
+    const last = await nextSyncSeq(userDocs[0].userId, userDocs.length);
+    const now = new Date();
+    userDocs.forEach((doc, index) => {
+      doc.syncSeq = last - userDocs.length + 1 + index;
+      doc.syncSeqAt = now;
+    });
+  }));
+};
+
+// The users whose documents an update query matches
+const matchedUserIds = async (query) => {
+  const { userId } = query.getFilter();
+  if (typeof userId === 'string' || userId instanceof mongoose.Types.ObjectId) return [userId];
+  return query.model.distinct('userId', query.getFilter()).session(query.getOptions().session || null);
+};
+
+// Adds offline sync support to a schema:
+// - the sync fields Income already had (api_id, sync_status, version, last_sync_at,
+//   metadata.device_id), for schemas that don't define them yet
+// - syncSeq, the user's change sequence number stamped on every write and used as pull
+//   cursor, and syncSeqAt, when it was taken (see syncService.pull)
+// - version, bumped on every write; saves only succeed against the version they loaded,
+//   so concurrent edits of the same document fail instead of overwriting each other
+// - tombstones for deleted documents
+//
+// Every write path the app uses is covered: save, insertMany, findOneAndUpdate,
+// updateOne/updateMany (query), findOneAndDelete, deleteOne and deleteMany.
+const syncable = (schema, { entity }) => {
+  if (!schema.path('api_id')) {
+    schema.add({
+      api_id: {
+        type: String, // Client-side ID for sync reference
+        index: true
+      }
+    });
+  }
+
+  if (!schema.path('sync_status')) {
+    schema.add({
+      sync_status: {
+        type: String,
+        enum: ['pending', 'synced', 'failed'],
+        default: 'pending'
+      }
+    });
+  }
+
+  if (!schema.path('last_sync_at')) {
+    schema.add({ last_sync_at: { type: Date } });
+  }
+
+  if (!schema.path('version')) {
+    schema.add({
+      version: {
+        type: Number,
+        default: 1
+      }
+    });
+  }
+
+  if (!schema.path('metadata.device_id')) {
+    schema.add({
+      metadata: {
+        device_id: { type: String }
+      }
+    });
+  }
+
+  schema.add({
+    syncSeq: {
+      type: Number,
+      default: 0
+    },
+    syncSeqAt: {
+      type: Date
+    }
+  });
+
+  schema.index({ userId: 1, syncSeq: 1 });
+
+  schema.pre('save', async function() {
+    if (!this.isNew) {
+      // Only write over the version this document was loaded at; otherwise save()
+      // fails with a DocumentNotFoundError
+      this.$where = { ...(this.$where || {}), version: this.version };
+      this.version += 1;
+    }
+    this.syncSeq = await nextSyncSeq(this.userId);
+    this.syncSeqAt = new Date();
+  });
+
+  schema.pre('insertMany', function(next, docs) {
+    stampSyncSeqs(Array.isArray(docs) ? docs : [docs])
+      .then(() => next())
+      .catch(next);
+  });
+
+  // Updates through queries stamp all matched documents with the same sequence number
+  // and bump their version. A sequence belongs to one user, so one query can't update
+  // documents of several users.
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], async function() {
+    let update = this.getUpdate() || {};
+    const userIds = await matchedUserIds(this);
+    if (userIds.length > 1) {
+      throw new Error(`Synced ${entity} of several users can't be updated in one query`);
+    }
+    // Nothing matched: there's nothing to stamp
+    if (userIds.length === 0) return;
+
+    const seq = await nextSyncSeq(userIds[0]);
+
+    // Plain-object updates are implicit $set
+    if (!Object.keys(update).some(key => key.startsWith('$'))) {
+      update = { $set: update };
+    }
+
+    update.$set = { ...(update.$set || {}), syncSeq: seq, syncSeqAt: new Date() };
+    // A client-supplied version is the one it edited, not a new value
+    delete update.$set.version;
+    update.$inc = { ...(update.$inc || {}), version: 1 };
+
+    this.setUpdate(update);
+  });
+
+  const writeTombstones = async (docs) => {
+    if (docs.length === 0) return;
+
+    const tombstones = docs.map(doc => ({
+      userId: doc.userId,
+      entity,
+      entityId: doc._id,
+      api_id: doc.api_id
+    }));
+    await stampSyncSeqs(tombstones);
+
+    await SyncTombstone.insertMany(tombstones);
+  };
+
+  schema.post('findOneAndDelete', async function(doc) {
+    if (doc) await writeTombstones([doc]);
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await writeTombstones([doc]);
+  });
+
+  // Query deletes don't return the documents, so look them up first
+  schema.pre(['deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+    const query = this.model.find(this.getFilter()).select('_id userId api_id').lean();
+    if (this.op === 'deleteOne') query.limit(1);
+    this._syncDeleted = await query;
+  });
+
+  schema.post(['deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+    await writeTombstones(this._syncDeleted || []);
+  });
+};
+
+module.exports = syncable;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const accountController = require('../controllers/accountController');
+const {
+  authMiddleware,
+  requireScope,
+  requireVerifiedEmail,
+  rejectPersonalAccessTokens
+} = require('../middleware');
+
+// Download all personal data as a zip archive (JSON per collection, CSV for expenses and income)
+router.get('/export', authMiddleware, requireScope('read:export'), requireVerifiedEmail('export'), (req, res) => accountController.exportData(req, res));
+
+// Deletion status
+router.get('/deletion', authMiddleware, rejectPersonalAccessTokens, (req, res) => accountController.getDeletionStatus(req, res));
+
+// Schedule account deletion after the grace period
+router.delete('/', authMiddleware, rejectPersonalAccessTokens, (req, res) => accountController.requestDeletion(req, res));
+
+// Cancel a scheduled deletion
+router.post('/deletion/cancel', authMiddleware, rejectPersonalAccessTokens, (req, res) => accountController.cancelDeletion(req, res));
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { authMiddleware, rejectPersonalAccessTokens, requirePermission } = require('../middleware');
+
+// Support and admin tools. Every route needs a signed-in staff account with the
+// route's permission (see utils/permissions); changes are recorded as admin actions.
+const staff = (permission) => [authMiddleware, rejectPersonalAccessTokens, requirePermission(permission)];
+
+// Search users
+router.get('/users', staff('users:read'), (req, res) => adminController.searchUsers(req, res));
+
+// Account details and stats
+router.get('/users/:userId', staff('users:read'), (req, res) => adminController.getUser(req, res));
+
+// Disable and re-enable an account
+router.post('/users/:userId/disable', staff('users:disable'), (req, res) => adminController.disableUser(req, res));
+router.post('/users/:userId/enable', staff('users:disable'), (req, res) => adminController.enableUser(req, res));
+
+// Sign a user out on all devices
+router.post('/users/:userId/logout', staff('users:logout'), (req, res) => adminController.forceLogout(req, res));
+
+// Turn off two-factor authentication (lost authenticator and recovery codes)
+router.post('/users/:userId/reset-2fa', staff('users:reset-2fa'), (req, res) => adminController.resetTwoFactor(req, res));
+
+// Clear a login lockout
+router.post('/users/:userId/unlock', staff('users:unlock'), (req, res) => adminController.unlockLogin(req, res));
+
+// Change a user's role
+router.put('/users/:userId/role', staff('users:set-role'), (req, res) => adminController.setRole(req, res));
+
+// Audit events of all accounts
+router.get('/audit', staff('audit:read'), (req, res) => adminController.listAuditEvents(req, res));
+
+// Admin action log
+router.get('/actions', staff('admin-actions:read'), (req, res) => adminController.listActions(req, res));
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const allocationTemplateController = require('../controllers/allocationTemplateController');
+const { authMiddleware, requireScope } = require('../middleware');
+
+// Get built-in and custom templates
+router.get('/', authMiddleware, requireScope('read:allocations'), allocationTemplateController.getTemplates);
+
+// Get template by ID
+router.get('/:id', authMiddleware, requireScope('read:allocations'), allocationTemplateController.getTemplate);
+
+// Create custom template
+router.post('/', authMiddleware, requireScope('write:allocations'), allocationTemplateController.createTemplate);
+
+// Update custom template
+router.put('/:id', authMiddleware, requireScope('write:allocations'), allocationTemplateController.updateTemplate);
+
+// Delete custom template
+router.delete('/:id', authMiddleware, requireScope('write:allocations'), allocationTemplateController.deleteTemplate);
+
+// Generate the user's allocations from a template
+router.post('/:id/apply', authMiddleware, requireScope('write:allocations'), allocationTemplateController.applyTemplate);
+
+module.exports = router;
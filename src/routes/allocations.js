@@ -1,23 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const allocationController = require('../controllers/allocationController');
+const { authMiddleware, requireScope, readExpectedVersion } = require('../middleware');
+
+// All allocation routes act on the authenticated user's allocations only
 
 // Get all allocations for a user
-router.get('/', allocationController.getAllocations);
+router.get('/', authMiddleware, requireScope('read:allocations'), allocationController.getAllocations);
+
+// Get money available per bucket from auto-allocated income
+router.get('/available', authMiddleware, requireScope('read:allocations'), allocationController.getAvailableByBucket);
+
+// Get envelope balances for a month
+router.get('/envelopes', authMiddleware, requireScope('read:allocations'), allocationController.getEnvelopes);
+
+// Get the monthly history of one envelope
+router.get('/:id/envelopes', authMiddleware, requireScope('read:allocations'), allocationController.getEnvelopeHistory);
 
 // Create new allocation
-router.post('/', allocationController.createAllocation);
+router.post('/', authMiddleware, requireScope('write:allocations'), allocationController.createAllocation);
 
 // Update allocation
-router.put('/:id', allocationController.updateAllocation);
+router.put('/:id', authMiddleware, requireScope('write:allocations'), readExpectedVersion, allocationController.updateAllocation);
 
 // Delete allocation
-router.delete('/:id', allocationController.deleteAllocation);
+router.delete('/:id', authMiddleware, requireScope('write:allocations'), allocationController.deleteAllocation);
 
 // Get allocation by template ID
-router.get('/template/:templateId', allocationController.getAllocationByTemplateId);
+router.get('/template/:templateId', authMiddleware, requireScope('read:allocations'), allocationController.getAllocationByTemplateId);
 
 // Bulk operations for sync
-router.post('/bulk', allocationController.bulkUpdateAllocations);
+router.post('/bulk', authMiddleware, requireScope('write:allocations'), allocationController.bulkUpdateAllocations);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,11 +1,13 @@
 const express = require("express");
 const { Expense, Income, Category } = require("../models");
-const { authMiddleware } = require("../middleware");
+const { authMiddleware, requireScope } = require("../middleware");
+const recurringIncomeService = require("../services/recurringIncomeService");
+const budgetService = require("../services/budgetService");
 
 const router = express.Router();
 
 // Get dashboard analytics
-router.get("/dashboard", authMiddleware, async (req, res) => {
+router.get("/dashboard", authMiddleware, requireScope("read:analytics"), async (req, res) => {
   try {
     const { period = "monthly" } = req.query;
     let startDate, endDate;
@@ -84,9 +86,20 @@ router.get("/dashboard", authMiddleware, async (req, res) => {
       { $limit: 5 }
     ]);
     
+    // Add recurring income occurrences that have no stored record
+    const projectedIncome = await recurringIncomeService.getProjectedTotals(req.userId, startDate, endDate);
+    
     // Calculate savings rate
     const expenses = expenseSummary[0] || { totalAmount: 0, totalTransactions: 0, avgAmount: 0 };
-    const income = incomeSummary[0] || { totalAmount: 0, totalTransactions: 0, avgAmount: 0 };
+    const storedIncome = incomeSummary[0] || { totalAmount: 0, totalTransactions: 0, avgAmount: 0 };
+    const incomeTotal = storedIncome.totalAmount + projectedIncome.totalAmount;
+    const incomeTransactions = storedIncome.totalTransactions + projectedIncome.count;
+    const income = {
+      totalAmount: incomeTotal,
+      totalTransactions: incomeTransactions,
+      projectedAmount: projectedIncome.totalAmount,
+      avgAmount: incomeTransactions > 0 ? incomeTotal / incomeTransactions : 0
+    };
     const savingsRate = income.totalAmount > 0 ? 
       ((income.totalAmount - expenses.totalAmount) / income.totalAmount) * 100 : 0;
     
@@ -102,7 +115,8 @@ router.get("/dashboard", authMiddleware, async (req, res) => {
         netAmount: income.totalAmount - expenses.totalAmount,
         savingsRate: Math.round(savingsRate * 100) / 100,
         expenseTransactions: expenses.totalTransactions,
-        incomeTransactions: income.totalTransactions
+        incomeTransactions: income.totalTransactions,
+        projectedIncome: income.projectedAmount
       },
       topCategories,
       trends: {
@@ -117,7 +131,7 @@ router.get("/dashboard", authMiddleware, async (req, res) => {
 });
 
 // Get spending trends over time
-router.get("/trends/spending", authMiddleware, async (req, res) => {
+router.get("/trends/spending", authMiddleware, requireScope("read:analytics"), async (req, res) => {
   try {
     const { period = "monthly", months = 6 } = req.query;
     
@@ -185,7 +199,7 @@ router.get("/trends/spending", authMiddleware, async (req, res) => {
 });
 
 // Get category-wise expense breakdown
-router.get("/breakdown/categories", authMiddleware, async (req, res) => {
+router.get("/breakdown/categories", authMiddleware, requireScope("read:analytics"), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
@@ -242,7 +256,7 @@ router.get("/breakdown/categories", authMiddleware, async (req, res) => {
 });
 
 // Get income vs expense comparison
-router.get("/comparison/income-expense", authMiddleware, async (req, res) => {
+router.get("/comparison/income-expense", authMiddleware, requireScope("read:analytics"), async (req, res) => {
   try {
     const { months = 6 } = req.query;
     const now = new Date();
@@ -283,6 +297,25 @@ router.get("/comparison/income-expense", authMiddleware, async (req, res) => {
       }
     ]);
     
+    // Add recurring income occurrences that have no stored record (up to the end of this month)
+    const projectedIncome = await recurringIncomeService.getProjectedTotals(
+      req.userId,
+      startDate,
+      new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59)
+    );
+    
+    Object.values(projectedIncome.byMonth).forEach(projected => {
+      const item = incomeData.find(entry => entry._id.year === projected.year && entry._id.month === projected.month);
+      if (item) {
+        item.totalIncome += projected.totalAmount;
+      } else {
+        incomeData.push({
+          _id: { year: projected.year, month: projected.month },
+          totalIncome: projected.totalAmount
+        });
+      }
+    });
+    
     // Merge expense and income data
     const comparisonMap = new Map();
     
@@ -334,15 +367,18 @@ router.get("/comparison/income-expense", authMiddleware, async (req, res) => {
   }
 });
 
-// Get budget analysis (if budgets are implemented later)
-router.get("/budget/analysis", authMiddleware, async (req, res) => {
+// Get budget analysis: allocated vs actual spend per allocation for a period
+router.get("/budget/analysis", authMiddleware, requireScope("read:analytics"), async (req, res) => {
   try {
-    // Placeholder for budget analysis
-    // This would require a Budget model to be implemented
-    res.json({
-      message: "Budget analysis feature coming soon",
-      budgets: []
-    });
+    const { period = "monthly", year, month, date } = req.query;
+
+    if (date !== undefined && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ error: "Invalid date" });
+    }
+    
+    const analysis = await budgetService.analyze(req.userId, { period, year, month, date });
+    
+    res.json(analysis);
   } catch (error) {
     console.error("Budget analysis error:", error);
     res.status(500).json({ error: "Failed to fetch budget analysis" });
@@ -350,7 +386,7 @@ router.get("/budget/analysis", authMiddleware, async (req, res) => {
 });
 
 // Get financial summary report
-router.get("/reports/summary", authMiddleware, async (req, res) => {
+router.get("/reports/summary", authMiddleware, requireScope("read:analytics"), async (req, res) => {
   try {
     const { year = new Date().getFullYear() } = req.query;
     const startDate = new Date(parseInt(year), 0, 1);
@@ -0,0 +1,45 @@
+const express = require("express");
+const { authMiddleware, requireScope } = require("../middleware");
+const auditService = require("../services/auditService");
+
+const router = express.Router();
+
+// Audit trail of the authenticated user: sign-ins and other security events, and every
+// change to expenses, income, categories and allocations.
+// Filters: action ("expense.update", or "expense" for all expense events), entityType,
+// entityId, from, to (dates)
+router.get("/", authMiddleware, requireScope("read:audit"), async (req, res) => {
+  try {
+    const { action, entityType, entityId, from, to, page, limit } = req.query;
+
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({ error: "Invalid date filter" });
+    }
+
+    const result = await auditService.listForUser(req.userId, {
+      action,
+      entityType,
+      entityId,
+      from,
+      to,
+      page,
+      limit
+    });
+
+    res.json({
+      events: result.events,
+      pagination: {
+        currentPage: result.page,
+        totalPages: Math.ceil(result.total / result.limit),
+        totalEvents: result.total,
+        hasNext: result.page * result.limit < result.total,
+        hasPrev: result.page > 1
+      }
+    });
+  } catch (error) {
+    console.error("Get audit events error:", error);
+    res.status(500).json({ error: "Failed to fetch audit events" });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,15 @@
 const express = require("express");
-const { validateRegistration, validateLogin, authMiddleware } = require("../middleware");
+const {
+  validateRegistration,
+  validateLogin,
+  authMiddleware,
+  optionalAuth,
+  requireScope,
+  rejectPersonalAccessTokens
+} = require("../middleware");
 const authController = require("../controllers/authController");
+const twoFactorController = require("../controllers/twoFactorController");
+const accessTokenController = require("../controllers/accessTokenController");
 
 const router = express.Router();
 
@@ -10,15 +19,66 @@ router.post("/register", validateRegistration, (req, res) => authController.regi
 // Login
 router.post("/login", validateLogin, (req, res) => authController.login(req, res));
 
+// Sign in with an external identity provider (OIDC authorization code + PKCE)
+router.get('/oidc/providers', (req, res) => authController.getOidcProviders(req, res));
+router.post('/oidc/:provider/start', (req, res) => authController.startOidcLogin(req, res));
+router.post('/oidc/:provider/callback', (req, res) => authController.completeOidcLogin(req, res));
+router.post('/oidc/link/confirm', (req, res) => authController.confirmOidcLink(req, res));
+
+// Unlock an account locked after failed logins
+router.post('/unlock', (req, res) => authController.unlockAccount(req, res));
+
+// Second login step for accounts with two-factor authentication
+router.post('/2fa/verify', (req, res) => authController.verifyTwoFactor(req, res));
+
 // Refresh token
 router.post('/refresh', (req, res) => authController.refreshToken(req, res));
 
+// Request a password reset email
+router.post('/forgot-password', (req, res) => authController.forgotPassword(req, res));
+
+// Set a new password with a reset token
+router.post('/reset-password', (req, res) => authController.resetPassword(req, res));
+
+// Verify email (GET for links opened in a browser, POST for the app)
+router.get('/verify-email', (req, res) => authController.verifyEmail(req, res));
+router.post('/verify-email', (req, res) => authController.verifyEmail(req, res));
+
+// Resend verification email
+router.post('/resend-verification', authMiddleware, rejectPersonalAccessTokens, (req, res) => authController.resendVerification(req, res));
+
 // Logout (remove provided refresh token or all tokens for authenticated user)
-router.post('/logout', (req, res) => authController.logout(req, res));
+router.post('/logout', optionalAuth, (req, res) => authController.logout(req, res));
 
+// Logout from all devices
+router.post('/logout-all', authMiddleware, rejectPersonalAccessTokens, (req, res) => authController.logoutAll(req, res));
+
+// Get user profile
+router.get('/profile', authMiddleware, requireScope('read:profile'), (req, res) => authController.getProfile(req, res));
 
 // Update user profile
-router.put('/profile', authMiddleware, (req, res) => authController.updateProfile(req, res));
+router.put('/profile', authMiddleware, requireScope('write:profile'), (req, res) => authController.updateProfile(req, res));
+
+// List active sessions (devices)
+router.get('/sessions', authMiddleware, rejectPersonalAccessTokens, (req, res) => authController.getSessions(req, res));
+
+// Revoke a single session
+router.delete('/sessions/:sessionId', authMiddleware, rejectPersonalAccessTokens, (req, res) => authController.revokeSession(req, res));
+
+// Change password (signs out all other sessions)
+router.put('/change-password', authMiddleware, rejectPersonalAccessTokens, (req, res) => authController.changePassword(req, res));
+
+// Two-factor authentication management
+router.get('/2fa', authMiddleware, rejectPersonalAccessTokens, (req, res) => twoFactorController.getStatus(req, res));
+router.post('/2fa/setup', authMiddleware, rejectPersonalAccessTokens, (req, res) => twoFactorController.setup(req, res));
+router.post('/2fa/confirm', authMiddleware, rejectPersonalAccessTokens, (req, res) => twoFactorController.confirm(req, res));
+router.post('/2fa/disable', authMiddleware, rejectPersonalAccessTokens, (req, res) => twoFactorController.disable(req, res));
+router.post('/2fa/recovery-codes', authMiddleware, rejectPersonalAccessTokens, (req, res) => twoFactorController.regenerateRecoveryCodes(req, res));
+
+// Personal access tokens for scripts and integrations
+router.get('/tokens', authMiddleware, rejectPersonalAccessTokens, (req, res) => accessTokenController.listTokens(req, res));
+router.post('/tokens', authMiddleware, rejectPersonalAccessTokens, (req, res) => accessTokenController.createToken(req, res));
+router.delete('/tokens/:tokenId', authMiddleware, rejectPersonalAccessTokens, (req, res) => accessTokenController.revokeToken(req, res));
 
 module.exports = router;
 
@@ -1,11 +1,19 @@
 const express = require("express");
 const { Category } = require("../models");
-const { authMiddleware, validateCategory } = require("../middleware");
+const {
+  authMiddleware,
+  requireScope,
+  validateCategory,
+  readExpectedVersion,
+  withExpectedVersion,
+  setVersionTag,
+  sendVersionConflict
+} = require("../middleware");
 
 const router = express.Router();
 
 // Get all categories for authenticated user
-router.get("/", authMiddleware, async (req, res) => {
+router.get("/", authMiddleware, requireScope("read:categories"), async (req, res) => {
   try {
     const { includeDefault = true } = req.query;
     
@@ -31,7 +39,7 @@ router.get("/", authMiddleware, async (req, res) => {
 });
 
 // Get category by ID
-router.get("/:id", authMiddleware, async (req, res) => {
+router.get("/:id", authMiddleware, requireScope("read:categories"), async (req, res) => {
   try {
     const category = await Category.findOne({
       _id: req.params.id,
@@ -45,6 +53,7 @@ router.get("/:id", authMiddleware, async (req, res) => {
       return res.status(404).json({ error: "Category not found" });
     }
     
+    setVersionTag(res, category);
     res.json(category);
   } catch (error) {
     console.error("Get category error:", error);
@@ -53,7 +62,7 @@ router.get("/:id", authMiddleware, async (req, res) => {
 });
 
 // Create new category
-router.post("/", authMiddleware, validateCategory, async (req, res) => {
+router.post("/", authMiddleware, requireScope("write:categories"), validateCategory, async (req, res) => {
   try {
     const categoryData = {
       ...req.body,
@@ -82,25 +91,34 @@ router.post("/", authMiddleware, validateCategory, async (req, res) => {
 });
 
 // Update category
-router.put("/:id", authMiddleware, validateCategory, async (req, res) => {
+router.put("/:id", authMiddleware, requireScope("write:categories"), validateCategory, readExpectedVersion, async (req, res) => {
   try {
     // Only allow updating user-created categories, not default ones
+    const filter = { 
+      _id: req.params.id, 
+      userId: req.userId,
+      isDefault: false
+    };
+    
     const category = await Category.findOneAndUpdate(
-      { 
-        _id: req.params.id, 
-        userId: req.userId,
-        isDefault: false
-      },
+      withExpectedVersion(req, filter),
       req.body,
       { new: true, runValidators: true }
     );
     
     if (!category) {
+      // A stale version matches nothing; tell it apart from a missing category
+      const current = req.expectedVersion !== null ? await Category.findOne(filter) : null;
+      
+      if (current) {
+        return sendVersionConflict(res, current);
+      }
       return res.status(404).json({ 
         error: "Category not found or cannot be modified" 
       });
     }
     
+    setVersionTag(res, category);
     res.json({
       message: "Category updated successfully",
       category
@@ -119,7 +137,7 @@ router.put("/:id", authMiddleware, validateCategory, async (req, res) => {
 });
 
 // Delete category
-router.delete("/:id", authMiddleware, async (req, res) => {
+router.delete("/:id", authMiddleware, requireScope("write:categories"), async (req, res) => {
   try {
     // Only allow deleting user-created categories, not default ones
     const category = await Category.findOneAndDelete({
@@ -142,7 +160,7 @@ router.delete("/:id", authMiddleware, async (req, res) => {
 });
 
 // Toggle category active status
-router.patch("/:id/toggle", authMiddleware, async (req, res) => {
+router.patch("/:id/toggle", authMiddleware, requireScope("write:categories"), async (req, res) => {
   try {
     const category = await Category.findOne({
       _id: req.params.id,
@@ -170,7 +188,7 @@ router.patch("/:id/toggle", authMiddleware, async (req, res) => {
 });
 
 // Get category usage statistics
-router.get("/:id/stats", authMiddleware, async (req, res) => {
+router.get("/:id/stats", authMiddleware, requireScope("read:categories"), async (req, res) => {
   try {
     const { Expense } = require("../models");
     
@@ -243,7 +261,7 @@ router.get("/:id/stats", authMiddleware, async (req, res) => {
 });
 
 // Create default categories for user (useful for migration or manual setup)
-router.post("/defaults", authMiddleware, async (req, res) => {
+router.post("/defaults", authMiddleware, requireScope("write:categories"), async (req, res) => {
   try {
     const existingCategories = await Category.find({ userId: req.userId });
     
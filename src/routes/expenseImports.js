@@ -0,0 +1,43 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const expenseImportController = require('../controllers/expenseImportController');
+const { authMiddleware, requireScope } = require('../middleware');
+
+const getMaxFileBytes = () => (parseInt(process.env.EXPENSE_IMPORT_MAX_FILE_MB) || 5) * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: getMaxFileBytes(), files: 1 }
+});
+
+// One CSV file in the "file" field; upload problems (too large, wrong field) are the client's
+const uploadCsv = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE'
+        ? `The file is too large (max ${getMaxFileBytes() / (1024 * 1024)} MB)`
+        : error.message
+    });
+  });
+};
+
+// Saved column mappings and formats
+router.get('/profiles', authMiddleware, requireScope('read:expenses'), (req, res) => expenseImportController.listProfiles(req, res));
+router.post('/profiles', authMiddleware, requireScope('write:expenses'), (req, res) => expenseImportController.createProfile(req, res));
+router.put('/profiles/:profileId', authMiddleware, requireScope('write:expenses'), (req, res) => expenseImportController.updateProfile(req, res));
+router.delete('/profiles/:profileId', authMiddleware, requireScope('write:expenses'), (req, res) => expenseImportController.deleteProfile(req, res));
+
+// Upload and parse a CSV file; nothing is saved as expenses yet
+router.post('/preview', authMiddleware, requireScope('write:expenses'), uploadCsv, (req, res) => expenseImportController.preview(req, res));
+
+// A parsed import
+router.get('/:importId', authMiddleware, requireScope('read:expenses'), (req, res) => expenseImportController.getImport(req, res));
+
+// Save the parsed rows as expenses in one transaction
+router.post('/:importId/commit', authMiddleware, requireScope('write:expenses'), (req, res) => expenseImportController.commit(req, res));
+
+module.exports = router;
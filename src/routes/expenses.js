@@ -1,14 +1,40 @@
 const express = require("express");
 const { Expense, Category } = require("../models");
-const { authMiddleware, validateExpense } = require("../middleware");
+const {
+  authMiddleware,
+  requireScope,
+  validateExpense,
+  validateRecurringExpenseUpdate,
+  validateSkipOccurrence,
+  readExpectedVersion,
+  withExpectedVersion,
+  setVersionTag,
+  sendVersionConflict
+} = require("../middleware");
+const recurringExpenseService = require("../services/recurringExpenseService");
+const budgetAlertService = require("../services/budgetAlertService");
+
+// Check budget thresholds in the background so the response isn't held up
+const evaluateBudgetAlerts = (userId, expense) => {
+  budgetAlertService.evaluateExpense(userId, expense).catch(error => {
+    console.error("Budget alert evaluation error:", error);
+  });
+};
 
 const router = express.Router();
 
 // Get all expenses for authenticated user
-router.get("/", authMiddleware, async (req, res) => {
+router.get("/", authMiddleware, requireScope("read:expenses"), async (req, res) => {
   try {
     const { page = 1, limit = 20, category, startDate, endDate, search } = req.query;
     
+    // Bring recurring expenses up to date before listing
+    try {
+      await recurringExpenseService.materializeForUser(req.userId);
+    } catch (recurringError) {
+      console.error("Recurring expense generation error:", recurringError);
+    }
+    
     const query = { userId: req.userId };
     
     // Add category filter
@@ -56,8 +82,30 @@ router.get("/", authMiddleware, async (req, res) => {
   }
 });
 
+// Get upcoming occurrences of recurring expenses
+router.get("/recurring/upcoming", authMiddleware, requireScope("read:expenses"), async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 30, 366);
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    
+    const upcoming = await recurringExpenseService.getUpcoming(req.userId, { days, limit });
+    
+    res.json({
+      upcoming,
+      period: {
+        days,
+        startDate: new Date(),
+        endDate: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+      }
+    });
+  } catch (error) {
+    console.error("Get upcoming recurring expenses error:", error);
+    res.status(500).json({ error: "Failed to fetch upcoming recurring expenses" });
+  }
+});
+
 // Get expense by ID
-router.get("/:id", authMiddleware, async (req, res) => {
+router.get("/:id", authMiddleware, requireScope("read:expenses"), async (req, res) => {
   try {
     const expense = await Expense.findOne({
       _id: req.params.id,
@@ -68,6 +116,7 @@ router.get("/:id", authMiddleware, async (req, res) => {
       return res.status(404).json({ error: "Expense not found" });
     }
     
+    setVersionTag(res, expense);
     res.json(expense);
   } catch (error) {
     console.error("Get expense error:", error);
@@ -76,7 +125,7 @@ router.get("/:id", authMiddleware, async (req, res) => {
 });
 
 // Create new expense
-router.post("/", authMiddleware, validateExpense, async (req, res) => {
+router.post("/", authMiddleware, requireScope("write:expenses"), validateExpense, async (req, res) => {
   try {
     const expenseData = {
       ...req.body,
@@ -96,9 +145,20 @@ router.post("/", authMiddleware, validateExpense, async (req, res) => {
     const expense = new Expense(expenseData);
     await expense.save();
     
+    // Generate any occurrences that are already due (e.g. a back-dated subscription)
+    if (expense.isRecurring) {
+      try {
+        await recurringExpenseService.generateOccurrences(expense);
+      } catch (recurringError) {
+        console.error("Recurring expense generation error:", recurringError);
+      }
+    }
+    
     // Populate category data
     await expense.populate("categoryId", "name color icon");
     
+    evaluateBudgetAlerts(req.userId, expense);
+    
     res.status(201).json({
       message: "Expense created successfully",
       expense
@@ -110,7 +170,7 @@ router.post("/", authMiddleware, validateExpense, async (req, res) => {
 });
 
 // Update expense
-router.put("/:id", authMiddleware, validateExpense, async (req, res) => {
+router.put("/:id", authMiddleware, requireScope("write:expenses"), validateExpense, readExpectedVersion, async (req, res) => {
   try {
     // Verify category belongs to user if category is being updated
     if (req.body.categoryId) {
@@ -125,15 +185,26 @@ router.put("/:id", authMiddleware, validateExpense, async (req, res) => {
     }
     
     const expense = await Expense.findOneAndUpdate(
-      { _id: req.params.id, userId: req.userId },
+      withExpectedVersion(req, { _id: req.params.id, userId: req.userId }),
       req.body,
       { new: true, runValidators: true }
     ).populate("categoryId", "name color icon");
     
     if (!expense) {
+      // A stale version matches nothing; tell it apart from a missing expense
+      const current = req.expectedVersion !== null
+        ? await Expense.findOne({ _id: req.params.id, userId: req.userId }).populate("categoryId", "name color icon")
+        : null;
+      
+      if (current) {
+        return sendVersionConflict(res, current);
+      }
       return res.status(404).json({ error: "Expense not found" });
     }
     
+    evaluateBudgetAlerts(req.userId, expense);
+    
+    setVersionTag(res, expense);
     res.json({
       message: "Expense updated successfully",
       expense
@@ -144,8 +215,74 @@ router.put("/:id", authMiddleware, validateExpense, async (req, res) => {
   }
 });
 
+// Update this and all future occurrences of a recurring expense
+router.put("/:id/series", authMiddleware, requireScope("write:expenses"), validateRecurringExpenseUpdate, async (req, res) => {
+  try {
+    if (req.body.categoryId) {
+      const category = await Category.findOne({
+        _id: req.body.categoryId,
+        $or: [{ userId: req.userId }, { isDefault: true }]
+      });
+      
+      if (!category) {
+        return res.status(400).json({ error: "Invalid category" });
+      }
+    }
+    
+    const expense = await recurringExpenseService.updateThisAndFuture(req.userId, req.params.id, req.body);
+    
+    if (!expense) {
+      return res.status(404).json({ error: "Expense not found" });
+    }
+    
+    await expense.populate("categoryId", "name color icon");
+    
+    res.json({
+      message: "Recurring expense updated successfully",
+      expense
+    });
+  } catch (error) {
+    console.error("Update recurring expense error:", error);
+    
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ error: "Validation error", details: errors });
+    }
+    
+    res.status(500).json({ error: "Failed to update recurring expense" });
+  }
+});
+
+// Skip a single occurrence of a recurring expense
+router.post("/:id/skip", authMiddleware, requireScope("write:expenses"), validateSkipOccurrence, async (req, res) => {
+  try {
+    const expense = await recurringExpenseService.skipOccurrence(req.userId, req.params.id, req.body.date);
+    
+    if (!expense) {
+      return res.status(404).json({ error: "Recurring expense not found" });
+    }
+    
+    res.json({
+      message: "Occurrence skipped successfully",
+      expense
+    });
+  } catch (error) {
+    console.error("Skip occurrence error:", error);
+    
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    res.status(500).json({ error: "Failed to skip occurrence" });
+  }
+});
+
 // Delete expense
-router.delete("/:id", authMiddleware, async (req, res) => {
+router.delete("/:id", authMiddleware, requireScope("write:expenses"), async (req, res) => {
   try {
     const expense = await Expense.findOneAndDelete({
       _id: req.params.id,
@@ -164,7 +301,7 @@ router.delete("/:id", authMiddleware, async (req, res) => {
 });
 
 // Get monthly summary
-router.get("/summary/monthly", authMiddleware, async (req, res) => {
+router.get("/summary/monthly", authMiddleware, requireScope("read:expenses"), async (req, res) => {
   try {
     const { year = new Date().getFullYear(), month = new Date().getMonth() + 1 } = req.query;
     
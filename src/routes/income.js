@@ -1,14 +1,30 @@
 const express = require("express");
 const { Income } = require("../models");
-const { authMiddleware } = require("../middleware");
+const {
+  authMiddleware,
+  requireScope,
+  readExpectedVersion,
+  withExpectedVersion,
+  setVersionTag,
+  sendVersionConflict
+} = require("../middleware");
+const recurringIncomeService = require("../services/recurringIncomeService");
+const incomeAllocationService = require("../services/incomeAllocationService");
 
 const router = express.Router();
 
 // Get all income records for authenticated user
-router.get("/", authMiddleware, async (req, res) => {
+router.get("/", authMiddleware, requireScope("read:income"), async (req, res) => {
   try {
     //pagination
-    const { page = 1, limit = 20, category, startDate, endDate, search } = req.query;
+    const { page = 1, limit = 20, category, startDate, endDate, search, includeProjected } = req.query;
+    
+    // Post any recurring income that has come due
+    try {
+      await recurringIncomeService.postDueForUser(req.userId);
+    } catch (recurringError) {
+      console.error("Recurring income posting error:", recurringError);
+    }
     
     const query = { userId: req.userId };
     
@@ -41,7 +57,7 @@ router.get("/", authMiddleware, async (req, res) => {
     
     const total = await Income.countDocuments(query);
     
-    res.json({
+    const response = {
       incomes,
       pagination: {
         currentPage: parseInt(page),
@@ -50,7 +66,23 @@ router.get("/", authMiddleware, async (req, res) => {
         hasNext: page * limit < total,
         hasPrev: page > 1
       }
-    });
+    };
+    
+    // Projected occurrences of recurring income (defaults to the current month)
+    if (includeProjected === "true") {
+      const now = new Date();
+      const projectionStart = startDate ? new Date(startDate) : new Date(now.getFullYear(), now.getMonth(), 1);
+      const projectionEnd = endDate ? new Date(endDate) : new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
+      
+      response.projected = await recurringIncomeService.projectOccurrences(
+        req.userId,
+        projectionStart,
+        projectionEnd,
+        { category }
+      );
+    }
+    
+    res.json(response);
   } catch (error) {
     console.error("Get incomes error:", error);
     res.status(500).json({ error: "Failed to fetch income records" });
@@ -58,7 +90,7 @@ router.get("/", authMiddleware, async (req, res) => {
 });
 
 // Get income by ID
-router.get("/:id", authMiddleware, async (req, res) => {
+router.get("/:id", authMiddleware, requireScope("read:income"), async (req, res) => {
   try {
     const income = await Income.findOne({
       _id: req.params.id,
@@ -69,6 +101,7 @@ router.get("/:id", authMiddleware, async (req, res) => {
       return res.status(404).json({ error: "Income record not found" });
     }
     
+    setVersionTag(res, income);
     res.json(income);
   } catch (error) {
     console.error("Get income error:", error);
@@ -77,7 +110,7 @@ router.get("/:id", authMiddleware, async (req, res) => {
 });
 
 // Create new income record
-router.post("/", authMiddleware, async (req, res) => {
+router.post("/", authMiddleware, requireScope("write:income"), async (req, res) => {
   try {
     // Map field names to match schema
     const incomeData = { ...req.body, userId: req.userId };
@@ -94,6 +127,16 @@ router.post("/", authMiddleware, async (req, res) => {
       delete incomeData.frequency;
     }
     
+    // Map autoPost to recurringAutoPost if provided
+    if (incomeData.autoPost !== undefined) {
+      incomeData.recurringAutoPost = incomeData.autoPost;
+      delete incomeData.autoPost;
+    }
+    
+    // Per-request override of the user's auto-allocation setting
+    const { autoAllocate } = incomeData;
+    delete incomeData.autoAllocate;
+    
     // Validate amount
     if (!incomeData.amount || incomeData.amount <= 0) {
       return res.status(400).json({ 
@@ -104,9 +147,25 @@ router.post("/", authMiddleware, async (req, res) => {
     const income = new Income(incomeData);
     await income.save();
     
+    // Split the income across the user's allocations
+    let allocations = [];
+    if (await incomeAllocationService.shouldAutoAllocate(req.userId, autoAllocate)) {
+      allocations = await incomeAllocationService.allocateIncome(income);
+    }
+    
+    // Post occurrences that are already due (e.g. a back-dated salary)
+    if (income.isRecurring && income.recurringAutoPost) {
+      try {
+        await recurringIncomeService.postDueOccurrences(income);
+      } catch (recurringError) {
+        console.error("Recurring income posting error:", recurringError);
+      }
+    }
+    
     res.status(201).json({
       message: "Income record created successfully",
-      income
+      income,
+      allocations
     });
   } catch (error) {
     console.error("Create income error:", error);
@@ -124,8 +183,58 @@ router.post("/", authMiddleware, async (req, res) => {
   }
 });
 
+// Get how an income was split across allocations
+router.get("/:id/allocations", authMiddleware, requireScope("read:income"), async (req, res) => {
+  try {
+    const income = await Income.findOne({
+      _id: req.params.id,
+      userId: req.userId
+    });
+    
+    if (!income) {
+      return res.status(404).json({ error: "Income record not found" });
+    }
+    
+    const allocations = await incomeAllocationService.getForIncome(req.userId, income._id);
+    
+    res.json({
+      income,
+      allocations,
+      totalAllocated: allocations.reduce((sum, entry) => sum + entry.amount, 0)
+    });
+  } catch (error) {
+    console.error("Get income allocations error:", error);
+    res.status(500).json({ error: "Failed to fetch income allocations" });
+  }
+});
+
+// Split an income across the user's current allocations
+router.post("/:id/allocate", authMiddleware, requireScope("write:income"), async (req, res) => {
+  try {
+    const income = await Income.findOne({
+      _id: req.params.id,
+      userId: req.userId
+    });
+    
+    if (!income) {
+      return res.status(404).json({ error: "Income record not found" });
+    }
+    
+    const allocations = await incomeAllocationService.allocateIncome(income);
+    
+    res.json({
+      message: "Income allocated successfully",
+      allocations,
+      totalAllocated: allocations.reduce((sum, entry) => sum + entry.amount, 0)
+    });
+  } catch (error) {
+    console.error("Allocate income error:", error);
+    res.status(500).json({ error: "Failed to allocate income" });
+  }
+});
+
 // Update income record
-router.put("/:id", authMiddleware, async (req, res) => {
+router.put("/:id", authMiddleware, requireScope("write:income"), readExpectedVersion, async (req, res) => {
   try {
     // Map field names to match schema (same as in controller)
     const updateData = { ...req.body };
@@ -142,6 +251,12 @@ router.put("/:id", authMiddleware, async (req, res) => {
       delete updateData.frequency;
     }
     
+    // Map autoPost to recurringAutoPost if provided
+    if (updateData.autoPost !== undefined) {
+      updateData.recurringAutoPost = updateData.autoPost;
+      delete updateData.autoPost;
+    }
+    
     // Validate amount if provided
     if (updateData.amount && updateData.amount <= 0) {
       return res.status(400).json({ 
@@ -150,15 +265,27 @@ router.put("/:id", authMiddleware, async (req, res) => {
     }
 
     const income = await Income.findOneAndUpdate(
-      { _id: req.params.id, userId: req.userId },
+      withExpectedVersion(req, { _id: req.params.id, userId: req.userId }),
       updateData,
       { new: true, runValidators: true }
     );
     
     if (!income) {
+      // A stale version matches nothing; tell it apart from a missing record
+      const current = req.expectedVersion !== null
+        ? await Income.findOne({ _id: req.params.id, userId: req.userId })
+        : null;
+      
+      if (current) {
+        return sendVersionConflict(res, current);
+      }
       return res.status(404).json({ error: "Income record not found" });
     }
     
+    // Keep an existing split in line with the new amount
+    await incomeAllocationService.reallocateIfAllocated(income);
+    
+    setVersionTag(res, income);
     res.json({
       message: "Income record updated successfully",
       income
@@ -187,7 +314,7 @@ router.put("/:id", authMiddleware, async (req, res) => {
 });
 
 // Delete income record
-router.delete("/:id", authMiddleware, async (req, res) => {
+router.delete("/:id", authMiddleware, requireScope("write:income"), async (req, res) => {
   try {
     const income = await Income.findOneAndDelete({
       _id: req.params.id,
@@ -198,6 +325,8 @@ router.delete("/:id", authMiddleware, async (req, res) => {
       return res.status(404).json({ error: "Income record not found" });
     }
     
+    await incomeAllocationService.removeForIncome(income._id);
+    
     res.json({ message: "Income record deleted successfully" });
   } catch (error) {
     console.error("Delete income error:", error);
@@ -206,14 +335,18 @@ router.delete("/:id", authMiddleware, async (req, res) => {
 });
 
 // Get monthly income summary
-router.get("/summary/monthly", authMiddleware, async (req, res) => {
+router.get("/summary/monthly", authMiddleware, requireScope("read:income"), async (req, res) => {
   try {
-    const { year = new Date().getFullYear(), month = new Date().getMonth() + 1 } = req.query;
+    const {
+      year = new Date().getFullYear(),
+      month = new Date().getMonth() + 1,
+      includeProjected = "true"
+    } = req.query;
     
     const startDate = new Date(year, month - 1, 1);
     const endDate = new Date(year, month, 0, 23, 59, 59);
     
-    const summary = await Income.aggregate([
+    let summary = await Income.aggregate([
       {
         $match: {
           userId: req.userId,
@@ -233,6 +366,33 @@ router.get("/summary/monthly", authMiddleware, async (req, res) => {
       }
     ]);
     
+    // Add recurring income occurrences that have no stored record
+    let projectedAmount = 0;
+    if (includeProjected !== "false") {
+      const projected = await recurringIncomeService.getProjectedTotals(req.userId, startDate, endDate);
+      projectedAmount = projected.totalAmount;
+      
+      Object.entries(projected.byCategory).forEach(([category, totals]) => {
+        const item = summary.find(entry => entry._id === category);
+        if (item) {
+          item.totalAmount += totals.totalAmount;
+          item.count += totals.count;
+          item.avgAmount = item.totalAmount / item.count;
+          item.projectedAmount = totals.totalAmount;
+        } else {
+          summary.push({
+            _id: category,
+            totalAmount: totals.totalAmount,
+            count: totals.count,
+            avgAmount: totals.totalAmount / totals.count,
+            projectedAmount: totals.totalAmount
+          });
+        }
+      });
+      
+      summary = summary.sort((a, b) => b.totalAmount - a.totalAmount);
+    }
+    
     const totalAmount = summary.reduce((sum, item) => sum + item.totalAmount, 0);
     const totalTransactions = summary.reduce((sum, item) => sum + item.count, 0);
     
@@ -240,7 +400,8 @@ router.get("/summary/monthly", authMiddleware, async (req, res) => {
       summary,
       totals: {
         amount: totalAmount,
-        transactions: totalTransactions
+        transactions: totalTransactions,
+        projectedAmount
       },
       period: {
         year: parseInt(year),
@@ -254,7 +415,7 @@ router.get("/summary/monthly", authMiddleware, async (req, res) => {
 });
 
 // Get income by category
-router.get("/category/:category", authMiddleware, async (req, res) => {
+router.get("/category/:category", authMiddleware, requireScope("read:income"), async (req, res) => {
   try {
     const { category } = req.params;
     const { startDate, endDate } = req.query;
@@ -1,15 +1,29 @@
 const authRoutes = require("./auth");
 const expenseRoutes = require("./expenses");
+const expenseImportRoutes = require("./expenseImports");
 const incomeRoutes = require("./income");
 const categoryRoutes = require("./categories");
 const analyticsRoutes = require("./analytics");
 const allocationRoutes = require('./allocations');
+const allocationTemplateRoutes = require('./allocationTemplates');
+const notificationRoutes = require("./notifications");
+const syncRoutes = require("./sync");
+const adminRoutes = require("./admin");
+const auditRoutes = require("./audit");
+const accountRoutes = require("./account");
 
 module.exports = {
   authRoutes,
   expenseRoutes,
+  expenseImportRoutes,
   incomeRoutes,
   categoryRoutes,
   analyticsRoutes,
-  allocationRoutes
+  allocationRoutes,
+  allocationTemplateRoutes,
+  notificationRoutes,
+  syncRoutes,
+  adminRoutes,
+  auditRoutes,
+  accountRoutes
 };
\ No newline at end of file
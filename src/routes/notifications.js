@@ -0,0 +1,164 @@
+const express = require("express");
+const { User } = require("../models");
+const { authMiddleware, requireScope } = require("../middleware");
+const notificationService = require("../services/notificationService");
+const emailVerificationService = require("../services/emailVerificationService");
+
+const router = express.Router();
+
+// Get notifications for authenticated user
+router.get("/", authMiddleware, requireScope("read:notifications"), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const unreadOnly = req.query.unreadOnly === "true";
+
+    const { notifications, total, unreadCount } = await notificationService.list(req.userId, {
+      page,
+      limit,
+      unreadOnly
+    });
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalNotifications: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error("Get notifications error:", error);
+    res.status(500).json({ error: "Failed to fetch notifications" });
+  }
+});
+
+// Get notification preferences
+router.get("/preferences", authMiddleware, requireScope("read:notifications"), async (req, res) => {
+  res.json({ preferences: req.user.notificationPreferences });
+});
+
+// Update notification preferences
+router.put("/preferences", authMiddleware, requireScope("write:notifications"), async (req, res) => {
+  try {
+    const update = {};
+    ["email", "push", "budgetAlerts"].forEach(key => {
+      if (typeof req.body[key] === "boolean") {
+        update[`notificationPreferences.${key}`] = req.body[key];
+      }
+    });
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ error: "No valid preferences to update" });
+    }
+
+    // Email delivery needs a verified address
+    if (req.body.email === true && !emailVerificationService.isActionAllowed(req.user, "email-notifications")) {
+      return res.status(403).json({
+        error: "Please verify your email address to receive email notifications",
+        code: "EMAIL_NOT_VERIFIED"
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(req.userId, { $set: update }, { new: true });
+
+    res.json({
+      message: "Notification preferences updated successfully",
+      preferences: user.notificationPreferences
+    });
+  } catch (error) {
+    console.error("Update notification preferences error:", error);
+    res.status(500).json({ error: "Failed to update notification preferences" });
+  }
+});
+
+// Register a device for push notifications
+router.post("/push-tokens", authMiddleware, requireScope("write:notifications"), async (req, res) => {
+  try {
+    const { token, platform } = req.body;
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({ error: "Push token is required" });
+    }
+
+    // Replace any earlier registration of the same token
+    await User.updateOne({ _id: req.userId }, { $pull: { pushTokens: { token } } });
+    await User.updateOne(
+      { _id: req.userId },
+      { $push: { pushTokens: { token, platform } } },
+      { runValidators: true }
+    );
+
+    res.status(201).json({ message: "Push token registered successfully" });
+  } catch (error) {
+    console.error("Register push token error:", error);
+    res.status(500).json({ error: "Failed to register push token" });
+  }
+});
+
+// Unregister a device from push notifications
+router.delete("/push-tokens/:token", authMiddleware, requireScope("write:notifications"), async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.userId }, { $pull: { pushTokens: { token: req.params.token } } });
+
+    res.json({ message: "Push token removed successfully" });
+  } catch (error) {
+    console.error("Remove push token error:", error);
+    res.status(500).json({ error: "Failed to remove push token" });
+  }
+});
+
+// Mark all notifications as read
+router.patch("/read-all", authMiddleware, requireScope("write:notifications"), async (req, res) => {
+  try {
+    const updated = await notificationService.markAllRead(req.userId);
+
+    res.json({
+      message: "All notifications marked as read",
+      updated
+    });
+  } catch (error) {
+    console.error("Mark all notifications read error:", error);
+    res.status(500).json({ error: "Failed to mark notifications as read" });
+  }
+});
+
+// Mark notification as read
+router.patch("/:id/read", authMiddleware, requireScope("write:notifications"), async (req, res) => {
+  try {
+    const notification = await notificationService.markRead(req.userId, req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({ error: "Notification not found" });
+    }
+
+    res.json({
+      message: "Notification marked as read",
+      notification
+    });
+  } catch (error) {
+    console.error("Mark notification read error:", error);
+    res.status(500).json({ error: "Failed to mark notification as read" });
+  }
+});
+
+// Delete notification
+router.delete("/:id", authMiddleware, requireScope("write:notifications"), async (req, res) => {
+  try {
+    const notification = await notificationService.remove(req.userId, req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({ error: "Notification not found" });
+    }
+
+    res.json({ message: "Notification deleted successfully" });
+  } catch (error) {
+    console.error("Delete notification error:", error);
+    res.status(500).json({ error: "Failed to delete notification" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require("express");
+const { authMiddleware, requireScope } = require("../middleware");
+const syncService = require("../services/syncService");
+
+const router = express.Router();
+
+// Pull changes since the client's cursor
+router.get("/pull", authMiddleware, requireScope("read:sync"), async (req, res) => {
+  try {
+    const result = await syncService.pull(req.userId, {
+      since: req.query.since,
+      limit: req.query.limit
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error("Sync pull error:", error);
+    res.status(500).json({ error: "Failed to pull changes" });
+  }
+});
+
+// Push a batch of client mutations
+router.post("/push", authMiddleware, requireScope("write:sync"), async (req, res) => {
+  try {
+    const { mutations, deviceId, policy } = req.body;
+
+    const result = await syncService.push(req.userId, mutations, { deviceId, policy });
+
+    res.json(result);
+  } catch (error) {
+    if (error instanceof syncService.SyncError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Sync push error:", error);
+    res.status(500).json({ error: "Failed to push changes" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,270 @@
+const archiver = require('archiver');
+const {
+  User,
+  Expense,
+  Income,
+  Category,
+  Allocation,
+  AllocationTemplate,
+  IncomeAllocation,
+  BudgetPeriod,
+  Notification,
+  RefreshToken,
+  PersonalAccessToken,
+  PasswordResetToken,
+  EmailVerificationToken,
+  TwoFactorChallenge,
+  SyncTombstone,
+  LoginAttempt,
+  AuditEvent,
+  ImportProfile,
+  ExpenseImport
+} = require('../models');
+const { toCsv } = require('../utils/csv');
+const { sendMail } = require('../utils/mailer');
+const twoFactorService = require('./twoFactorService');
+const sessionService = require('./sessionService');
+const auditService = require('./auditService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getGracePeriodDays = () => {
+  const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+  return isNaN(days) || days < 0 ? 30 : days;
+};
+
+// Collections exported as JSON. Secrets (password and token hashes, 2FA secrets) are left out.
+const EXPORT_COLLECTIONS = [
+  { file: 'expenses.json', model: Expense },
+  { file: 'income.json', model: Income },
+  { file: 'categories.json', model: Category },
+  { file: 'allocations.json', model: Allocation },
+  { file: 'allocation-templates.json', model: AllocationTemplate },
+  { file: 'income-allocations.json', model: IncomeAllocation },
+  { file: 'budget-periods.json', model: BudgetPeriod },
+  { file: 'notifications.json', model: Notification },
+  { file: 'import-profiles.json', model: ImportProfile },
+  { file: 'sessions.json', model: RefreshToken, select: '-token' },
+  { file: 'access-tokens.json', model: PersonalAccessToken, select: '-tokenHash' },
+  { file: 'audit-events.json', model: AuditEvent }
+];
+
+// Collections removed when an account is purged (AuditEvent is handled separately)
+const PURGED_MODELS = [
+  Expense,
+  Income,
+  Category,
+  Allocation,
+  AllocationTemplate,
+  IncomeAllocation,
+  BudgetPeriod,
+  Notification,
+  RefreshToken,
+  PersonalAccessToken,
+  PasswordResetToken,
+  EmailVerificationToken,
+  TwoFactorChallenge,
+  SyncTombstone,
+  ImportProfile,
+  ExpenseImport
+];
+
+const EXPENSE_COLUMNS = [
+  { header: 'id', value: row => row._id },
+  { header: 'date', value: row => row.date },
+  { header: 'amount', value: row => row.amount },
+  { header: 'description', value: row => row.description },
+  { header: 'category', value: row => row.categoryId && row.categoryId.name },
+  { header: 'tags', value: row => row.tags },
+  { header: 'location', value: row => row.location && row.location.address },
+  { header: 'notes', value: row => row.notes },
+  { header: 'recurring', value: row => row.isRecurring },
+  { header: 'recurringFrequency', value: row => row.recurringFrequency }
+];
+
+const INCOME_COLUMNS = [
+  { header: 'id', value: row => row._id },
+  { header: 'date', value: row => row.date },
+  { header: 'amount', value: row => row.amount },
+  { header: 'source', value: row => row.source },
+  { header: 'category', value: row => row.category },
+  { header: 'description', value: row => row.description },
+  { header: 'tags', value: row => row.tags },
+  { header: 'notes', value: row => row.notes },
+  { header: 'recurring', value: row => row.isRecurring },
+  { header: 'recurringFrequency', value: row => row.recurringFrequency }
+];
+
+const toJson = (data) => JSON.stringify(data, null, 2);
+
+class AccountService {
+  // Write a zip archive of everything tied to the user to `output` (e.g. the response).
+  // Resolves once the archive is complete.
+  async writeExport(userId, output) {
+    const user = await User.findById(userId);
+    if (!user) throw new Error('User not found');
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const done = new Promise((resolve, reject) => {
+      archive.on('error', reject);
+      archive.on('warning', error => console.error('Export archive warning:', error));
+      output.on('close', resolve);
+      output.on('finish', resolve);
+    });
+    archive.pipe(output);
+
+    const exportedAt = new Date();
+    const counts = {};
+
+    archive.append(toJson(user.toJSON()), { name: 'user.json' });
+
+    for (const { file, model, select } of EXPORT_COLLECTIONS) {
+      const query = model.find({ userId: user._id }).lean();
+      if (select) query.select(select);
+      const docs = await query;
+      counts[file] = docs.length;
+      archive.append(toJson(docs), { name: file });
+    }
+
+    // Spreadsheet-friendly copies of the main records
+    const expenses = await Expense.find({ userId: user._id })
+      .populate('categoryId', 'name')
+      .sort({ date: 1 })
+      .lean();
+    archive.append(toCsv(expenses, EXPENSE_COLUMNS), { name: 'expenses.csv' });
+
+    const income = await Income.find({ userId: user._id }).sort({ date: 1 }).lean();
+    archive.append(toCsv(income, INCOME_COLUMNS), { name: 'income.csv' });
+
+    archive.append(toJson({
+      format: 'expensewise-export',
+      version: 1,
+      userId: user._id,
+      email: user.email,
+      exportedAt,
+      counts
+    }), { name: 'manifest.json' });
+
+    await auditService.record(user._id, 'account.export', { counts });
+
+    await archive.finalize();
+    await done;
+  }
+
+  // Schedule the account for deletion after the grace period. Needs the password (accounts
+  // without one: a recent sign-in on this session), and a second factor when two-factor is
+  // on. Other devices are signed out; this one stays signed in so the user can still cancel.
+  async requestDeletion(userId, { password, code, recoveryCode }, currentSessionId = null) {
+    const user = await User.findById(userId);
+    if (!user) throw new Error('User not found');
+
+    if (user.password) {
+      if (!password || !(await user.comparePassword(password))) {
+        throw new Error('Password is incorrect');
+      }
+    } else if (!(await sessionService.isRecentlyAuthenticated(currentSessionId))) {
+      throw new Error('Recent sign-in required');
+    }
+    if (user.twoFactor && user.twoFactor.enabled &&
+        !(await twoFactorService.verifySecondFactor(user, { code, recoveryCode }))) {
+      throw new Error('Invalid two-factor code');
+    }
+    if (user.deletionScheduledFor) {
+      throw new Error('Account deletion is already scheduled');
+    }
+
+    const now = new Date();
+    user.deletionRequestedAt = now;
+    user.deletionScheduledFor = new Date(now.getTime() + getGracePeriodDays() * DAY_MS);
+    await user.save();
+
+    await RefreshToken.deleteMany({ userId: user._id, sessionId: { $ne: currentSessionId } });
+    await PersonalAccessToken.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: now });
+
+    await auditService.record(user._id, 'account.deletion_request', {
+      scheduledFor: user.deletionScheduledFor
+    });
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your ExpenseWise account will be deleted',
+      text: `Hi ${user.name},\n\nWe received a request to delete your account. Your account and all its ` +
+        `data will be deleted permanently on ${user.deletionScheduledFor.toISOString()}.\n\n` +
+        'Changed your mind? Sign in and cancel the deletion before then. If you didn\'t ask for this, ' +
+        'sign in, cancel the deletion and change your password.'
+    }).catch(error => console.error('Error sending deletion email:', error));
+
+    return this.getDeletionStatus(user);
+  }
+
+  async cancelDeletion(userId) {
+    const user = await User.findById(userId);
+    if (!user) throw new Error('User not found');
+    if (!user.deletionScheduledFor) {
+      throw new Error('Account deletion is not scheduled');
+    }
+
+    user.deletionRequestedAt = null;
+    user.deletionScheduledFor = null;
+    await user.save();
+
+    await auditService.record(user._id, 'account.deletion_cancel');
+    return this.getDeletionStatus(user);
+  }
+
+  getDeletionStatus(user) {
+    return {
+      scheduled: Boolean(user.deletionScheduledFor),
+      requestedAt: user.deletionRequestedAt || null,
+      scheduledFor: user.deletionScheduledFor || null
+    };
+  }
+
+  // Remove an account and everything tied to it. Deletes go straight to the collections:
+  // sync tombstones and per-document audit events would only recreate the data being erased.
+  async purgeAccount(user) {
+    const counts = {};
+    for (const model of PURGED_MODELS) {
+      const result = await model.collection.deleteMany({ userId: user._id });
+      counts[model.modelName] = result.deletedCount;
+    }
+
+    await LoginAttempt.collection.deleteMany({ key: `account:${user.email}` });
+    // The audit trail holds copies of the erased data; audit events are append-only for
+    // the application, so they are removed at the collection level here
+    const audit = await AuditEvent.collection.deleteMany({ userId: user._id });
+    counts.AuditEvent = audit.deletedCount;
+
+    await User.collection.deleteOne({ _id: user._id });
+
+    // The only record left: that the account existed and was deleted on request
+    await auditService.record(user._id, 'account.purge', {
+      requestedAt: user.deletionRequestedAt,
+      counts
+    }, { actorType: 'system' });
+
+    return counts;
+  }
+
+  // Scheduler task: purge accounts whose grace period has ended. Safe to run on several
+  // instances at once (deletes are idempotent).
+  async purgeDueAccounts() {
+    const users = await User.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } })
+      .select('_id email deletionRequestedAt')
+      .lean();
+
+    let purged = 0;
+    for (const user of users) {
+      try {
+        await this.purgeAccount(user);
+        purged++;
+      } catch (error) {
+        console.error(`Error purging account ${user._id}:`, error);
+      }
+    }
+
+    return { purged };
+  }
+}
+
+module.exports = new AccountService();
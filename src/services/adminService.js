@@ -0,0 +1,317 @@
+const mongoose = require('mongoose');
+const {
+  User,
+  Expense,
+  Income,
+  Category,
+  Allocation,
+  RefreshToken,
+  PersonalAccessToken,
+  TwoFactorChallenge,
+  LoginAttempt,
+  AdminAction
+} = require('../models');
+const { removeAllRefreshTokens } = require('../utils/jwt');
+const { ROLES, outranks } = require('../utils/permissions');
+const loginProtectionService = require('./loginProtectionService');
+const notificationService = require('./notificationService');
+const auditService = require('./auditService');
+
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getPagination = ({ page = 1, limit = 20 }) => {
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || 20));
+  return { pageNumber, pageSize, skip: (pageNumber - 1) * pageSize };
+};
+
+// What staff get to see of an account
+const formatUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  name: user.name,
+  role: user.role || 'user',
+  isEmailVerified: user.isEmailVerified,
+  twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+  disabled: Boolean(user.disabledAt),
+  disabledAt: user.disabledAt || null,
+  disabledReason: user.disabledReason || null,
+  lastLoginAt: user.lastLoginAt || null,
+  createdAt: user.createdAt
+});
+
+class AdminError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AdminError';
+    this.statusCode = statusCode;
+  }
+}
+
+class AdminService {
+  // Search accounts by email or name, optionally filtered by role and status
+  async searchUsers({ q, role, status, page, limit } = {}) {
+    const query = {};
+
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      query.$or = [{ email: pattern }, { name: pattern }];
+    }
+    if (role) {
+      query.role = role === 'user' ? { $in: ['user', null] } : role;
+    }
+    if (status === 'disabled') query.disabledAt = { $ne: null };
+    if (status === 'active') query.disabledAt = null;
+
+    const { pageNumber, pageSize, skip } = getPagination({ page, limit });
+    const [users, total] = await Promise.all([
+      User.find(query).sort({ createdAt: -1 }).skip(skip).limit(pageSize),
+      User.countDocuments(query)
+    ]);
+
+    return {
+      users: users.map(formatUser),
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalUsers: total,
+        hasNext: pageNumber * pageSize < total,
+        hasPrev: pageNumber > 1
+      }
+    };
+  }
+
+  async getUser(userId) {
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+    if (!user) throw new AdminError('User not found', 404);
+    return user;
+  }
+
+  // Account overview for support: profile, data volume and security state
+  async getUserStats(userId) {
+    const user = await this.getUser(userId);
+    const now = new Date();
+
+    const [expenses, income, categories, allocations, sessions, accessTokens, lockout] = await Promise.all([
+      Expense.aggregate([
+        { $match: { userId: user._id } },
+        { $group: { _id: null, count: { $sum: 1 }, total: { $sum: '$amount' }, lastDate: { $max: '$date' } } }
+      ]),
+      Income.aggregate([
+        { $match: { userId: user._id } },
+        { $group: { _id: null, count: { $sum: 1 }, total: { $sum: '$amount' }, lastDate: { $max: '$date' } } }
+      ]),
+      Category.countDocuments({ userId: user._id }),
+      Allocation.countDocuments({ userId: user._id }),
+      RefreshToken.countDocuments({
+        userId: user._id,
+        rotatedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      }),
+      PersonalAccessToken.countDocuments({
+        userId: user._id,
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      }),
+      LoginAttempt.findOne({ key: `account:${user.email}`, lockedUntil: { $gt: now } })
+    ]);
+
+    const summarize = (result) => {
+      const [group] = result;
+      return group
+        ? { count: group.count, total: group.total, lastDate: group.lastDate }
+        : { count: 0, total: 0, lastDate: null };
+    };
+
+    return {
+      user: formatUser(user),
+      expenses: summarize(expenses),
+      income: summarize(income),
+      categories,
+      allocations,
+      activeSessions: sessions,
+      activeAccessTokens: accessTokens,
+      lockedUntil: lockout ? lockout.lockedUntil : null,
+      securityFlags: user.securityFlags || []
+    };
+  }
+
+  // Staff can only act on accounts ranked below them, and never on their own
+  assertCanManage(actor, target) {
+    if (String(actor._id) === String(target._id)) {
+      throw new AdminError('You can\'t perform this action on your own account', 403);
+    }
+    if (!outranks(actor.role, target.role)) {
+      throw new AdminError('You can\'t manage an account with the same or a higher role', 403);
+    }
+  }
+
+  async disableUser(context, userId, reason) {
+    const user = await this.getUser(userId);
+    this.assertCanManage(context.actor, user);
+    if (user.disabledAt) throw new AdminError('Account is already disabled');
+
+    user.disabledAt = new Date();
+    user.disabledReason = reason || undefined;
+    user.disabledBy = context.actor._id;
+    await user.save();
+
+    // Signs out every device; authMiddleware rejects the remaining access tokens
+    await removeAllRefreshTokens(user._id);
+
+    await this.recordAction(context, 'user.disable', user._id, { reason });
+    return formatUser(user);
+  }
+
+  async enableUser(context, userId, reason) {
+    const user = await this.getUser(userId);
+    this.assertCanManage(context.actor, user);
+    if (!user.disabledAt) throw new AdminError('Account is not disabled');
+
+    user.disabledAt = null;
+    user.disabledReason = undefined;
+    user.disabledBy = undefined;
+    await user.save();
+
+    await this.recordAction(context, 'user.enable', user._id, { reason });
+    return formatUser(user);
+  }
+
+  // Sign the user out on all devices
+  async forceLogout(context, userId, reason) {
+    const user = await this.getUser(userId);
+    this.assertCanManage(context.actor, user);
+
+    const sessions = await RefreshToken.distinct('sessionId', { userId: user._id, rotatedAt: null });
+    await removeAllRefreshTokens(user._id);
+
+    await this.recordAction(context, 'user.force_logout', user._id, {
+      reason,
+      details: { sessionsRevoked: sessions.length }
+    });
+    return { sessionsRevoked: sessions.length };
+  }
+
+  // Turn off two-factor for a user who lost their authenticator and recovery codes
+  async resetTwoFactor(context, userId, reason) {
+    const user = await this.getUser(userId);
+    this.assertCanManage(context.actor, user);
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      throw new AdminError('Two-factor authentication is not enabled for this account');
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { twoFactor: { enabled: false, recoveryCodes: [] } } }
+    );
+    await TwoFactorChallenge.deleteMany({ userId: user._id });
+
+    await this.recordAction(context, 'user.reset_2fa', user._id, { reason });
+
+    try {
+      await notificationService.notify(user._id, {
+        type: 'security',
+        title: 'Two-factor authentication turned off',
+        message: 'Support turned off two-factor authentication for your account. ' +
+          'Set it up again in your security settings.',
+        data: {},
+        dedupeKey: `reset-2fa:${user._id}:${Date.now()}`
+      });
+    } catch (error) {
+      console.error('Error sending two-factor reset notification:', error);
+    }
+
+    return formatUser(await this.getUser(userId));
+  }
+
+  // Lift a login lockout (see loginProtectionService)
+  async unlockLogin(context, userId, reason) {
+    const user = await this.getUser(userId);
+    this.assertCanManage(context.actor, user);
+
+    await loginProtectionService.clearAccount(user.email);
+
+    await this.recordAction(context, 'user.unlock', user._id, { reason });
+  }
+
+  async setRole(context, userId, role, reason) {
+    if (!ROLES.includes(role)) {
+      throw new AdminError(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const user = await this.getUser(userId);
+    this.assertCanManage(context.actor, user);
+
+    const previousRole = user.role || 'user';
+    user.role = role;
+    await user.save();
+
+    await this.recordAction(context, 'user.set_role', user._id, {
+      reason,
+      details: { previousRole, role }
+    });
+    return formatUser(user);
+  }
+
+  // The admin action log, newest first
+  async listActions({ actorId, targetUserId, action, page, limit } = {}) {
+    if (actorId && !mongoose.isValidObjectId(actorId)) throw new AdminError('Invalid actorId');
+    if (targetUserId && !mongoose.isValidObjectId(targetUserId)) throw new AdminError('Invalid targetUserId');
+
+    const query = {};
+    if (actorId) query.actorId = actorId;
+    if (targetUserId) query.targetUserId = targetUserId;
+    if (action) query.action = action;
+
+    const { pageNumber, pageSize, skip } = getPagination({ page, limit });
+    const [actions, total] = await Promise.all([
+      AdminAction.find(query)
+        .populate('actorId', 'email name role')
+        .populate('targetUserId', 'email name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(pageSize),
+      AdminAction.countDocuments(query)
+    ]);
+
+    return {
+      actions,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalActions: total,
+        hasNext: pageNumber * pageSize < total,
+        hasPrev: pageNumber > 1
+      }
+    };
+  }
+
+  // Every change made through the admin API is recorded with who made it and from where
+  async recordAction(context, action, targetUserId, { reason, details = {} } = {}) {
+    await AdminAction.create({
+      actorId: context.actor._id,
+      actorRole: context.actor.role,
+      action,
+      targetUserId,
+      reason,
+      details,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent
+    });
+
+    // Changes also show up in the user's own audit trail (views don't)
+    if (targetUserId && action !== 'user.view') {
+      await auditService.record(targetUserId, `admin.${action}`, { reason, ...details }, {
+        actorId: context.actor._id,
+        actorType: 'admin'
+      });
+    }
+  }
+}
+
+const adminService = new AdminService();
+adminService.AdminError = AdminError;
+
+module.exports = adminService;
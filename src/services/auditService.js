@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { AuditEvent } = require('../models');
+const { recordAuditEvent } = require('../utils/audit');
+
+const MAX_PAGE_SIZE = 100;
+
+// Query from the filters both views share
+const buildQuery = ({ action, entityType, entityId, from, to }) => {
+  const query = {};
+
+  // "expense" matches every expense.* action
+  if (action) {
+    query.action = action.includes('.') ? action : { $regex: `^${action.replace(/[^a-z0-9_]/gi, '')}\\.` };
+  }
+  if (entityType) query.entityType = entityType;
+  if (entityId && mongoose.isValidObjectId(entityId)) query.entityId = entityId;
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  return query;
+};
+
+class AuditService {
+  // Record a security event for an account, e.g. record(userId, 'auth.login', { method: 'password' }).
+  // The actor and request details come from the request context.
+  async record(userId, action, metadata = {}, { actorId, actorType } = {}) {
+    await recordAuditEvent({ userId, action, metadata, actorId, actorType });
+  }
+
+  async list(query, { page = 1, limit = 50 } = {}) {
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || 50));
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      AuditEvent.countDocuments(query)
+    ]);
+
+    return { events, total, page: pageNumber, limit: pageSize };
+  }
+
+  // A user's own audit trail
+  async listForUser(userId, filters = {}) {
+    return this.list({ ...buildQuery(filters), userId }, filters);
+  }
+
+  // All accounts, for admins; optionally narrowed to one account or actor
+  async listAll(filters = {}) {
+    const query = buildQuery(filters);
+    if (filters.userId && mongoose.isValidObjectId(filters.userId)) query.userId = filters.userId;
+    if (filters.actorId && mongoose.isValidObjectId(filters.actorId)) query.actorId = filters.actorId;
+    if (filters.actorType) query.actorType = filters.actorType;
+    return this.list(query, filters);
+  }
+}
+
+module.exports = new AuditService();
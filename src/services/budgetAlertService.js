@@ -0,0 +1,80 @@
+const { Category, User } = require('../models');
+const budgetService = require('./budgetService');
+const notificationService = require('./notificationService');
+
+// Percent-used levels that trigger an alert, e.g. BUDGET_ALERT_THRESHOLDS=50,80,100
+const getThresholds = () => {
+  const configured = (process.env.BUDGET_ALERT_THRESHOLDS || '50,80,100')
+    .split(',')
+    .map(value => parseFloat(value))
+    .filter(value => !isNaN(value) && value > 0);
+
+  return configured.sort((a, b) => a - b);
+};
+
+const formatAmount = (value) => value.toFixed(2);
+
+class BudgetAlertService {
+  // Check the budget of the expense's category for the expense's month and alert on the
+  // highest threshold crossed. Each threshold fires at most once per allocation and month.
+  async evaluateExpense(userId, expense) {
+    const user = await User.findById(userId).select('notificationPreferences');
+    if (user && user.notificationPreferences && user.notificationPreferences.budgetAlerts === false) {
+      return [];
+    }
+
+    const categoryId = expense.categoryId && expense.categoryId._id
+      ? expense.categoryId._id
+      : expense.categoryId;
+    const category = await Category.findById(categoryId).select('name');
+    const categoryName = category ? category.name : null;
+
+    const date = new Date(expense.date);
+    const analysis = await budgetService.analyze(userId, {
+      period: 'monthly',
+      year: date.getFullYear(),
+      month: date.getMonth() + 1
+    });
+
+    const thresholds = getThresholds();
+    const sent = [];
+
+    const owner = budgetService.findAllocationForCategory(analysis.budgets, categoryId, categoryName);
+
+    for (const budget of analysis.budgets) {
+      if (budget !== owner || budget.allocated <= 0) continue;
+
+      const crossed = thresholds.filter(threshold => budget.percentUsed >= threshold);
+      if (crossed.length === 0) continue;
+
+      const threshold = crossed[crossed.length - 1];
+      const periodKey = `${date.getFullYear()}-${date.getMonth() + 1}`;
+      const overBudget = threshold >= 100;
+
+      const notification = await notificationService.notify(userId, {
+        type: 'budget_threshold',
+        title: overBudget
+          ? `${budget.categoryName} budget exceeded`
+          : `${budget.categoryName} budget ${threshold}% used`,
+        message: `You have spent ${formatAmount(budget.spent)} of your ${formatAmount(budget.allocated)} ` +
+          `${budget.categoryName} budget this month (${budget.percentUsed}%).`,
+        data: {
+          allocationId: String(budget.allocationId),
+          categoryName: budget.categoryName,
+          threshold,
+          percentUsed: budget.percentUsed,
+          allocated: budget.allocated,
+          spent: budget.spent,
+          period: periodKey
+        },
+        dedupeKey: `budget:${budget.allocationId}:${periodKey}:${threshold}`
+      });
+
+      if (notification) sent.push(notification);
+    }
+
+    return sent;
+  }
+}
+
+module.exports = new BudgetAlertService();
@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const { Expense, Income, Allocation } = require('../models');
+const recurringIncomeService = require('./recurringIncomeService');
+
+const PERIOD_TYPES = ['weekly', 'monthly', 'yearly'];
+
+// budgetLimit is a monthly amount; scale it to the period being analysed
+const BUDGET_LIMIT_SCALE = {
+  weekly: 12 / 52,
+  monthly: 1,
+  yearly: 12
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class BudgetService {
+  // Resolve a calendar period: the week (Monday to Sunday) containing `date`,
+  // the given month, or the given year
+  resolvePeriod({ period = 'monthly', year, month, date } = {}) {
+    const now = new Date();
+    const type = PERIOD_TYPES.includes(period) ? period : 'monthly';
+    const y = parseInt(year) || now.getFullYear();
+    const m = parseInt(month) || now.getMonth() + 1;
+
+    let startDate, endDate;
+    switch (type) {
+      case 'weekly': {
+        const reference = date ? new Date(date) : now;
+        const offset = (reference.getDay() + 6) % 7; // days since Monday
+        startDate = new Date(reference.getFullYear(), reference.getMonth(), reference.getDate() - offset);
+        endDate = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + 6, 23, 59, 59, 999);
+        break;
+      }
+      case 'yearly':
+        startDate = new Date(y, 0, 1);
+        endDate = new Date(y, 11, 31, 23, 59, 59, 999);
+        break;
+      case 'monthly':
+      default:
+        startDate = new Date(y, m - 1, 1);
+        endDate = new Date(y, m, 0, 23, 59, 59, 999);
+    }
+
+    return { type, startDate, endDate };
+  }
+
+  // Stored income plus projected recurring income within the period
+  async getPeriodIncome(userId, startDate, endDate) {
+    const [stored] = await Income.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(String(userId)),
+          date: { $gte: startDate, $lte: endDate }
+        }
+      },
+      { $group: { _id: null, totalAmount: { $sum: '$amount' } } }
+    ]);
+
+    const projected = await recurringIncomeService.getProjectedTotals(userId, startDate, endDate);
+    const storedAmount = stored ? stored.totalAmount : 0;
+
+    return {
+      total: storedAmount + projected.totalAmount,
+      stored: storedAmount,
+      projected: projected.totalAmount
+    };
+  }
+
+  // Expense totals per category within the period
+  async getSpendByCategory(userId, startDate, endDate) {
+    return Expense.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(String(userId)),
+          date: { $gte: startDate, $lte: endDate }
+        }
+      },
+      {
+        $group: {
+          _id: '$categoryId',
+          totalAmount: { $sum: '$amount' },
+          count: { $sum: 1 }
+        }
+      },
+      {
+        $lookup: {
+          from: 'categories',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'category'
+        }
+      },
+      { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } }
+    ]);
+  }
+
+  // Whether a spend row (grouped by category) belongs to an allocation.
+  // Allocations reference categories by id when they have one, otherwise by name.
+  allocationMatchesCategory(allocation, categoryId, categoryName) {
+    if (allocation.categoryId && categoryId && String(allocation.categoryId) === String(categoryId)) {
+      return true;
+    }
+    return Boolean(categoryName) &&
+      allocation.categoryName.trim().toLowerCase() === categoryName.trim().toLowerCase();
+  }
+
+  // The one allocation a spend row counts towards, so spend matching several allocations
+  // isn't counted more than once: the first that references the category by id, else
+  // the first with the category's name
+  findAllocationForCategory(allocations, categoryId, categoryName) {
+    const byId = allocations.find(allocation =>
+      allocation.categoryId && categoryId && String(allocation.categoryId) === String(categoryId)
+    );
+    if (byId) return byId;
+    return allocations.find(allocation => this.allocationMatchesCategory(allocation, categoryId, categoryName)) || null;
+  }
+
+  // Amount allocated to an allocation for a period: the fixed budgetLimit when set,
+  // otherwise its percentage of the period's income
+  getAllocatedAmount(allocation, income, periodType = 'monthly') {
+    if (allocation.budgetLimit !== null && allocation.budgetLimit !== undefined) {
+      return round2(allocation.budgetLimit * (BUDGET_LIMIT_SCALE[periodType] || 1));
+    }
+    return round2((allocation.percentage / 100) * income);
+  }
+
+  // Compare one allocation's budget with its spend
+  buildBudgetLine(allocation, allocated, spent, transactions) {
+    const remaining = round2(allocated - spent);
+    let percentUsed = 0;
+    if (allocated > 0) {
+      percentUsed = round2((spent / allocated) * 100);
+    } else if (spent > 0) {
+      percentUsed = 100;
+    }
+
+    return {
+      allocationId: allocation._id,
+      categoryId: allocation.categoryId,
+      categoryName: allocation.categoryName,
+      bucketName: allocation.bucketName,
+      percentage: allocation.percentage,
+      budgetLimit: allocation.budgetLimit,
+      allocationType: allocation.budgetLimit !== null && allocation.budgetLimit !== undefined ? 'fixed' : 'percentage',
+      allocated,
+      spent: round2(spent),
+      remaining,
+      percentUsed,
+      transactions,
+      status: spent > allocated ? 'over' : 'under'
+    };
+  }
+
+  // Budget progress for every active allocation of a user within a period
+  async analyze(userId, periodOptions = {}) {
+    const period = this.resolvePeriod(periodOptions);
+
+    const [allocations, income, spendRows] = await Promise.all([
+      Allocation.find({ userId, isActive: true }).sort({ categoryName: 1 }),
+      this.getPeriodIncome(userId, period.startDate, period.endDate),
+      this.getSpendByCategory(userId, period.startDate, period.endDate)
+    ]);
+
+    const owners = spendRows.map(row =>
+      this.findAllocationForCategory(allocations, row._id, row.category ? row.category.name : null)
+    );
+
+    const budgets = allocations.map(allocation => {
+      let spent = 0;
+      let transactions = 0;
+
+      spendRows.forEach((row, index) => {
+        if (owners[index] === allocation) {
+          spent += row.totalAmount;
+          transactions += row.count;
+        }
+      });
+
+      const allocated = this.getAllocatedAmount(allocation, income.total, period.type);
+      return this.buildBudgetLine(allocation, allocated, spent, transactions);
+    });
+
+    const unallocatedSpend = spendRows
+      .filter((row, index) => !owners[index])
+      .map(row => ({
+        categoryId: row._id,
+        categoryName: row.category ? row.category.name : null,
+        spent: round2(row.totalAmount),
+        transactions: row.count
+      }));
+
+    const totalAllocated = round2(budgets.reduce((sum, budget) => sum + budget.allocated, 0));
+    const totalSpent = round2(budgets.reduce((sum, budget) => sum + budget.spent, 0));
+
+    return {
+      period,
+      income: {
+        total: round2(income.total),
+        projected: round2(income.projected)
+      },
+      budgets,
+      unallocatedSpend,
+      totals: {
+        allocated: totalAllocated,
+        spent: totalSpent,
+        remaining: round2(totalAllocated - totalSpent),
+        percentUsed: totalAllocated > 0 ? round2((totalSpent / totalAllocated) * 100) : 0,
+        overBudgetCount: budgets.filter(budget => budget.status === 'over').length
+      }
+    };
+  }
+}
+
+module.exports = new BudgetService();
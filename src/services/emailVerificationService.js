@@ -0,0 +1,142 @@
+const { User, EmailVerificationToken } = require('../models');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+
+const getTokenTtlHours = () => parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS) || 24;
+
+// Resend throttling: minimum gap between emails and maximum emails per hour
+const getResendCooldownSeconds = () => {
+  const configured = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS);
+  return isNaN(configured) ? 60 : configured;
+};
+const getMaxPerHour = () => parseInt(process.env.EMAIL_VERIFICATION_MAX_PER_HOUR) || 5;
+
+// Actions unverified accounts may not perform, e.g. EMAIL_VERIFICATION_BLOCKED_ACTIONS=export,email-notifications
+const getBlockedActions = () => {
+  return (process.env.EMAIL_VERIFICATION_BLOCKED_ACTIONS || 'export,email-notifications')
+    .split(',')
+    .map(action => action.trim())
+    .filter(Boolean);
+};
+
+// Verification link; EMAIL_VERIFICATION_URL is the app page (or deep link) that takes the token.
+// Without it the link points straight at the API.
+const buildVerificationLink = (token) => {
+  const baseUrl = process.env.EMAIL_VERIFICATION_URL;
+  if (!baseUrl) return null;
+  const separator = baseUrl.includes('?') ? '&' : '?';
+  return `${baseUrl}${separator}token=${encodeURIComponent(token)}`;
+};
+
+class EmailVerificationService {
+  // Issue a verification token and email it
+  async sendVerification(user) {
+    const token = generateToken();
+    const ttlHours = getTokenTtlHours();
+
+    await EmailVerificationToken.create({
+      userId: user._id || user.id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+    });
+
+    const link = buildVerificationLink(token);
+    const instructions = link
+      ? `Please confirm your email address by opening this link:\n\n${link}`
+      : `Please confirm your email address in the app with this code:\n\n${token}`;
+
+    await sendMail({
+      to: user.email,
+      subject: 'Verify your ExpenseWise email address',
+      text: `Hi ${user.name},\n\n${instructions}\n\nThe link expires in ${ttlHours} hours.`
+    });
+  }
+
+  // Send a new verification email, at most once per cooldown and a few times per hour
+  async resend(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.isEmailVerified) {
+      throw new Error('Email is already verified');
+    }
+
+    const now = Date.now();
+    const recent = await EmailVerificationToken.find({
+      userId: user._id,
+      createdAt: { $gt: new Date(now - 60 * 60 * 1000) }
+    }).sort({ createdAt: -1 });
+
+    const cooldownMs = getResendCooldownSeconds() * 1000;
+    let retryAfter = 0;
+
+    if (recent.length > 0 && now - recent[0].createdAt.getTime() < cooldownMs) {
+      retryAfter = cooldownMs - (now - recent[0].createdAt.getTime());
+    }
+    if (recent.length >= getMaxPerHour()) {
+      const oldest = recent[recent.length - 1];
+      retryAfter = Math.max(retryAfter, oldest.createdAt.getTime() + 60 * 60 * 1000 - now);
+    }
+
+    if (retryAfter > 0) {
+      const error = new Error('Too many verification emails requested');
+      error.retryAfter = Math.ceil(retryAfter / 1000);
+      throw error;
+    }
+
+    await this.sendVerification(user);
+  }
+
+  // After an email change: tokens sent to the old address stop working and the new
+  // address gets its own verification email. The caller has already marked the
+  // account unverified.
+  async restartVerification(user) {
+    await EmailVerificationToken.deleteMany({ userId: user._id || user.id });
+    await this.sendVerification(user);
+  }
+
+  // Mark the token's user as verified. Any outstanding tokens are removed.
+  async verify(token) {
+    const verificationToken = await EmailVerificationToken.findOne({
+      tokenHash: hashToken(token),
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!verificationToken) {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    const user = await User.findByIdAndUpdate(
+      verificationToken.userId,
+      { isEmailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+
+    await EmailVerificationToken.deleteMany({ userId: verificationToken.userId });
+
+    if (!user) {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    return user;
+  }
+
+  // Whether the user may perform a policy-controlled action
+  isActionAllowed(user, action) {
+    if (!user || user.isEmailVerified) return true;
+    return !getBlockedActions().includes(action);
+  }
+
+  // Unverified accounts get shorter-lived access tokens when
+  // EMAIL_VERIFICATION_UNVERIFIED_TOKEN_EXPIRES_IN is set
+  getAccessTokenExpiresIn(user) {
+    const unverifiedExpiresIn = process.env.EMAIL_VERIFICATION_UNVERIFIED_TOKEN_EXPIRES_IN;
+    if (user && !user.isEmailVerified && unverifiedExpiresIn) {
+      return unverifiedExpiresIn;
+    }
+    return process.env.JWT_EXPIRES_IN || '2d';
+  }
+}
+
+module.exports = new EmailVerificationService();
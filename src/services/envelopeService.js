@@ -0,0 +1,273 @@
+const mongoose = require('mongoose');
+const { Allocation, BudgetPeriod, Expense, Income } = require('../models');
+const budgetService = require('./budgetService');
+const recurringIncomeService = require('./recurringIncomeService');
+
+// How far back balances are rebuilt when an allocation is older than that
+const MAX_HISTORY_MONTHS = 24;
+
+// Months are the server's local calendar months, in the aggregations as well
+const SERVER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const monthKey = (year, month) => `${year}-${month}`;
+
+// List {year, month} from the start month up to and including the end month
+const monthsBetween = (startYear, startMonth, endYear, endMonth) => {
+  const months = [];
+  let year = startYear;
+  let month = startMonth;
+  while (year < endYear || (year === endYear && month <= endMonth)) {
+    months.push({ year, month });
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return months;
+};
+
+// Amount carried into the next month. Deficits always carry so overspending has to be
+// covered later; surplus carries according to the allocation's rollover rule.
+const applyRollover = (closingBalance, rule, cap) => {
+  if (closingBalance <= 0) return closingBalance;
+
+  switch (rule) {
+    case 'full':
+      return closingBalance;
+    case 'capped':
+      return cap === null || cap === undefined ? closingBalance : Math.min(closingBalance, cap);
+    case 'none':
+    default:
+      return 0;
+  }
+};
+
+class EnvelopeService {
+  // Income per month (stored and projected recurring income) between two dates
+  async getMonthlyIncome(userId, startDate, endDate) {
+    const stored = await Income.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(String(userId)),
+          date: { $gte: startDate, $lte: endDate }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            year: { $year: { date: '$date', timezone: SERVER_TIME_ZONE } },
+            month: { $month: { date: '$date', timezone: SERVER_TIME_ZONE } }
+          },
+          totalAmount: { $sum: '$amount' }
+        }
+      }
+    ]);
+
+    const incomeByMonth = new Map();
+    stored.forEach(item => {
+      incomeByMonth.set(monthKey(item._id.year, item._id.month), item.totalAmount);
+    });
+
+    const projected = await recurringIncomeService.getProjectedTotals(userId, startDate, endDate);
+    Object.values(projected.byMonth).forEach(item => {
+      const key = monthKey(item.year, item.month);
+      incomeByMonth.set(key, (incomeByMonth.get(key) || 0) + item.totalAmount);
+    });
+
+    return incomeByMonth;
+  }
+
+  // Expense totals per month and category between two dates
+  async getMonthlySpend(userId, startDate, endDate) {
+    const rows = await Expense.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(String(userId)),
+          date: { $gte: startDate, $lte: endDate }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            year: { $year: { date: '$date', timezone: SERVER_TIME_ZONE } },
+            month: { $month: { date: '$date', timezone: SERVER_TIME_ZONE } },
+            categoryId: '$categoryId'
+          },
+          totalAmount: { $sum: '$amount' }
+        }
+      },
+      {
+        $lookup: {
+          from: 'categories',
+          localField: '_id.categoryId',
+          foreignField: '_id',
+          as: 'category'
+        }
+      },
+      { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } }
+    ]);
+
+    const spendByMonth = new Map();
+    rows.forEach(row => {
+      const key = monthKey(row._id.year, row._id.month);
+      if (!spendByMonth.has(key)) spendByMonth.set(key, []);
+      spendByMonth.get(key).push(row);
+    });
+
+    return spendByMonth;
+  }
+
+  // Opening balance, funding, spend and closing balance of every active envelope for a month.
+  // Balances are rebuilt from the month each allocation was created (at most
+  // MAX_HISTORY_MONTHS back) and stored as BudgetPeriod records along the way. Closed
+  // months are stored once and then kept as they are; later edits don't change them.
+  async getEnvelopes(userId, { year, month } = {}) {
+    const now = new Date();
+    const targetYear = parseInt(year) || now.getFullYear();
+    const targetMonth = parseInt(month) || now.getMonth() + 1;
+
+    const allocations = await Allocation.find({ userId, isActive: true }).sort({ categoryName: 1 });
+
+    const earliestAllowed = new Date(targetYear, targetMonth - 1 - (MAX_HISTORY_MONTHS - 1), 1);
+    const targetStart = new Date(targetYear, targetMonth - 1, 1);
+    const targetEnd = new Date(targetYear, targetMonth, 0, 23, 59, 59, 999);
+
+    // Each envelope starts in the month its allocation was created
+    const startFor = (allocation) => {
+      const created = allocation.createdAt || targetStart;
+      const start = new Date(created.getFullYear(), created.getMonth(), 1);
+      if (start < earliestAllowed) return earliestAllowed;
+      if (start > targetStart) return targetStart;
+      return start;
+    };
+
+    const rangeStart = allocations.reduce((earliest, allocation) => {
+      const start = startFor(allocation);
+      return start < earliest ? start : earliest;
+    }, targetStart);
+
+    const [incomeByMonth, spendByMonth, closedPeriods] = await Promise.all([
+      this.getMonthlyIncome(userId, rangeStart, targetEnd),
+      this.getMonthlySpend(userId, rangeStart, targetEnd),
+      BudgetPeriod.find({
+        allocationId: { $in: allocations.map(allocation => allocation._id) },
+        isClosed: true
+      }).lean()
+    ]);
+
+    const closedByKey = new Map();
+    closedPeriods.forEach(period => {
+      closedByKey.set(`${period.allocationId}:${monthKey(period.year, period.month)}`, period);
+    });
+
+    const periodWrites = [];
+    const envelopes = allocations.map(allocation => {
+      const start = startFor(allocation);
+      const months = monthsBetween(start.getFullYear(), start.getMonth() + 1, targetYear, targetMonth);
+
+      let carry = 0;
+      let current = null;
+
+      months.forEach(({ year: y, month: m }) => {
+        const key = monthKey(y, m);
+
+        const closed = closedByKey.get(`${allocation._id}:${key}`);
+        if (closed) {
+          current = closed;
+          carry = closed.carryOver;
+          return;
+        }
+
+        const income = incomeByMonth.get(key) || 0;
+        const funded = budgetService.getAllocatedAmount(allocation, income, 'monthly');
+
+        const spent = (spendByMonth.get(key) || []).reduce((sum, row) => {
+          const categoryName = row.category ? row.category.name : null;
+          const owner = budgetService.findAllocationForCategory(allocations, row._id.categoryId, categoryName);
+          return owner === allocation ? sum + row.totalAmount : sum;
+        }, 0);
+
+        const periodStart = new Date(y, m - 1, 1);
+        const periodEnd = new Date(y, m, 0, 23, 59, 59, 999);
+        const openingBalance = round2(carry);
+        const closingBalance = round2(openingBalance + funded - spent);
+        const carryOver = round2(applyRollover(closingBalance, allocation.rolloverRule, allocation.rolloverCap));
+
+        current = {
+          userId: allocation.userId,
+          allocationId: allocation._id,
+          year: y,
+          month: m,
+          periodStart,
+          periodEnd,
+          openingBalance,
+          funded,
+          spent: round2(spent),
+          closingBalance,
+          carryOver,
+          rolloverRule: allocation.rolloverRule,
+          rolloverCap: allocation.rolloverCap,
+          isClosed: periodEnd < now
+        };
+
+        periodWrites.push({
+          updateOne: {
+            filter: { allocationId: allocation._id, year: y, month: m },
+            update: { $set: current },
+            upsert: true
+          }
+        });
+
+        carry = carryOver;
+      });
+
+      return {
+        allocationId: allocation._id,
+        categoryId: allocation.categoryId,
+        categoryName: allocation.categoryName,
+        bucketName: allocation.bucketName,
+        rolloverRule: current.rolloverRule,
+        rolloverCap: current.rolloverCap,
+        openingBalance: current.openingBalance,
+        funded: current.funded,
+        spent: current.spent,
+        closingBalance: current.closingBalance,
+        carryOver: current.carryOver,
+        isClosed: current.isClosed
+      };
+    });
+
+    if (periodWrites.length > 0) {
+      await BudgetPeriod.bulkWrite(periodWrites, { ordered: false });
+    }
+
+    const totals = envelopes.reduce((sum, envelope) => ({
+      openingBalance: round2(sum.openingBalance + envelope.openingBalance),
+      funded: round2(sum.funded + envelope.funded),
+      spent: round2(sum.spent + envelope.spent),
+      closingBalance: round2(sum.closingBalance + envelope.closingBalance)
+    }), { openingBalance: 0, funded: 0, spent: 0, closingBalance: 0 });
+
+    return {
+      period: {
+        year: targetYear,
+        month: targetMonth,
+        startDate: targetStart,
+        endDate: targetEnd
+      },
+      income: round2(incomeByMonth.get(monthKey(targetYear, targetMonth)) || 0),
+      envelopes,
+      totals
+    };
+  }
+
+  // Stored monthly records of one envelope, newest first
+  async getHistory(userId, allocationId) {
+    return BudgetPeriod.find({ userId, allocationId }).sort({ year: -1, month: -1 });
+  }
+}
+
+module.exports = new EnvelopeService();
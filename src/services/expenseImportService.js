@@ -0,0 +1,520 @@
+const mongoose = require('mongoose');
+const { Expense, Category, ImportProfile, ExpenseImport } = require('../models');
+const { parseCsv, unescapeCell } = require('../utils/csv');
+const auditService = require('./auditService');
+
+// Expense fields a CSV column can be mapped to
+const FIELDS = ['date', 'amount', 'description', 'category', 'tags', 'notes'];
+const REQUIRED_FIELDS = ['date', 'amount', 'description'];
+const DELIMITERS = ['', ',', ';', '\t'];
+
+// Rows returned with a preview; all rows are kept for the commit
+const PREVIEW_ROWS = 50;
+const MAX_LISTED_INVALID_ROWS = 200;
+
+const getMaxRows = () => parseInt(process.env.EXPENSE_IMPORT_MAX_ROWS) || 5000;
+const getImportTtlMinutes = () => parseInt(process.env.EXPENSE_IMPORT_TTL_MINUTES) || 60;
+
+const DATE_TOKENS = {
+  YYYY: '(\\d{4})',
+  YY: '(\\d{2})',
+  MM: '(\\d{1,2})',
+  DD: '(\\d{1,2})'
+};
+
+// Parser for a date format such as DD/MM/YYYY. Returns a function giving a UTC date (or
+// null for values that don't match), or null if the format isn't usable. Anything after
+// the date, like a time, is ignored. Two-digit years are 20xx.
+const compileDateFormat = (format) => {
+  const order = [];
+  const pattern = String(format || '').replace(/YYYY|YY|MM|DD|./g, token => {
+    if (DATE_TOKENS[token]) {
+      order.push(token);
+      return DATE_TOKENS[token];
+    }
+    return token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  });
+
+  const hasYear = order.includes('YYYY') || order.includes('YY');
+  if (order.length !== 3 || !hasYear || !order.includes('MM') || !order.includes('DD')) return null;
+
+  const regex = new RegExp(`^${pattern}(?:[ T].*)?$`);
+  return (value) => {
+    const match = regex.exec(value);
+    if (!match) return null;
+
+    const parts = {};
+    order.forEach((token, index) => {
+      parts[token] = parseInt(match[index + 1], 10);
+    });
+
+    const year = parts.YYYY !== undefined ? parts.YYYY : 2000 + parts.YY;
+    const date = new Date(Date.UTC(year, parts.MM - 1, parts.DD));
+    // Rejects days that don't exist, e.g. 31/02
+    if (date.getUTCMonth() !== parts.MM - 1 || date.getUTCDate() !== parts.DD) return null;
+    return date;
+  };
+};
+
+// "1,234.50", "1.234,50", "LKR 1 234" or "(12.00)" as a number; null when it isn't one.
+// The separator that isn't the decimal one (or a space) is taken as a thousands separator,
+// and only between groups of three digits, so "12,5" with decimal "." is rejected.
+const parseAmount = (value, decimalSeparator) => {
+  const negative = /^-|-$|^\(.*\)$/.test(value);
+  const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+
+  const digits = value
+    .replace(/(\d)\s+(?=\d)/g, `$1${thousandsSeparator}`)
+    .replace(/[^0-9.,]/g, '');
+  const [whole, fraction, ...rest] = digits.split(decimalSeparator);
+  if (rest.length > 0) return null;
+
+  const groups = whole.split(thousandsSeparator);
+  if (groups.length > 1 && (!/^\d{1,3}$/.test(groups[0]) || groups.slice(1).some(group => !/^\d{3}$/.test(group)))) {
+    return null;
+  }
+
+  const text = fraction === undefined ? groups.join('') : `${groups.join('')}.${fraction}`;
+  if (!/^\d+(\.\d+)?$/.test(text)) return null;
+
+  const amount = Math.round(parseFloat(text) * 100) / 100;
+  return negative ? -amount : amount;
+};
+
+// Category names match regardless of case and surrounding spaces
+const categoryKey = (name) => String(name).trim().toLowerCase();
+
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+class ImportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ImportError';
+    this.statusCode = statusCode;
+  }
+}
+
+class ExpenseImportService {
+  // Validated import settings from a request or profile. Fields left out keep their
+  // value from `base` (e.g. the profile being used or updated).
+  normalizeSettings(data = {}, base = {}) {
+    const settings = {
+      mapping: { ...(base.mapping || {}) },
+      dateFormat: base.dateFormat || 'YYYY-MM-DD',
+      decimalSeparator: base.decimalSeparator || '.',
+      delimiter: base.delimiter || '',
+      tagSeparator: base.tagSeparator || ';',
+      hasHeaderRow: base.hasHeaderRow !== undefined ? base.hasHeaderRow : true,
+      defaultCategory: base.defaultCategory || undefined
+    };
+
+    let { mapping } = data;
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch (error) {
+        throw new ImportError('Mapping must be an object or a JSON object');
+      }
+    }
+    if (mapping !== undefined && mapping !== null) {
+      if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+        throw new ImportError('Mapping must be an object or a JSON object');
+      }
+      settings.mapping = {};
+      FIELDS.forEach(field => {
+        if (mapping[field] !== undefined && mapping[field] !== null && String(mapping[field]).trim() !== '') {
+          settings.mapping[field] = String(mapping[field]).trim();
+        }
+      });
+    }
+
+    if (data.dateFormat !== undefined) settings.dateFormat = String(data.dateFormat).trim();
+    if (!compileDateFormat(settings.dateFormat)) {
+      throw new ImportError('Date format must contain YYYY (or YY), MM and DD, e.g. DD/MM/YYYY');
+    }
+
+    if (data.decimalSeparator !== undefined) settings.decimalSeparator = data.decimalSeparator;
+    if (!['.', ','].includes(settings.decimalSeparator)) {
+      throw new ImportError('Decimal separator must be "." or ","');
+    }
+
+    if (data.delimiter !== undefined) settings.delimiter = data.delimiter === 'tab' ? '\t' : data.delimiter;
+    if (!DELIMITERS.includes(settings.delimiter)) {
+      throw new ImportError('Delimiter must be ",", ";" or "tab" (or empty to detect it)');
+    }
+
+    if (data.tagSeparator !== undefined) settings.tagSeparator = String(data.tagSeparator);
+    if (!settings.tagSeparator) {
+      throw new ImportError('Tag separator can\'t be empty');
+    }
+
+    if (data.hasHeaderRow !== undefined) settings.hasHeaderRow = isTrue(data.hasHeaderRow);
+    if (data.defaultCategory !== undefined) {
+      settings.defaultCategory = String(data.defaultCategory).trim() || undefined;
+    }
+
+    return settings;
+  }
+
+  // Column index for each mapped field. Without a mapping, header names equal to the field
+  // names are used (so files from the account export can be imported as they are).
+  resolveColumns(headers, settings) {
+    let { mapping } = settings;
+    if (Object.keys(mapping).length === 0 && settings.hasHeaderRow) {
+      mapping = {};
+      headers.forEach(header => {
+        const field = FIELDS.find(name => name === header.toLowerCase());
+        if (field && !mapping[field]) mapping[field] = header;
+      });
+    }
+
+    const columns = {};
+    Object.entries(mapping).forEach(([field, column]) => {
+      const index = /^\d+$/.test(column)
+        ? parseInt(column, 10) - 1
+        : headers.findIndex(header => header.toLowerCase() === column.toLowerCase());
+
+      if (index < 0 || index >= headers.length) {
+        throw new ImportError(`Column "${column}" for ${field} was not found in the file`);
+      }
+      columns[field] = index;
+    });
+
+    const required = settings.defaultCategory ? REQUIRED_FIELDS : [...REQUIRED_FIELDS, 'category'];
+    const unmapped = required.filter(field => columns[field] === undefined);
+    if (unmapped.length > 0) {
+      throw new ImportError(`Choose a column for: ${unmapped.join(', ')}`);
+    }
+
+    return { columns, mapping };
+  }
+
+  // One CSV record as expense fields, with what's wrong with it
+  parseRow(record, rowNumber, columns, settings, parseDate) {
+    const cell = (field) => (columns[field] === undefined
+      ? ''
+      : unescapeCell(String(record[columns[field]] || '').trim()));
+
+    const issues = [];
+    const row = { rowNumber, tags: [] };
+
+    const dateText = cell('date');
+    if (!dateText) {
+      issues.push('Date is required');
+    } else {
+      row.date = parseDate(dateText);
+      if (!row.date) issues.push(`Date "${dateText}" doesn't match ${settings.dateFormat}`);
+    }
+
+    const amountText = cell('amount');
+    if (!amountText) {
+      issues.push('Amount is required');
+    } else {
+      row.amount = parseAmount(amountText, settings.decimalSeparator);
+      if (row.amount === null) issues.push(`Amount "${amountText}" is not a number`);
+      else if (row.amount <= 0) issues.push('Amount must be greater than 0');
+    }
+
+    row.description = cell('description');
+    if (!row.description) issues.push('Description is required');
+    else if (row.description.length > 200) issues.push('Description cannot exceed 200 characters');
+
+    row.category = cell('category') || settings.defaultCategory || '';
+    if (!row.category) issues.push('Category is required');
+    else if (row.category.length > 50) issues.push('Category name cannot exceed 50 characters');
+
+    const tagsText = cell('tags');
+    if (tagsText) {
+      row.tags = [...new Set(tagsText.split(settings.tagSeparator).map(tag => tag.trim()).filter(Boolean))];
+      if (row.tags.some(tag => tag.length > 30)) issues.push('Tag cannot exceed 30 characters');
+    }
+
+    row.notes = cell('notes') || undefined;
+    if (row.notes && row.notes.length > 500) issues.push('Notes cannot exceed 500 characters');
+
+    row.issues = issues;
+    return row;
+  }
+
+  // The user's categories by name (see categoryKey)
+  async loadCategories(userId, session = null) {
+    const categories = await Category.find({ userId }).select('_id name').session(session).lean();
+    return new Map(categories.map(category => [categoryKey(category.name), category]));
+  }
+
+  // Category names used by the rows that don't exist yet (first spelling wins)
+  findMissingCategories(rows, categories) {
+    const missing = new Map();
+    rows.forEach(row => {
+      const key = categoryKey(row.category);
+      if (row.category && !categories.has(key) && !missing.has(key)) missing.set(key, row.category);
+    });
+    return [...missing.values()];
+  }
+
+  // Parse and validate an uploaded CSV file and keep it for the commit. `data` holds
+  // either a profileId or the settings (mapping, dateFormat, ...), or both to override
+  // parts of the profile; `saveProfileAs` stores the settings used as a profile.
+  async preview(userId, file, data = {}) {
+    if (!file || !file.buffer || file.buffer.length === 0) {
+      throw new ImportError('Upload a CSV file in the "file" field');
+    }
+
+    let profile = null;
+    if (data.profileId) {
+      profile = mongoose.isValidObjectId(data.profileId)
+        ? await ImportProfile.findOne({ _id: data.profileId, userId })
+        : null;
+      if (!profile) throw new ImportError('Import profile not found', 404);
+    }
+
+    const settings = this.normalizeSettings(data, profile ? profile.toObject() : {});
+
+    let records;
+    try {
+      records = parseCsv(file.buffer.toString('utf8'), { delimiter: settings.delimiter });
+    } catch (error) {
+      throw new ImportError(`The file is not valid CSV: ${error.message}`);
+    }
+
+    const headers = settings.hasHeaderRow && records.length > 0
+      ? records.shift().map(header => header.trim())
+      : (records[0] || []).map((cell, index) => `Column ${index + 1}`);
+
+    if (records.length === 0) throw new ImportError('The file has no rows to import');
+    if (records.length > getMaxRows()) {
+      throw new ImportError(`A file can have at most ${getMaxRows()} rows`);
+    }
+
+    const { columns, mapping } = this.resolveColumns(headers, settings);
+    const parseDate = compileDateFormat(settings.dateFormat);
+    const firstRowNumber = settings.hasHeaderRow ? 2 : 1;
+    const rows = records.map((record, index) =>
+      this.parseRow(record, firstRowNumber + index, columns, settings, parseDate)
+    );
+
+    const expenseImport = await ExpenseImport.create({
+      userId,
+      fileName: file.originalname,
+      profileId: profile ? profile._id : null,
+      options: { ...settings, mapping },
+      headers,
+      rows,
+      expiresAt: new Date(Date.now() + getImportTtlMinutes() * 60 * 1000)
+    });
+
+    if (profile) {
+      await ImportProfile.updateOne({ _id: profile._id }, { lastUsedAt: new Date() });
+    }
+    if (data.saveProfileAs) {
+      await this.saveProfile(userId, String(data.saveProfileAs), { ...settings, mapping });
+    }
+
+    return this.formatImport(expenseImport, await this.loadCategories(userId));
+  }
+
+  async getImport(userId, importId) {
+    const expenseImport = mongoose.isValidObjectId(importId)
+      ? await ExpenseImport.findOne({ _id: importId, userId })
+      : null;
+    if (!expenseImport) throw new ImportError('Import not found or expired', 404);
+    return expenseImport;
+  }
+
+  async getPreview(userId, importId) {
+    const expenseImport = await this.getImport(userId, importId);
+    return this.formatImport(expenseImport, await this.loadCategories(userId));
+  }
+
+  // Write the valid rows of an import as expenses. Everything happens in one transaction:
+  // either all rows (and any new categories) are saved, or nothing is.
+  async commit(userId, importId, { createMissingCategories = false, skipInvalidRows = false } = {}) {
+    const createCategories = isTrue(createMissingCategories);
+    const skipInvalid = isTrue(skipInvalidRows);
+
+    const expenseImport = await this.getImport(userId, importId);
+    if (expenseImport.status === 'committed') {
+      throw new ImportError('This import was already committed', 409);
+    }
+
+    const invalidCount = expenseImport.rows.filter(row => row.issues.length > 0).length;
+    if (invalidCount > 0 && !skipInvalid) {
+      throw new ImportError(
+        `${invalidCount} rows have errors. Fix the file and upload it again, or set skipInvalidRows to import the other rows.`
+      );
+    }
+
+    let rows = expenseImport.rows.filter(row => row.issues.length === 0);
+
+    const missing = this.findMissingCategories(rows, await this.loadCategories(userId));
+    if (missing.length > 0 && !createCategories) {
+      if (!skipInvalid) {
+        throw new ImportError(
+          `Categories not found: ${missing.join(', ')}. Create them, or set createMissingCategories.`
+        );
+      }
+      const missingKeys = new Set(missing.map(categoryKey));
+      rows = rows.filter(row => !missingKeys.has(categoryKey(row.category)));
+    }
+
+    if (rows.length === 0) throw new ImportError('There are no rows to import');
+
+    let result;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // Claiming the import first makes a second, concurrent commit fail
+        const claimed = await ExpenseImport.findOneAndUpdate(
+          { _id: expenseImport._id, userId, status: 'pending' },
+          { status: 'committed', committedAt: new Date() },
+          { session, new: true }
+        );
+        if (!claimed) throw new ImportError('This import was already committed', 409);
+
+        const categories = await this.loadCategories(userId, session);
+        const toCreate = createCategories ? this.findMissingCategories(rows, categories) : [];
+        if (toCreate.length > 0) {
+          const created = await Category.insertMany(
+            toCreate.map(name => ({ userId, name })),
+            { session }
+          );
+          created.forEach(category => categories.set(categoryKey(category.name), category));
+        }
+
+        const expenses = await Expense.insertMany(rows.map(row => ({
+          userId,
+          categoryId: categories.get(categoryKey(row.category))._id,
+          amount: row.amount,
+          description: row.description,
+          date: row.date,
+          tags: row.tags,
+          notes: row.notes
+        })), { session });
+
+        result = {
+          imported: expenses.length,
+          skipped: expenseImport.rows.length - expenses.length,
+          categoriesCreated: toCreate
+        };
+        await ExpenseImport.updateOne({ _id: expenseImport._id }, { result }, { session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    await auditService.record(userId, 'expense.import', {
+      importId: expenseImport._id,
+      fileName: expenseImport.fileName,
+      ...result
+    });
+
+    return { importId: expenseImport._id, ...result };
+  }
+
+  // What the client sees of an import: a summary, the first rows and the rows with errors
+  formatImport(expenseImport, categories) {
+    const formatRow = (row) => ({
+      rowNumber: row.rowNumber,
+      date: row.date || null,
+      amount: row.amount === undefined ? null : row.amount,
+      description: row.description,
+      category: row.category,
+      categoryId: categories.has(categoryKey(row.category))
+        ? categories.get(categoryKey(row.category))._id
+        : null,
+      tags: row.tags,
+      notes: row.notes || null,
+      errors: row.issues
+    });
+
+    const rows = expenseImport.rows;
+    const invalidRows = rows.filter(row => row.issues.length > 0);
+    const usedCategories = new Map();
+    rows.forEach(row => {
+      const key = categoryKey(row.category);
+      if (row.category && categories.has(key)) usedCategories.set(key, categories.get(key));
+    });
+
+    return {
+      importId: expenseImport._id,
+      fileName: expenseImport.fileName,
+      status: expenseImport.status,
+      headers: expenseImport.headers,
+      options: expenseImport.options,
+      summary: {
+        totalRows: rows.length,
+        validRows: rows.length - invalidRows.length,
+        invalidRows: invalidRows.length
+      },
+      categories: {
+        matched: [...usedCategories.values()].map(category => ({ id: category._id, name: category.name })),
+        missing: this.findMissingCategories(rows, categories)
+      },
+      rows: rows.slice(0, PREVIEW_ROWS).map(formatRow),
+      invalidRows: invalidRows.slice(0, MAX_LISTED_INVALID_ROWS).map(formatRow),
+      result: expenseImport.result,
+      expiresAt: expenseImport.expiresAt
+    };
+  }
+
+  async listProfiles(userId) {
+    return ImportProfile.find({ userId }).sort({ name: 1 });
+  }
+
+  async createProfile(userId, data = {}) {
+    const name = String(data.name || '').trim();
+    if (!name) throw new ImportError('Profile name is required');
+
+    try {
+      return await ImportProfile.create({ userId, name, ...this.normalizeSettings(data) });
+    } catch (error) {
+      if (error.code === 11000) throw new ImportError('A profile with this name already exists', 409);
+      if (error.name === 'ValidationError') throw new ImportError(Object.values(error.errors)[0].message);
+      throw error;
+    }
+  }
+
+  async updateProfile(userId, profileId, data = {}) {
+    const profile = mongoose.isValidObjectId(profileId)
+      ? await ImportProfile.findOne({ _id: profileId, userId })
+      : null;
+    if (!profile) throw new ImportError('Import profile not found', 404);
+
+    if (data.name !== undefined) {
+      profile.name = String(data.name).trim();
+      if (!profile.name) throw new ImportError('Profile name is required');
+    }
+    profile.set(this.normalizeSettings(data, profile.toObject()));
+
+    try {
+      return await profile.save();
+    } catch (error) {
+      if (error.code === 11000) throw new ImportError('A profile with this name already exists', 409);
+      if (error.name === 'ValidationError') throw new ImportError(Object.values(error.errors)[0].message);
+      throw error;
+    }
+  }
+
+  // Create the profile, or replace the settings of the one with the same name
+  async saveProfile(userId, name, settings) {
+    const profileName = name.trim();
+    if (!profileName) throw new ImportError('Profile name is required');
+
+    return ImportProfile.findOneAndUpdate(
+      { userId, name: profileName },
+      { $set: { ...settings, lastUsedAt: new Date() } },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  async deleteProfile(userId, profileId) {
+    if (!mongoose.isValidObjectId(profileId)) return false;
+    const result = await ImportProfile.deleteOne({ _id: profileId, userId });
+    return result.deletedCount > 0;
+  }
+}
+
+const expenseImportService = new ExpenseImportService();
+expenseImportService.ImportError = ImportError;
+
+module.exports = expenseImportService;
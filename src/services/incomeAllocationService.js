@@ -0,0 +1,144 @@
+const { Allocation, IncomeAllocation, User } = require('../models');
+const budgetService = require('./budgetService');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Ledger entries are grouped by bucket when the allocation has one, otherwise by category
+const bucketKey = (entry) => entry.bucketName || entry.categoryName;
+
+class IncomeAllocationService {
+  // Whether a new income should be split: an explicit request flag wins over the user setting
+  async shouldAutoAllocate(userId, requested) {
+    if (requested !== undefined && requested !== null) {
+      return requested === true || requested === 'true';
+    }
+
+    const user = await User.findById(userId).select('autoAllocateIncome');
+    return Boolean(user && user.autoAllocateIncome);
+  }
+
+  // Split an income across the user's active allocations, replacing any earlier split
+  async allocateIncome(income) {
+    const allocations = await Allocation.find({
+      userId: income.userId,
+      isActive: true,
+      percentage: { $gt: 0 }
+    });
+
+    await IncomeAllocation.deleteMany({ incomeId: income._id });
+
+    if (allocations.length === 0) return [];
+
+    const entries = allocations.map(allocation => ({
+      userId: income.userId,
+      incomeId: income._id,
+      allocationId: allocation._id,
+      categoryId: allocation.categoryId,
+      categoryName: allocation.categoryName,
+      bucketName: allocation.bucketName,
+      percentage: allocation.percentage,
+      amount: round2((income.amount * allocation.percentage) / 100),
+      date: income.date
+    }));
+
+    return IncomeAllocation.insertMany(entries);
+  }
+
+  // Re-split an income after an update, if it was split before
+  async reallocateIfAllocated(income) {
+    const existing = await IncomeAllocation.exists({ incomeId: income._id });
+    if (!existing) return [];
+    return this.allocateIncome(income);
+  }
+
+  async removeForIncome(incomeId) {
+    await IncomeAllocation.deleteMany({ incomeId });
+  }
+
+  async getForIncome(userId, incomeId) {
+    return IncomeAllocation.find({ userId, incomeId }).sort({ amount: -1 });
+  }
+
+  // Money available per bucket: everything allocated from incomes in the range minus
+  // the expenses in the bucket's categories over the same range.
+  // The range starts at the first allocated income unless startDate is given.
+  async getAvailableByBucket(userId, { startDate, endDate } = {}) {
+    const ledgerQuery = { userId };
+    if (startDate || endDate) {
+      ledgerQuery.date = {};
+      if (startDate) ledgerQuery.date.$gte = new Date(startDate);
+      if (endDate) ledgerQuery.date.$lte = new Date(endDate);
+    }
+
+    const entries = await IncomeAllocation.find(ledgerQuery).sort({ date: 1 });
+
+    const rangeStart = startDate
+      ? new Date(startDate)
+      : (entries[0] ? entries[0].date : new Date());
+    const rangeEnd = endDate ? new Date(endDate) : new Date();
+
+    const buckets = new Map();
+    entries.forEach(entry => {
+      const key = bucketKey(entry);
+      if (!buckets.has(key)) {
+        buckets.set(key, {
+          bucketName: key,
+          allocated: 0,
+          incomeCount: new Set(),
+          categories: new Map()
+        });
+      }
+
+      const bucket = buckets.get(key);
+      bucket.allocated += entry.amount;
+      bucket.incomeCount.add(String(entry.incomeId));
+      bucket.categories.set(`${entry.categoryId || ''}:${entry.categoryName.toLowerCase()}`, {
+        categoryId: entry.categoryId,
+        categoryName: entry.categoryName
+      });
+    });
+
+    const spendRows = buckets.size > 0
+      ? await budgetService.getSpendByCategory(userId, rangeStart, rangeEnd)
+      : [];
+
+    const result = Array.from(buckets.values()).map(bucket => {
+      const categories = Array.from(bucket.categories.values());
+      let spent = 0;
+
+      spendRows.forEach(row => {
+        const categoryName = row.category ? row.category.name : null;
+        const matches = categories.some(category =>
+          budgetService.allocationMatchesCategory(category, row._id, categoryName)
+        );
+        if (matches) spent += row.totalAmount;
+      });
+
+      return {
+        bucketName: bucket.bucketName,
+        categories,
+        allocated: round2(bucket.allocated),
+        spent: round2(spent),
+        available: round2(bucket.allocated - spent),
+        incomeCount: bucket.incomeCount.size
+      };
+    });
+
+    const totals = result.reduce((sum, bucket) => ({
+      allocated: round2(sum.allocated + bucket.allocated),
+      spent: round2(sum.spent + bucket.spent),
+      available: round2(sum.available + bucket.available)
+    }), { allocated: 0, spent: 0, available: 0 });
+
+    return {
+      buckets: result.sort((a, b) => b.available - a.available),
+      totals,
+      period: {
+        startDate: rangeStart,
+        endDate: rangeEnd
+      }
+    };
+  }
+}
+
+module.exports = new IncomeAllocationService();
@@ -0,0 +1,180 @@
+const { LoginAttempt, User } = require('../models');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const notificationService = require('./notificationService');
+
+const MAX_DELAY_SECONDS = 30;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+const getSetting = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+// Login protection policy (see .env.example)
+const getPolicy = () => ({
+  maxAccountFailures: getSetting('LOGIN_MAX_ACCOUNT_FAILURES', 5),
+  maxIpFailures: getSetting('LOGIN_MAX_IP_FAILURES', 20),
+  delayAfterFailures: getSetting('LOGIN_DELAY_AFTER_FAILURES', 3),
+  lockoutMinutes: getSetting('LOGIN_LOCKOUT_MINUTES', 15),
+  failureWindowMinutes: getSetting('LOGIN_FAILURE_WINDOW_MINUTES', 15)
+});
+
+const accountKey = (email) => `account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Wait required before the next attempt: doubles with each failure past the threshold
+const getDelaySeconds = (failures, policy) => {
+  if (failures < policy.delayAfterFailures) return 0;
+  return Math.min(2 ** (failures - policy.delayAfterFailures), MAX_DELAY_SECONDS);
+};
+
+// Each lockout lasts twice as long as the previous one
+const getLockoutMs = (lockCount, policy) => {
+  const minutes = Math.min(policy.lockoutMinutes * 2 ** (lockCount - 1), MAX_LOCKOUT_MINUTES);
+  return minutes * 60 * 1000;
+};
+
+const blockedError = (retryAfterMs) => {
+  const error = new Error('Too many failed login attempts');
+  error.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  return error;
+};
+
+// Link (or code) for the unlock email; ACCOUNT_UNLOCK_URL is the app page that takes the token
+const buildUnlockInstructions = (token) => {
+  const baseUrl = process.env.ACCOUNT_UNLOCK_URL;
+  if (!baseUrl) return `Use this code in the app to unlock your account now:\n\n${token}`;
+  const separator = baseUrl.includes('?') ? '&' : '?';
+  return `Open this link to unlock your account now:\n\n${baseUrl}${separator}token=${encodeURIComponent(token)}`;
+};
+
+class LoginProtectionService {
+  // Throw (with retryAfter in seconds) when the account or IP is locked, or when the
+  // progressive delay since the last failure hasn't passed yet
+  async check({ email, ip }) {
+    const policy = getPolicy();
+    const now = Date.now();
+    const keys = [accountKey(email)];
+    if (ip) keys.push(ipKey(ip));
+
+    const entries = await LoginAttempt.find({ key: { $in: keys }, expiresAt: { $gt: new Date(now) } });
+
+    let retryAfterMs = 0;
+    entries.forEach(entry => {
+      if (entry.lockedUntil && entry.lockedUntil.getTime() > now) {
+        retryAfterMs = Math.max(retryAfterMs, entry.lockedUntil.getTime() - now);
+      }
+
+      const delayMs = getDelaySeconds(entry.failures, policy) * 1000;
+      if (delayMs > 0 && entry.lastFailureAt) {
+        retryAfterMs = Math.max(retryAfterMs, entry.lastFailureAt.getTime() + delayMs - now);
+      }
+    });
+
+    if (retryAfterMs > 0) throw blockedError(retryAfterMs);
+  }
+
+  // Count a failed password for the account and the IP, locking either one that
+  // reaches its limit
+  async recordFailure({ email, ip }) {
+    const policy = getPolicy();
+
+    await this.increment(accountKey(email), 'account', policy.maxAccountFailures, policy, email);
+    if (ip) {
+      await this.increment(ipKey(ip), 'ip', policy.maxIpFailures, policy);
+    }
+  }
+
+  async increment(key, type, maxFailures, policy, email = null) {
+    const now = new Date();
+    const windowMs = policy.failureWindowMinutes * 60 * 1000;
+
+    // Entries past their quiet period start over (the TTL monitor only runs once a minute)
+    await LoginAttempt.deleteOne({ key, expiresAt: { $lte: now } });
+
+    const entry = await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now },
+        $setOnInsert: { type },
+        $max: { expiresAt: new Date(now.getTime() + windowMs) }
+      },
+      { new: true, upsert: true }
+    );
+
+    if (entry.failures < maxFailures) return;
+
+    // Lock and start counting again from zero
+    const lockCount = entry.lockCount + 1;
+    const lockedUntil = new Date(now.getTime() + getLockoutMs(lockCount, policy));
+
+    const locked = await LoginAttempt.findOneAndUpdate(
+      { _id: entry._id, failures: { $gte: maxFailures } },
+      {
+        $set: { failures: 0, lockedUntil, lockCount },
+        $max: { expiresAt: new Date(lockedUntil.getTime() + windowMs) }
+      },
+      { new: true }
+    );
+
+    // Only the request that actually locked the account sends the notice
+    if (locked && type === 'account') {
+      await this.notifyLockout(email, locked).catch(error => {
+        console.error('Error sending lockout notification:', error);
+      });
+    }
+  }
+
+  // Tell the owner (if the account exists) and give them a way to unlock it early
+  async notifyLockout(email, entry) {
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user) return;
+
+    const token = generateToken();
+    await LoginAttempt.updateOne({ _id: entry._id }, { unlockTokenHash: hashToken(token) });
+
+    const until = entry.lockedUntil.toISOString();
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your ExpenseWise account has been locked',
+      text: `Hi ${user.name},\n\nThere were several failed attempts to sign in to your account, so sign-in ` +
+        `is blocked until ${until}.\n\n${buildUnlockInstructions(token)}\n\n` +
+        'If these attempts weren\'t you, consider changing your password once you are back in.'
+    });
+
+    await notificationService.notify(user._id, {
+      type: 'security',
+      title: 'Account temporarily locked',
+      message: `Sign-in was blocked until ${until} after several failed password attempts.`,
+      data: { lockedUntil: until },
+      dedupeKey: `lockout:${user._id}:${entry.lockCount}:${until}`,
+      // The lockout email was just sent
+      skipChannels: ['email']
+    });
+  }
+
+  // A successful password check clears the account's failures (not the IP's, so an
+  // attacker can't reset their counter by logging into their own account)
+  async recordSuccess({ email }) {
+    await LoginAttempt.deleteOne({ key: accountKey(email) });
+  }
+
+  // Unlock with the token from the lockout email
+  async unlockWithToken(token) {
+    const entry = await LoginAttempt.findOneAndDelete({
+      unlockTokenHash: hashToken(token),
+      type: 'account'
+    });
+    if (!entry) throw new Error('Invalid or expired unlock token');
+  }
+
+  // Remove the lock and failures of an account, e.g. after a password reset
+  async clearAccount(email) {
+    await LoginAttempt.deleteOne({ key: accountKey(email) });
+  }
+}
+
+module.exports = new LoginProtectionService();
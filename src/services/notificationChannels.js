@@ -0,0 +1,65 @@
+const { sendMail } = require('../utils/mailer');
+const emailVerificationService = require('./emailVerificationService');
+
+// Delivery channels for notifications. A channel is an object with:
+//   name                          - channel identifier stored in Notification.deliveries
+//   isEnabled(user)               - whether the user wants this channel
+//   send(user, notification)      - deliver; throw to record a failure
+
+const emailChannel = {
+  name: 'email',
+  isEnabled: (user) => Boolean(
+    user.notificationPreferences && user.notificationPreferences.email &&
+    emailVerificationService.isActionAllowed(user, 'email-notifications')
+  ),
+  send: async (user, notification) => {
+    await sendMail({
+      to: user.email,
+      subject: notification.title,
+      text: notification.message
+    });
+  }
+};
+
+// Push providers implement send({ tokens, title, body, data }).
+// The default provider only logs; set a real one (FCM, APNs, Expo) with setPushProvider.
+const logPushProvider = {
+  send: async ({ tokens, title }) => {
+    console.log(`Push notification "${title}" for ${tokens.length} device(s) not sent (no push provider configured)`);
+  }
+};
+
+let pushProvider = logPushProvider;
+
+const setPushProvider = (provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error('Push provider must implement send()');
+  }
+  pushProvider = provider;
+};
+
+const pushChannel = {
+  name: 'push',
+  isEnabled: (user) => Boolean(
+    user.notificationPreferences && user.notificationPreferences.push &&
+    user.pushTokens && user.pushTokens.length > 0
+  ),
+  send: async (user, notification) => {
+    await pushProvider.send({
+      tokens: user.pushTokens.map(pushToken => pushToken.token),
+      title: notification.title,
+      body: notification.message,
+      data: {
+        notificationId: String(notification._id),
+        type: notification.type,
+        ...notification.data
+      }
+    });
+  }
+};
+
+module.exports = {
+  emailChannel,
+  pushChannel,
+  setPushProvider
+};
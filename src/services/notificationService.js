@@ -0,0 +1,91 @@
+const { Notification, User } = require('../models');
+const { emailChannel, pushChannel } = require('./notificationChannels');
+
+class NotificationService {
+  constructor() {
+    // In-app delivery is the stored Notification itself; these are the extra channels
+    this.channels = new Map();
+    this.registerChannel(emailChannel);
+    this.registerChannel(pushChannel);
+  }
+
+  // Add or replace a delivery channel
+  registerChannel(channel) {
+    this.channels.set(channel.name, channel);
+  }
+
+  // Store a notification for a user and deliver it through their enabled channels
+  // (except `skipChannels`, for callers that already reached the user another way).
+  // Returns null when a notification with the same dedupeKey already exists.
+  async notify(userId, { type, title, message, data = {}, dedupeKey, skipChannels = [] }) {
+    let notification;
+    try {
+      notification = await Notification.create({ userId, type, title, message, data, dedupeKey });
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    const user = await User.findById(userId);
+    if (!user) return notification;
+
+    const deliveries = [];
+    for (const channel of this.channels.values()) {
+      if (skipChannels.includes(channel.name) || !channel.isEnabled(user)) continue;
+
+      try {
+        await channel.send(user, notification);
+        deliveries.push({ channel: channel.name, status: 'sent' });
+      } catch (error) {
+        console.error(`Error delivering notification through ${channel.name}:`, error);
+        deliveries.push({ channel: channel.name, status: 'failed', error: error.message });
+      }
+    }
+
+    if (deliveries.length > 0) {
+      notification.deliveries = deliveries;
+      await notification.save();
+    }
+
+    return notification;
+  }
+
+  // Paginated notifications for a user, newest first
+  async list(userId, { page = 1, limit = 20, unreadOnly = false } = {}) {
+    const query = { userId };
+    if (unreadOnly) query.isRead = false;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ userId, isRead: false })
+    ]);
+
+    return { notifications, total, unreadCount };
+  }
+
+  async markRead(userId, notificationId) {
+    return Notification.findOneAndUpdate(
+      { _id: notificationId, userId },
+      { isRead: true, readAt: new Date() },
+      { new: true }
+    );
+  }
+
+  async markAllRead(userId) {
+    const result = await Notification.updateMany(
+      { userId, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+    return result.modifiedCount;
+  }
+
+  async remove(userId, notificationId) {
+    return Notification.findOneAndDelete({ _id: notificationId, userId });
+  }
+}
+
+module.exports = new NotificationService();
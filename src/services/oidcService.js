@@ -0,0 +1,312 @@
+const { User, OidcLoginState } = require('../models');
+const oidc = require('../utils/oidc');
+const { generateToken, hashToken } = require('../utils/tokens');
+const auditService = require('./auditService');
+const loginProtectionService = require('./loginProtectionService');
+
+const DEFAULT_SCOPES = 'openid email profile';
+
+const getStateTtlMinutes = () => parseInt(process.env.OIDC_STATE_TTL_MINUTES) || 10;
+
+const splitList = (value) => String(value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Providers are configured with OIDC_PROVIDERS=google,apple and OIDC_<NAME>_* settings
+const readProvider = (name) => {
+  const prefix = `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const setting = (key) => process.env[prefix + key];
+
+  const endpoints = {};
+  if (setting('AUTHORIZATION_ENDPOINT')) endpoints.authorization_endpoint = setting('AUTHORIZATION_ENDPOINT');
+  if (setting('TOKEN_ENDPOINT')) endpoints.token_endpoint = setting('TOKEN_ENDPOINT');
+  if (setting('JWKS_URI')) endpoints.jwks_uri = setting('JWKS_URI');
+
+  return {
+    name,
+    displayName: setting('DISPLAY_NAME') || name.charAt(0).toUpperCase() + name.slice(1),
+    issuer: setting('ISSUER'),
+    clientId: setting('CLIENT_ID'),
+    clientSecret: setting('CLIENT_SECRET'),
+    discoveryUrl: setting('DISCOVERY_URL'),
+    redirectUris: splitList(setting('REDIRECT_URIS')),
+    scope: setting('SCOPES') || DEFAULT_SCOPES,
+    responseMode: setting('RESPONSE_MODE'),
+    endpoints
+  };
+};
+
+// Providers with an issuer, client id and at least one redirect URI
+const getConfiguredProviders = () => splitList(process.env.OIDC_PROVIDERS)
+  .map(name => readProvider(name.toLowerCase()))
+  .filter(provider => provider.issuer && provider.clientId && provider.redirectUris.length > 0);
+
+// Some providers send email_verified as a string
+const isEmailVerified = (claims) => claims.email_verified === true || claims.email_verified === 'true';
+
+class OidcError extends Error {
+  constructor(message, statusCode = 400, code = undefined, data = undefined) {
+    super(message);
+    this.name = 'OidcError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.data = data;
+  }
+}
+
+class OidcService {
+  // Providers shown on the login screen
+  listProviders() {
+    return getConfiguredProviders().map(({ name, displayName }) => ({ name, displayName }));
+  }
+
+  getProvider(name) {
+    const provider = getConfiguredProviders().find(item => item.name === String(name).toLowerCase());
+    if (!provider) throw new OidcError('Unknown sign-in provider', 404);
+    return provider;
+  }
+
+  // First step: remember a state, nonce and PKCE verifier for this login and return the
+  // provider URL to send the user to. The client passes `state` back with the code.
+  async startLogin(providerName, { redirectUri, session = {} } = {}) {
+    const provider = this.getProvider(providerName);
+
+    const redirect = redirectUri || provider.redirectUris[0];
+    if (!provider.redirectUris.includes(redirect)) {
+      throw new OidcError('Redirect URI is not allowed for this provider');
+    }
+
+    const metadata = await oidc.getMetadata(provider);
+    const state = generateToken();
+    const nonce = generateToken();
+    const { verifier, challenge } = oidc.createPkcePair();
+    const ttlMinutes = getStateTtlMinutes();
+
+    await OidcLoginState.create({
+      stateHash: hashToken(state),
+      provider: provider.name,
+      nonce,
+      codeVerifier: verifier,
+      redirectUri: redirect,
+      deviceName: session.deviceName,
+      platform: session.platform,
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    });
+
+    const authorizationUrl = oidc.buildAuthorizationUrl(metadata, {
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: redirect,
+      scope: provider.scope,
+      state,
+      nonce,
+      code_challenge: challenge,
+      code_challenge_method: 'S256',
+      response_mode: provider.responseMode
+    });
+
+    return { authorizationUrl, state, redirectUri: redirect, expiresIn: ttlMinutes * 60 };
+  }
+
+  // Second step: exchange the code, verify the ID token and find or create the account.
+  // Each state can be used once. `name` is only used for new accounts (Apple sends the
+  // name to the client, not in the ID token).
+  async completeLogin(providerName, { code, state, name } = {}) {
+    const provider = this.getProvider(providerName);
+
+    const loginState = await OidcLoginState.findOneAndDelete({
+      stateHash: hashToken(state),
+      provider: provider.name,
+      expiresAt: { $gt: new Date() }
+    });
+    if (!loginState) throw new OidcError('Invalid or expired sign-in attempt', 401);
+
+    const metadata = await oidc.getMetadata(provider);
+
+    let claims;
+    try {
+      const tokens = await oidc.exchangeCode(provider, metadata, {
+        code,
+        redirectUri: loginState.redirectUri,
+        codeVerifier: loginState.codeVerifier
+      });
+      if (!tokens || !tokens.id_token) throw new Error('Token response has no ID token');
+
+      claims = await oidc.verifyIdToken(provider, metadata, tokens.id_token, { nonce: loginState.nonce });
+    } catch (error) {
+      console.error(`OIDC sign-in with ${provider.name} failed:`, error);
+      throw new OidcError(`Sign-in with ${provider.displayName} failed`, 401);
+    }
+
+    const session = {
+      deviceName: loginState.deviceName,
+      platform: loginState.platform,
+      ipAddress: loginState.ipAddress,
+      userAgent: loginState.userAgent
+    };
+    const result = await this.resolveUser(provider, claims, { name, session });
+
+    return { ...result, session, provider: provider.name };
+  }
+
+  // Link an identity waiting for confirmation (see resolveUser) once the account's password
+  // is given. A link token works once; failed attempts count towards the login lockout.
+  async confirmLink(linkToken, password, { ip } = {}) {
+    const pending = await OidcLoginState.findOneAndDelete({
+      stateHash: hashToken(linkToken),
+      linkUserId: { $ne: null },
+      expiresAt: { $gt: new Date() }
+    });
+    if (!pending) throw new OidcError('Invalid or expired link request', 401);
+
+    const user = await User.findById(pending.linkUserId);
+    if (!user) throw new OidcError('Invalid or expired link request', 401);
+
+    const attempt = { email: user.email, ip };
+    await loginProtectionService.check(attempt);
+
+    if (!(await user.comparePassword(password))) {
+      await loginProtectionService.recordFailure(attempt);
+      await auditService.record(user._id, 'auth.login_failed', {
+        reason: 'invalid_password',
+        method: `oidc:${pending.provider}`
+      });
+      throw new OidcError('Password is incorrect. Sign in with the provider again to retry.', 401);
+    }
+    // With two-factor enabled, failures are cleared once the second factor is passed
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      await loginProtectionService.recordSuccess(attempt);
+    }
+
+    const provider = this.getProvider(pending.provider);
+    const linked = await this.linkIdentity(user, provider, { subject: pending.subject, email: pending.email });
+
+    return {
+      user: linked,
+      isNewUser: false,
+      provider: provider.name,
+      session: {
+        deviceName: pending.deviceName,
+        platform: pending.platform,
+        ipAddress: pending.ipAddress,
+        userAgent: pending.userAgent
+      }
+    };
+  }
+
+  async linkIdentity(user, provider, { subject, email }) {
+    const now = new Date();
+    await User.updateOne(
+      { _id: user._id },
+      { $push: { identities: { provider: provider.name, subject, email, linkedAt: now, lastUsedAt: now } } }
+    );
+    await auditService.record(user._id, 'auth.identity_link', {
+      provider: provider.name,
+      email
+    }, { actorId: user._id });
+
+    return User.findById(user._id);
+  }
+
+  // The account for an external identity: the one it's linked to, else an account with
+  // the same verified email (the identity gets linked), else a new password-less account.
+  // Linking to an account that has a password waits for that password (confirmLink).
+  async resolveUser(provider, claims, { name, session = {} } = {}) {
+    const subject = String(claims.sub);
+    const now = new Date();
+
+    const linked = await User.findOne({
+      identities: { $elemMatch: { provider: provider.name, subject } }
+    });
+    if (linked) {
+      await User.updateOne(
+        { _id: linked._id, identities: { $elemMatch: { provider: provider.name, subject } } },
+        { $set: { 'identities.$.lastUsedAt': now } }
+      );
+      return { user: linked, isNewUser: false };
+    }
+
+    // Without a verified email there's nothing safe to match or register with
+    const email = typeof claims.email === 'string' ? claims.email.toLowerCase().trim() : null;
+    if (!email || !isEmailVerified(claims)) {
+      throw new OidcError(`${provider.displayName} did not share a verified email address`);
+    }
+
+    const identity = { provider: provider.name, subject, email, linkedAt: now, lastUsedAt: now };
+
+    const existing = await User.findOne({ email });
+    if (existing) {
+      // Otherwise whoever registered the address first (without proving they own it)
+      // would gain access to the provider user's sign-in, or the other way round
+      if (!existing.isEmailVerified) {
+        throw new OidcError(
+          'An account with this email already exists. Sign in with your password and verify your email ' +
+            `address first, then sign in with ${provider.displayName}.`,
+          409,
+          'EMAIL_NOT_VERIFIED'
+        );
+      }
+
+      // Whoever holds the account must agree to the new way of signing in to it
+      if (existing.password) {
+        const linkToken = generateToken();
+        const ttlMinutes = getStateTtlMinutes();
+
+        await OidcLoginState.create({
+          stateHash: hashToken(linkToken),
+          provider: provider.name,
+          linkUserId: existing._id,
+          subject,
+          email,
+          deviceName: session.deviceName,
+          platform: session.platform,
+          ipAddress: session.ipAddress,
+          userAgent: session.userAgent,
+          expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+        });
+
+        throw new OidcError(
+          `An account with this email already exists. Enter its password to sign in with ${provider.displayName} from now on.`,
+          409,
+          'LINK_CONFIRMATION_REQUIRED',
+          { linkToken, email, expiresIn: ttlMinutes * 60 }
+        );
+      }
+
+      return { user: await this.linkIdentity(existing, provider, { subject, email }), isNewUser: false };
+    }
+
+    const user = new User({
+      email,
+      name: (name || claims.name || email.split('@')[0]).trim(),
+      isEmailVerified: true,
+      emailVerifiedAt: now,
+      identities: [identity]
+    });
+
+    try {
+      await user.save();
+    } catch (error) {
+      // Another request registered the email or linked the identity first
+      if (error.code === 11000) {
+        throw new OidcError('Sign-in conflicted with another request. Please try again.', 409);
+      }
+      if (error.name === 'ValidationError') {
+        throw new OidcError(`Your ${provider.displayName} email address can't be used for an account`);
+      }
+      throw error;
+    }
+
+    await auditService.record(user._id, 'auth.register', { method: `oidc:${provider.name}` }, { actorId: user._id });
+
+    return { user, isNewUser: true };
+  }
+}
+
+const oidcService = new OidcService();
+oidcService.OidcError = OidcError;
+
+module.exports = oidcService;
@@ -0,0 +1,95 @@
+const { User, PasswordResetToken } = require('../models');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { removeAllRefreshTokens } = require('../utils/jwt');
+const loginProtectionService = require('./loginProtectionService');
+const auditService = require('./auditService');
+
+const getTokenTtlMinutes = () => parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 30;
+
+// Link sent to the user; PASSWORD_RESET_URL is the app page (or deep link) that takes the token
+const buildResetLink = (token) => {
+  const baseUrl = process.env.PASSWORD_RESET_URL;
+  if (!baseUrl) return null;
+  const separator = baseUrl.includes('?') ? '&' : '?';
+  return `${baseUrl}${separator}token=${encodeURIComponent(token)}`;
+};
+
+class PasswordResetService {
+  // Issue a reset token and email it. Unknown emails are ignored silently so the
+  // endpoint can't be used to find out which addresses have an account; for the same
+  // reason known ones don't wait for the token and email, and mail errors are only logged.
+  async requestReset(email) {
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) return;
+
+    this.sendResetLink(user).catch(error => {
+      console.error('Error sending password reset email:', error);
+    });
+  }
+
+  async sendResetLink(user) {
+    // Only the newest link works
+    await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+
+    const token = generateToken();
+    const ttlMinutes = getTokenTtlMinutes();
+
+    await PasswordResetToken.create({
+      userId: user._id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    });
+
+    const link = buildResetLink(token);
+    const instructions = link
+      ? `Open this link to choose a new password:\n\n${link}`
+      : `Use this code to choose a new password in the app:\n\n${token}`;
+
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your ExpenseWise password',
+      text: `Hi ${user.name},\n\nWe received a request to reset your password. ${instructions}\n\n` +
+        `The link expires in ${ttlMinutes} minutes. If you didn't ask for this, you can ignore this email.`
+    });
+  }
+
+  // Set a new password with a reset token. The token is consumed atomically, so it
+  // works exactly once; all sessions are signed out afterwards.
+  async resetPassword(token, newPassword) {
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!resetToken) {
+      throw new Error('Invalid or expired reset token');
+    }
+
+    const user = await User.findById(resetToken.userId);
+    if (!user) {
+      throw new Error('Invalid or expired reset token');
+    }
+
+    // Password is hashed by the pre-save hook
+    user.password = newPassword;
+    await user.save();
+
+    await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+    await removeAllRefreshTokens(user._id);
+
+    // Proving control of the mailbox also lifts a login lockout
+    await loginProtectionService.clearAccount(user.email);
+
+    await auditService.record(user._id, 'auth.password_reset', {}, { actorId: user._id });
+
+    return { success: true };
+  }
+}
+
+module.exports = new PasswordResetService();
@@ -0,0 +1,136 @@
+const { PersonalAccessToken, User } = require('../models');
+const { generateToken, hashToken } = require('../utils/tokens');
+const auditService = require('./auditService');
+
+const TOKEN_PREFIX = 'ewp_';
+const MAX_TOKENS_PER_USER = 50;
+
+// Touch lastUsedAt at most this often, so authenticated requests don't all write
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+// Scopes a token can be granted; each route requires one of them (see requireScope)
+const SCOPES = [
+  'read:expenses', 'write:expenses',
+  'read:income', 'write:income',
+  'read:categories', 'write:categories',
+  'read:allocations', 'write:allocations',
+  'read:analytics',
+  'read:notifications', 'write:notifications',
+  'read:sync', 'write:sync',
+  'read:profile', 'write:profile',
+  'read:audit',
+  'read:export'
+];
+
+const formatToken = (accessToken) => ({
+  id: accessToken._id,
+  name: accessToken.name,
+  tokenPrefix: accessToken.tokenPrefix,
+  scopes: accessToken.scopes,
+  expiresAt: accessToken.expiresAt,
+  lastUsedAt: accessToken.lastUsedAt,
+  lastUsedIp: accessToken.lastUsedIp,
+  createdAt: accessToken.createdAt
+});
+
+class PersonalAccessTokenService {
+  // Personal access tokens are told apart from JWTs by their prefix
+  isPersonalAccessToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  // Create a token. The token itself is returned only here.
+  async createToken(userId, { name, scopes, expiresAt = null }) {
+    if (!name || !String(name).trim()) {
+      throw new Error('Token name is required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error('At least one scope is required');
+    }
+
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scopes: ${unknown.join(', ')}`);
+    }
+
+    const expires = expiresAt ? new Date(expiresAt) : null;
+    if (expires && (isNaN(expires.getTime()) || expires <= new Date())) {
+      throw new Error('Expiry must be a date in the future');
+    }
+
+    const count = await PersonalAccessToken.countDocuments({ userId, revokedAt: null });
+    if (count >= MAX_TOKENS_PER_USER) {
+      throw new Error('Token limit reached');
+    }
+
+    const token = `${TOKEN_PREFIX}${generateToken(24)}`;
+    const accessToken = await PersonalAccessToken.create({
+      userId,
+      name: String(name).trim(),
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 8),
+      scopes: [...new Set(scopes)],
+      expiresAt: expires
+    });
+
+    await auditService.record(userId, 'auth.access_token_create', {
+      tokenId: accessToken._id,
+      name: accessToken.name,
+      scopes: accessToken.scopes
+    });
+
+    return { token, accessToken: formatToken(accessToken) };
+  }
+
+  // Tokens that still work, newest first
+  async listTokens(userId) {
+    const tokens = await PersonalAccessToken.find({
+      userId,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }).sort({ createdAt: -1 });
+
+    return tokens.map(formatToken);
+  }
+
+  async revokeToken(userId, tokenId) {
+    const result = await PersonalAccessToken.updateOne(
+      { _id: tokenId, userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    await auditService.record(userId, 'auth.access_token_revoke', { tokenId });
+    return true;
+  }
+
+  // Resolve a token presented to authMiddleware; records the use. Returns null when the
+  // token is unknown, revoked or expired.
+  async authenticate(token, ipAddress = null) {
+    const accessToken = await PersonalAccessToken.findOne({
+      tokenHash: hashToken(token),
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+    if (!accessToken) return null;
+
+    const user = await User.findById(accessToken.userId);
+    if (!user) return null;
+
+    if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+      PersonalAccessToken.updateOne(
+        { _id: accessToken._id },
+        { lastUsedAt: new Date(), lastUsedIp: ipAddress }
+      ).catch(error => {
+        console.error('Error updating token last used time:', error);
+      });
+    }
+
+    return { user, accessToken };
+  }
+}
+
+const personalAccessTokenService = new PersonalAccessTokenService();
+personalAccessTokenService.SCOPES = SCOPES;
+
+module.exports = personalAccessTokenService;
@@ -0,0 +1,263 @@
+const { Expense } = require('../models');
+const { listOccurrences, isSameDay } = require('../utils/recurrence');
+
+// Fields copied from a recurring expense onto each generated occurrence
+const OCCURRENCE_FIELDS = ['userId', 'categoryId', 'amount', 'description', 'tags', 'notes', 'location'];
+
+// Fields that "this and all future" edits may change
+const SERIES_UPDATE_FIELDS = ['categoryId', 'amount', 'description', 'tags', 'notes', 'location'];
+const SCHEDULE_UPDATE_FIELDS = ['recurringFrequency', 'recurringEndDate'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Save a series edit, validating only the fields the caller changed. Validating the rest
+// would re-run "end date must be in the future" on the stored end date, which fails for
+// every edit once the series has ended.
+const saveSeriesEdit = async (doc, changes) => {
+  const paths = Object.keys(changes);
+  if (paths.length > 0) await doc.validate(paths);
+  await doc.save({ validateBeforeSave: false });
+};
+
+class RecurringExpenseService {
+  // Resolve the recurring parent for an expense or one of its occurrences
+  async getSeriesRoot(userId, expenseId) {
+    const expense = await Expense.findOne({ _id: expenseId, userId });
+    if (!expense) return { expense: null, parent: null };
+
+    if (expense.recurringParentId) {
+      const parent = await Expense.findOne({ _id: expense.recurringParentId, userId });
+      return { expense, parent };
+    }
+
+    return { expense, parent: expense.isRecurring ? expense : null };
+  }
+
+  // Create the dated occurrences of one recurring expense up to `until`
+  async generateOccurrences(parent, until = new Date()) {
+    if (!parent.isRecurring || !parent.recurringFrequency || parent.recurringParentId) {
+      return [];
+    }
+
+    const dates = listOccurrences(parent.date, parent.recurringFrequency, {
+      after: parent.recurringLastGeneratedAt || parent.date,
+      until,
+      endDate: parent.recurringEndDate,
+      skip: parent.recurringSkippedDates || []
+    });
+
+    if (dates.length === 0) return [];
+
+    const occurrences = dates.map(date => {
+      const occurrence = { date, recurringParentId: parent._id, isRecurring: false };
+      OCCURRENCE_FIELDS.forEach(field => {
+        if (parent[field] !== undefined) occurrence[field] = parent[field];
+      });
+      return occurrence;
+    });
+
+    let created = [];
+    try {
+      created = await Expense.insertMany(occurrences, { ordered: false });
+    } catch (error) {
+      // Duplicates mean another run already generated those dates; keep the rest
+      if (error.code !== 11000 && !(error.writeErrors || []).every(e => e.code === 11000)) {
+        throw error;
+      }
+      created = error.insertedDocs || [];
+    }
+
+    await Expense.updateOne(
+      { _id: parent._id },
+      { $set: { recurringLastGeneratedAt: dates[dates.length - 1] } }
+    );
+
+    return created;
+  }
+
+  // Generate missing occurrences for every recurring expense of a user
+  async materializeForUser(userId, until = new Date()) {
+    const parents = await Expense.find({
+      userId,
+      isRecurring: true,
+      recurringParentId: null
+    });
+
+    let created = 0;
+    for (const parent of parents) {
+      const occurrences = await this.generateOccurrences(parent, until);
+      created += occurrences.length;
+    }
+
+    return created;
+  }
+
+  // Scheduler entry point: walk all recurring expenses in batches
+  async materializeAll(until = new Date()) {
+    const cursor = Expense.find({
+      isRecurring: true,
+      recurringParentId: null,
+      $or: [
+        { recurringEndDate: null },
+        { recurringEndDate: { $exists: false } },
+        { $expr: { $lt: [{ $ifNull: ['$recurringLastGeneratedAt', '$date'] }, '$recurringEndDate'] } }
+      ]
+    }).cursor();
+
+    let created = 0;
+    for (let parent = await cursor.next(); parent != null; parent = await cursor.next()) {
+      try {
+        const occurrences = await this.generateOccurrences(parent, until);
+        created += occurrences.length;
+      } catch (error) {
+        console.error(`Error generating occurrences for expense ${parent._id}:`, error);
+      }
+    }
+
+    return created;
+  }
+
+  // List occurrences that have not been generated yet, within the next `days` days
+  async getUpcoming(userId, { days = 30, limit = 100 } = {}) {
+    const now = new Date();
+    const until = new Date(now.getTime() + days * DAY_MS);
+
+    const parents = await Expense.find({
+      userId,
+      isRecurring: true,
+      recurringParentId: null
+    }).populate('categoryId', 'name color icon');
+
+    const upcoming = [];
+    parents.forEach(parent => {
+      const generatedUntil = parent.recurringLastGeneratedAt || parent.date;
+      const dates = listOccurrences(parent.date, parent.recurringFrequency, {
+        after: generatedUntil > now ? generatedUntil : now,
+        until,
+        endDate: parent.recurringEndDate,
+        skip: parent.recurringSkippedDates || [],
+        limit
+      });
+
+      dates.forEach(date => {
+        upcoming.push({
+          recurringParentId: parent._id,
+          date,
+          amount: parent.amount,
+          description: parent.description,
+          categoryId: parent.categoryId,
+          recurringFrequency: parent.recurringFrequency
+        });
+      });
+    });
+
+    return upcoming
+      .sort((a, b) => a.date - b.date)
+      .slice(0, limit);
+  }
+
+  // Skip a single occurrence of a series; removes it if it was already generated
+  async skipOccurrence(userId, expenseId, date) {
+    const { parent } = await this.getSeriesRoot(userId, expenseId);
+    if (!parent) return null;
+
+    const target = new Date(date);
+    const [match] = listOccurrences(parent.date, parent.recurringFrequency, {
+      after: new Date(target.getTime() - DAY_MS),
+      until: new Date(target.getTime() + DAY_MS),
+      endDate: parent.recurringEndDate
+    }).filter(occurrence => isSameDay(occurrence, target));
+
+    if (!match) {
+      const error = new Error('Date is not an occurrence of this recurring expense');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const alreadySkipped = (parent.recurringSkippedDates || []).some(skipped => isSameDay(skipped, match));
+    if (!alreadySkipped) {
+      await Expense.updateOne(
+        { _id: parent._id },
+        { $push: { recurringSkippedDates: match } }
+      );
+    }
+
+    const dayStart = new Date(match.getFullYear(), match.getMonth(), match.getDate());
+    await Expense.deleteMany({
+      recurringParentId: parent._id,
+      date: { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) }
+    });
+
+    return Expense.findById(parent._id);
+  }
+
+  // Apply an edit to an occurrence and every occurrence after it.
+  // Editing from the first occurrence changes the whole series; editing from a later one
+  // ends the original series the day before and turns that occurrence into a new series.
+  async updateThisAndFuture(userId, expenseId, updates) {
+    const { expense, parent } = await this.getSeriesRoot(userId, expenseId);
+    if (!expense) return null;
+
+    if (!parent) {
+      const error = new Error('Expense is not part of a recurring series');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const fieldUpdates = {};
+    SERIES_UPDATE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) fieldUpdates[field] = updates[field];
+    });
+    const scheduleUpdates = {};
+    SCHEDULE_UPDATE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) scheduleUpdates[field] = updates[field];
+    });
+
+    if (expense._id.equals(parent._id)) {
+      Object.assign(parent, fieldUpdates, scheduleUpdates);
+      await saveSeriesEdit(parent, { ...fieldUpdates, ...scheduleUpdates });
+
+      if (Object.keys(fieldUpdates).length > 0) {
+        await Expense.updateMany(
+          { recurringParentId: parent._id },
+          { $set: fieldUpdates }
+        );
+      }
+
+      return parent;
+    }
+
+    // Split the series at this occurrence
+    const splitDate = expense.date;
+    const laterOccurrences = await Expense.find({
+      recurringParentId: parent._id,
+      date: { $gt: splitDate }
+    }).sort({ date: -1 }).limit(1);
+
+    Object.assign(expense, {
+      isRecurring: true,
+      recurringFrequency: parent.recurringFrequency,
+      recurringEndDate: parent.recurringEndDate,
+      recurringParentId: null,
+      recurringSkippedDates: (parent.recurringSkippedDates || []).filter(skipped => skipped > splitDate),
+      recurringLastGeneratedAt: laterOccurrences[0] ? laterOccurrences[0].date : splitDate
+    }, fieldUpdates, scheduleUpdates);
+    await saveSeriesEdit(expense, { ...fieldUpdates, ...scheduleUpdates });
+
+    await Expense.updateMany(
+      { recurringParentId: parent._id, date: { $gt: splitDate } },
+      { $set: { ...fieldUpdates, recurringParentId: expense._id } }
+    );
+
+    // The original series now ends before the split. updateOne skips the "end date must be
+    // in the future" validator, which doesn't apply to a series that is being closed off.
+    await Expense.updateOne(
+      { _id: parent._id },
+      { $set: { recurringEndDate: new Date(splitDate.getTime() - DAY_MS) } }
+    );
+
+    return expense;
+  }
+}
+
+module.exports = new RecurringExpenseService();
@@ -0,0 +1,179 @@
+const { Income } = require('../models');
+const { listOccurrences } = require('../utils/recurrence');
+
+// Fields copied from a recurring income onto each occurrence
+const OCCURRENCE_FIELDS = ['userId', 'source', 'amount', 'description', 'category', 'tags', 'notes'];
+
+const recurringParentQuery = (userId) => ({
+  userId,
+  isRecurring: true,
+  recurringParentId: null,
+  recurringFrequency: { $ne: null }
+});
+
+const buildOccurrence = (parent, date) => {
+  const occurrence = { date, recurringParentId: parent._id, isRecurring: false };
+  OCCURRENCE_FIELDS.forEach(field => {
+    if (parent[field] !== undefined) occurrence[field] = parent[field];
+  });
+  return occurrence;
+};
+
+class RecurringIncomeService {
+  // Post due occurrences of one auto-posting recurring income as Income records
+  async postDueOccurrences(parent, until = new Date()) {
+    if (!parent.isRecurring || !parent.recurringAutoPost || !parent.recurringFrequency || parent.recurringParentId) {
+      return [];
+    }
+
+    const dates = listOccurrences(parent.date, parent.recurringFrequency, {
+      after: parent.recurringLastPostedAt || parent.date,
+      until,
+      endDate: parent.recurringEndDate
+    });
+
+    if (dates.length === 0) return [];
+
+    let posted = [];
+    try {
+      posted = await Income.insertMany(
+        dates.map(date => ({ ...buildOccurrence(parent, date), sync_status: 'pending' })),
+        { ordered: false }
+      );
+    } catch (error) {
+      // Duplicates mean another run already posted those dates; keep the rest
+      if (error.code !== 11000 && !(error.writeErrors || []).every(e => e.code === 11000)) {
+        throw error;
+      }
+      posted = error.insertedDocs || [];
+    }
+
+    await Income.updateOne(
+      { _id: parent._id },
+      { $set: { recurringLastPostedAt: dates[dates.length - 1] } }
+    );
+
+    // Split posted paychecks like any other new income when the user has auto-allocation on.
+    // Required here rather than at the top: incomeAllocationService depends on this service.
+    const incomeAllocationService = require('./incomeAllocationService');
+    if (posted.length > 0 && await incomeAllocationService.shouldAutoAllocate(parent.userId)) {
+      for (const income of posted) {
+        await incomeAllocationService.allocateIncome(income);
+      }
+    }
+
+    return posted;
+  }
+
+  // Post due occurrences for every auto-posting recurring income of a user
+  async postDueForUser(userId, until = new Date()) {
+    const parents = await Income.find({ ...recurringParentQuery(userId), recurringAutoPost: true });
+
+    let posted = 0;
+    for (const parent of parents) {
+      const occurrences = await this.postDueOccurrences(parent, until);
+      posted += occurrences.length;
+    }
+
+    return posted;
+  }
+
+  // Scheduler entry point: post due occurrences for all users
+  async postAllDue(until = new Date()) {
+    const cursor = Income.find({
+      isRecurring: true,
+      recurringAutoPost: true,
+      recurringParentId: null
+    }).cursor();
+
+    let posted = 0;
+    for (let parent = await cursor.next(); parent != null; parent = await cursor.next()) {
+      try {
+        const occurrences = await this.postDueOccurrences(parent, until);
+        posted += occurrences.length;
+      } catch (error) {
+        console.error(`Error posting occurrences for income ${parent._id}:`, error);
+      }
+    }
+
+    return posted;
+  }
+
+  // Virtual occurrences of recurring income within [startDate, endDate] that have no
+  // stored record yet. The stored parent row and posted occurrences are already counted
+  // by regular queries, so they are left out here.
+  async projectOccurrences(userId, startDate, endDate, { category } = {}) {
+    const query = recurringParentQuery(userId);
+    if (category) query.category = category;
+
+    const parents = await Income.find(query);
+    const start = new Date(startDate);
+
+    const projected = [];
+    parents.forEach(parent => {
+      const postedUntil = parent.recurringLastPostedAt && parent.recurringLastPostedAt > parent.date
+        ? parent.recurringLastPostedAt
+        : parent.date;
+
+      // Start at the range rather than the last posted date, so a long unposted stretch
+      // before it doesn't use up the occurrence limit
+      const rangeAfter = new Date(start.getTime() - 1);
+      const dates = listOccurrences(parent.date, parent.recurringFrequency, {
+        after: rangeAfter > postedUntil ? rangeAfter : postedUntil,
+        until: endDate,
+        endDate: parent.recurringEndDate
+      });
+
+      dates
+        .filter(date => date >= start)
+        .forEach(date => {
+          projected.push({
+            ...buildOccurrence(parent, date),
+            isProjected: true
+          });
+        });
+    });
+
+    return projected.sort((a, b) => a.date - b.date);
+  }
+
+  // Totals of projected income within a date range, overall, per category and per month
+  async getProjectedTotals(userId, startDate, endDate) {
+    const occurrences = await this.projectOccurrences(userId, startDate, endDate);
+
+    const byCategory = {};
+    const byMonth = {};
+    let totalAmount = 0;
+
+    occurrences.forEach(occurrence => {
+      totalAmount += occurrence.amount;
+
+      if (!byCategory[occurrence.category]) {
+        byCategory[occurrence.category] = { totalAmount: 0, count: 0 };
+      }
+      byCategory[occurrence.category].totalAmount += occurrence.amount;
+      byCategory[occurrence.category].count += 1;
+
+      const monthKey = `${occurrence.date.getFullYear()}-${occurrence.date.getMonth() + 1}`;
+      if (!byMonth[monthKey]) {
+        byMonth[monthKey] = {
+          year: occurrence.date.getFullYear(),
+          month: occurrence.date.getMonth() + 1,
+          totalAmount: 0,
+          count: 0
+        };
+      }
+      byMonth[monthKey].totalAmount += occurrence.amount;
+      byMonth[monthKey].count += 1;
+    });
+
+    return {
+      totalAmount,
+      count: occurrences.length,
+      byCategory,
+      byMonth
+    };
+  }
+}
+
+module.exports = new RecurringIncomeService();
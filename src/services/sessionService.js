@@ -0,0 +1,103 @@
+const { RefreshToken, User } = require('../models');
+const notificationService = require('./notificationService');
+const { revokeTokenFamily } = require('../utils/jwt');
+const auditService = require('./auditService');
+
+// Touch lastUsedAt at most this often, so authenticated requests don't all write
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+const getReauthenticationMaxAgeMinutes = () => parseInt(process.env.REAUTHENTICATION_MAX_AGE_MINUTES) || 10;
+
+class SessionService {
+  // Active sessions of a user, most recently used first. A session is the refresh
+  // token currently issued for it; rotation keeps the session id.
+  async listSessions(userId, currentSessionId = null) {
+    const tokens = await RefreshToken.find({
+      userId,
+      rotatedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }).sort({ lastUsedAt: -1 });
+
+    return tokens.map(token => ({
+      id: token.sessionId,
+      deviceName: token.deviceName || null,
+      platform: token.platform || null,
+      ipAddress: token.ipAddress || null,
+      userAgent: token.userAgent || null,
+      createdAt: token.createdAt,
+      lastUsedAt: token.lastUsedAt,
+      expiresAt: token.expiresAt,
+      current: Boolean(currentSessionId) && token.sessionId === currentSessionId
+    }));
+  }
+
+  // Sign out one session. Its refresh token stops working and so do its access
+  // tokens (authMiddleware checks the session still exists).
+  async revokeSession(userId, sessionId) {
+    const result = await RefreshToken.deleteMany({ userId, sessionId });
+    return result.deletedCount > 0;
+  }
+
+  // Whether a session is still active; records the use
+  async touchSession(sessionId) {
+    const session = await RefreshToken.findOne({ sessionId, rotatedAt: null }).select('lastUsedAt');
+    if (!session) return false;
+
+    if (!session.lastUsedAt || Date.now() - session.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+      RefreshToken.updateOne({ _id: session._id }, { lastUsedAt: new Date() }).catch(error => {
+        console.error('Error updating session last used time:', error);
+      });
+    }
+
+    return true;
+  }
+
+  // Whether the user signed in to this session within REAUTHENTICATION_MAX_AGE_MINUTES.
+  // Accounts without a password confirm sensitive actions this way.
+  async isRecentlyAuthenticated(sessionId) {
+    if (!sessionId) return false;
+
+    const session = await RefreshToken.findOne({ sessionId, rotatedAt: null }).select('authenticatedAt');
+    const maxAgeMs = getReauthenticationMaxAgeMinutes() * 60 * 1000;
+    return Boolean(session && session.authenticatedAt && Date.now() - session.authenticatedAt.getTime() <= maxAgeMs);
+  }
+
+  // A rotated refresh token was presented again, so it has leaked. Revoke the whole
+  // session (token family), flag the account and tell the user.
+  async handleTokenReuse(reusedToken, { ipAddress, userAgent } = {}) {
+    await revokeTokenFamily(reusedToken.sessionId);
+
+    await auditService.record(reusedToken.userId, 'auth.refresh_token_reuse', {
+      sessionId: reusedToken.sessionId
+    }, { actorType: 'anonymous' });
+
+    await User.updateOne(
+      { _id: reusedToken.userId },
+      {
+        $push: {
+          securityFlags: {
+            type: 'refresh_token_reuse',
+            sessionId: reusedToken.sessionId,
+            ipAddress,
+            userAgent
+          }
+        }
+      }
+    );
+
+    try {
+      await notificationService.notify(reusedToken.userId, {
+        type: 'security',
+        title: 'Suspicious sign-in activity',
+        message: 'An old sign-in token for one of your devices was used again, so that device has been ' +
+          'signed out. If this wasn\'t you, change your password.',
+        data: { sessionId: reusedToken.sessionId, ipAddress },
+        dedupeKey: `token-reuse:${reusedToken.sessionId}`
+      });
+    } catch (error) {
+      console.error('Error sending token reuse notification:', error);
+    }
+  }
+}
+
+module.exports = new SessionService();
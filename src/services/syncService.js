@@ -0,0 +1,420 @@
+const mongoose = require('mongoose');
+const { Expense, Income, Category, Allocation, SyncTombstone } = require('../models');
+const incomeAllocationService = require('./incomeAllocationService');
+
+const DEFAULT_PULL_LIMIT = 500;
+const MAX_PULL_LIMIT = 1000;
+const MAX_PUSH_MUTATIONS = 500;
+const DEFAULT_SETTLE_SECONDS = 30;
+
+// Sequence numbers are taken before a write commits, so concurrent writes can become
+// visible out of order: a pull may see seq 8 while seq 7 is still being written. The
+// cursor only moves past changes older than this; newer ones are sent again next pull.
+const getSettleSeconds = () => {
+  const seconds = parseInt(process.env.SYNC_SETTLE_SECONDS);
+  return isNaN(seconds) || seconds < 0 ? DEFAULT_SETTLE_SECONDS : seconds;
+};
+
+// Synced entities and the fields clients may write
+const ENTITIES = {
+  expenses: {
+    model: Expense,
+    fields: ['categoryId', 'amount', 'description', 'date', 'tags', 'notes', 'location',
+      'isRecurring', 'recurringFrequency', 'recurringEndDate']
+  },
+  income: {
+    model: Income,
+    fields: ['source', 'amount', 'description', 'date', 'category', 'isRecurring',
+      'recurringFrequency', 'recurringEndDate', 'recurringAutoPost', 'tags', 'notes']
+  },
+  categories: {
+    model: Category,
+    fields: ['name', 'color', 'icon', 'isActive']
+  },
+  allocations: {
+    model: Allocation,
+    fields: ['categoryId', 'categoryName', 'percentage', 'budgetLimit', 'templateId',
+      'bucketName', 'rolloverRule', 'rolloverCap', 'isActive']
+  }
+};
+
+const ENTITY_NAMES = Object.keys(ENTITIES);
+
+// How a mutation made against an older version than the server's is resolved:
+// - last-writer-wins: the client's fields are applied anyway
+// - server-wins: the mutation is rejected with the server copy
+// - field-merge: fields the server hasn't changed since the client's `base` snapshot are
+//   applied; fields both sides changed keep the server value
+const CONFLICT_POLICIES = ['last-writer-wins', 'server-wins', 'field-merge'];
+const DEFAULT_CONFLICT_POLICY = 'server-wins';
+
+const getDefaultPolicy = () => {
+  const configured = process.env.SYNC_CONFLICT_POLICY;
+  return CONFLICT_POLICIES.includes(configured) ? configured : DEFAULT_CONFLICT_POLICY;
+};
+
+class SyncError extends Error {
+  constructor(message, status = 'error', details = {}) {
+    super(message);
+    this.name = 'SyncError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const conflictError = (server) => new SyncError('Version conflict', 'conflict', { server });
+
+const pickFields = (entity, data = {}) => {
+  const fields = {};
+  ENTITIES[entity].fields.forEach(field => {
+    if (data[field] !== undefined) fields[field] = data[field];
+  });
+  return fields;
+};
+
+// Comparable form of a field value, so a client snapshot (JSON) can be compared with
+// the stored value (Dates, ObjectIds, arrays)
+const comparable = (model, field, value) => {
+  if (value === undefined || value === null) return null;
+
+  const path = model.schema.path(field);
+  const type = path ? path.instance : null;
+
+  if (type === 'Date') {
+    const time = new Date(value).getTime();
+    return isNaN(time) ? String(value) : time;
+  }
+  if (type === 'ObjectId') return String(value._id || value);
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+class SyncService {
+  get entities() {
+    return ENTITY_NAMES;
+  }
+
+  get conflictPolicies() {
+    return CONFLICT_POLICIES;
+  }
+
+  // Changes after the `since` cursor across all entities, in change order.
+  // Deleted documents come back as tombstones in `deleted`. The returned cursor stops
+  // before the changes of the last SYNC_SETTLE_SECONDS, so they can come back again.
+  async pull(userId, { since = 0, limit = DEFAULT_PULL_LIMIT } = {}) {
+    const cursor = Math.max(0, parseInt(since) || 0);
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PULL_LIMIT, 1), MAX_PULL_LIMIT);
+    const query = { userId, syncSeq: { $gt: cursor } };
+
+    // Fetch one extra row per source to know whether more changes are waiting
+    const sources = await Promise.all([
+      ...ENTITY_NAMES.map(async entity => {
+        const docs = await ENTITIES[entity].model.find(query).sort({ syncSeq: 1 }).limit(pageSize + 1);
+        return docs.map(doc => ({ entity, seq: doc.syncSeq, doc }));
+      }),
+      SyncTombstone.find(query).sort({ syncSeq: 1 }).limit(pageSize + 1).then(tombstones =>
+        tombstones.map(tombstone => ({ entity: tombstone.entity, seq: tombstone.syncSeq, tombstone }))
+      )
+    ]);
+
+    const merged = sources.flat().sort((a, b) => a.seq - b.seq);
+    let page = merged.slice(0, pageSize);
+    const hasMore = merged.length > pageSize;
+
+    // updateMany stamps several documents with the same sequence number. Never end a page
+    // in the middle of such a group, or the next pull (seq > cursor) would skip the rest.
+    if (hasMore && page.length > 0 && merged[pageSize].seq === page[page.length - 1].seq) {
+      const boundarySeq = page[page.length - 1].seq;
+      const trimmed = page.filter(change => change.seq !== boundarySeq);
+
+      if (trimmed.length > 0) {
+        page = trimmed;
+      } else {
+        // The whole page is one group: return all of it
+        const group = await Promise.all(ENTITY_NAMES.map(async entity => {
+          const docs = await ENTITIES[entity].model.find({ userId, syncSeq: boundarySeq });
+          return docs.map(doc => ({ entity, seq: doc.syncSeq, doc }));
+        }));
+        page = group.flat();
+      }
+    }
+
+    const changes = {};
+    ENTITY_NAMES.forEach(entity => { changes[entity] = []; });
+    const deleted = [];
+
+    page.forEach(change => {
+      if (change.tombstone) {
+        deleted.push({
+          entity: change.entity,
+          id: change.tombstone.entityId,
+          api_id: change.tombstone.api_id,
+          deletedAt: change.tombstone.deletedAt
+        });
+      } else {
+        changes[change.entity].push(change.doc);
+      }
+    });
+
+    // Every sequence number below a settled change's was taken before it, so those writes
+    // have committed and are on this page too
+    const settledBefore = Date.now() - getSettleSeconds() * 1000;
+    let nextCursor = cursor;
+    page.forEach(change => {
+      const { syncSeqAt } = change.doc || change.tombstone;
+      if (!syncSeqAt || syncSeqAt.getTime() <= settledBefore) nextCursor = change.seq;
+    });
+
+    return {
+      cursor: nextCursor,
+      // Without a settled change on this page the next one would be the same; pull later
+      hasMore: hasMore && nextCursor > cursor,
+      changes,
+      deleted,
+      serverTime: new Date()
+    };
+  }
+
+  // Find the document a mutation targets, by server id or by client id
+  async findTarget(userId, entity, { id, api_id }) {
+    const { model } = ENTITIES[entity];
+    if (id && mongoose.isValidObjectId(id)) {
+      return model.findOne({ _id: id, userId });
+    }
+    if (api_id) {
+      return model.findOne({ api_id, userId });
+    }
+    return null;
+  }
+
+  // Expenses may reference a category by server id or by the category's client id
+  async resolveCategory(userId, categoryId) {
+    const query = mongoose.isValidObjectId(categoryId)
+      ? { _id: categoryId }
+      : { api_id: categoryId };
+
+    const category = await Category.findOne({
+      ...query,
+      $or: [{ userId }, { isDefault: true }]
+    });
+
+    if (!category) throw new SyncError('Invalid category');
+    return category._id;
+  }
+
+  async prepareFields(userId, entity, data) {
+    const fields = pickFields(entity, data);
+    if (entity === 'expenses' && fields.categoryId) {
+      fields.categoryId = await this.resolveCategory(userId, fields.categoryId);
+    }
+    return fields;
+  }
+
+  // Resolve a stale update under the given policy. Returns the fields to write and the
+  // fields where the server value was kept.
+  resolveConflict(entity, doc, mutation, fields, policy) {
+    if (policy === 'last-writer-wins') {
+      return { fields, conflicts: [] };
+    }
+
+    const base = mutation.base;
+    if (policy === 'server-wins' || !base || typeof base !== 'object') {
+      throw conflictError(doc);
+    }
+
+    const { model } = ENTITIES[entity];
+    const merged = {};
+    const conflicts = [];
+
+    Object.keys(fields).forEach(field => {
+      const server = comparable(model, field, doc.get(field));
+      const client = comparable(model, field, fields[field]);
+
+      if (server === comparable(model, field, base[field]) || server === client) {
+        merged[field] = fields[field];
+      } else {
+        conflicts.push(field);
+      }
+    });
+
+    return { fields: merged, conflicts };
+  }
+
+  async applyCreate(userId, entity, mutation, context) {
+    const { deviceId } = context;
+    const existing = mutation.api_id
+      ? await this.findTarget(userId, entity, { api_id: mutation.api_id })
+      : null;
+
+    // A retried create (same client id) becomes an update
+    if (existing) return this.applyUpdate(userId, entity, mutation, context, existing);
+
+    const { model } = ENTITIES[entity];
+    const doc = new model({
+      ...(await this.prepareFields(userId, entity, mutation.data)),
+      userId,
+      api_id: mutation.api_id
+    });
+    this.markSynced(doc, deviceId);
+    await doc.save();
+
+    // Keep the income allocation ledger in step, as the income endpoints do
+    if (entity === 'income' && await incomeAllocationService.shouldAutoAllocate(userId)) {
+      await incomeAllocationService.allocateIncome(doc);
+    }
+    return { doc };
+  }
+
+  async applyUpdate(userId, entity, mutation, { deviceId, policy }, target = null) {
+    const doc = target || await this.findTarget(userId, entity, mutation);
+    if (!doc) throw new SyncError('Not found', 'not_found');
+
+    if (entity === 'categories' && doc.isDefault) {
+      throw new SyncError('Default categories cannot be modified');
+    }
+
+    let fields = await this.prepareFields(userId, entity, mutation.data);
+    let conflicts = [];
+
+    const stale = mutation.version !== undefined && mutation.version !== null &&
+      doc.version !== Number(mutation.version);
+    if (stale) {
+      ({ fields, conflicts } = this.resolveConflict(entity, doc, mutation, fields, policy));
+    }
+
+    Object.assign(doc, fields);
+    if (mutation.api_id && !doc.api_id) doc.api_id = mutation.api_id;
+    this.markSynced(doc, deviceId);
+
+    try {
+      await doc.save();
+    } catch (error) {
+      // Another write landed between loading and saving
+      if (error.name === 'DocumentNotFoundError') {
+        const current = await ENTITIES[entity].model.findOne({ _id: doc._id, userId });
+        if (current) throw conflictError(current);
+        throw new SyncError('Not found', 'not_found');
+      }
+      throw error;
+    }
+
+    if (entity === 'income') await incomeAllocationService.reallocateIfAllocated(doc);
+
+    return { doc, merged: stale && policy === 'field-merge', conflicts };
+  }
+
+  async applyDelete(userId, entity, mutation, { policy }) {
+    const doc = await this.findTarget(userId, entity, mutation);
+    if (!doc) throw new SyncError('Not found', 'not_found');
+
+    if (entity === 'categories' && doc.isDefault) {
+      throw new SyncError('Default categories cannot be deleted');
+    }
+
+    // Deleting a record someone else edited meanwhile is only allowed under last-writer-wins
+    const filter = { _id: doc._id, userId };
+    const checkVersion = mutation.version !== undefined && mutation.version !== null &&
+      policy !== 'last-writer-wins';
+    if (checkVersion) {
+      if (doc.version !== Number(mutation.version)) throw conflictError(doc);
+      filter.version = doc.version;
+    }
+
+    const deleted = await ENTITIES[entity].model.findOneAndDelete(filter);
+    if (!deleted) {
+      const current = await ENTITIES[entity].model.findOne({ _id: doc._id, userId });
+      if (current) throw conflictError(current);
+    }
+    if (deleted && entity === 'income') await incomeAllocationService.removeForIncome(deleted._id);
+    return { doc };
+  }
+
+  markSynced(doc, deviceId) {
+    doc.sync_status = 'synced';
+    doc.last_sync_at = new Date();
+    if (deviceId) doc.set('metadata.device_id', deviceId);
+  }
+
+  // Apply a batch of client mutations in order. Each mutation is
+  //   { clientId, entity, op: 'create' | 'update' | 'delete', id?, api_id?, data?, version?, base? }
+  // and gets a result keyed by its clientId; one failing mutation doesn't stop the rest.
+  // `version` is the server version the client edited; `base` is its snapshot of the
+  // record at that version, used by the field-merge policy.
+  async push(userId, mutations, { deviceId, policy } = {}) {
+    if (!Array.isArray(mutations)) {
+      throw new SyncError('Mutations must be an array');
+    }
+    if (mutations.length > MAX_PUSH_MUTATIONS) {
+      throw new SyncError(`A push can contain at most ${MAX_PUSH_MUTATIONS} mutations`);
+    }
+    if (policy !== undefined && !CONFLICT_POLICIES.includes(policy)) {
+      throw new SyncError(`Conflict policy must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+    }
+
+    const context = { deviceId, policy: policy || getDefaultPolicy() };
+
+    const results = [];
+    for (const mutation of mutations) {
+      const { clientId, entity, op } = mutation || {};
+      const result = { clientId, entity, op };
+
+      try {
+        if (!ENTITIES[entity]) throw new SyncError(`Unknown entity: ${entity}`);
+
+        let outcome;
+        switch (op) {
+          case 'create':
+            outcome = await this.applyCreate(userId, entity, mutation, context);
+            break;
+          case 'update':
+            outcome = await this.applyUpdate(userId, entity, mutation, context);
+            break;
+          case 'delete':
+            outcome = await this.applyDelete(userId, entity, mutation, context);
+            break;
+          default:
+            throw new SyncError(`Unknown operation: ${op}`);
+        }
+
+        const { doc, merged, conflicts } = outcome;
+        Object.assign(result, {
+          status: merged ? 'merged' : 'applied',
+          id: doc._id,
+          api_id: doc.api_id,
+          version: doc.version,
+          syncSeq: doc.syncSeq
+        });
+        if (merged) {
+          // Fields where the server value was kept
+          result.conflicts = conflicts;
+          result.server = doc;
+        }
+      } catch (error) {
+        if (!(error instanceof SyncError)) {
+          console.error('Sync push mutation error:', error);
+        }
+        Object.assign(result, {
+          ...(error.details || {}),
+          status: error.status || 'error',
+          error: error.name === 'ValidationError'
+            ? Object.values(error.errors).map(err => err.message).join(', ')
+            : error.message
+        });
+      }
+
+      results.push(result);
+    }
+
+    // No cursor here: the client keeps pulling from its own cursor so it also receives
+    // changes other devices made in the meantime
+    return {
+      results,
+      serverTime: new Date()
+    };
+  }
+}
+
+const syncService = new SyncService();
+syncService.SyncError = SyncError;
+
+module.exports = syncService;
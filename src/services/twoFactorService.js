@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const { User, TwoFactorChallenge } = require('../models');
+const totp = require('../utils/totp');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { generateToken, hashToken } = require('../utils/tokens');
+const auditService = require('./auditService');
+const loginProtectionService = require('./loginProtectionService');
+
+const RECOVERY_CODE_COUNT = 10;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const getChallengeTtlMinutes = () => parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES) || 5;
+
+// Recovery codes look like "a1b2c-3d4e5"; dashes and case don't matter when entered
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return {
+    codes,
+    records: codes.map(code => ({ codeHash: hashToken(normalizeRecoveryCode(code)), usedAt: null }))
+  };
+};
+
+class TwoFactorService {
+  // Start enrollment: a new secret the user adds to their authenticator app.
+  // Two-factor stays off until the secret is confirmed with a code.
+  async startEnrollment(userId) {
+    const user = await User.findById(userId);
+    if (!user) throw new Error('User not found');
+    if (user.twoFactor && user.twoFactor.enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    user.set('twoFactor.pendingSecret', encrypt(secret));
+    await user.save();
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || 'ExpenseWise'
+      })
+    };
+  }
+
+  // Finish enrollment with a code from the app. Returns the recovery codes, which are
+  // shown to the user once and only stored hashed.
+  async confirmEnrollment(userId, code) {
+    const user = await User.findById(userId);
+    if (!user) throw new Error('User not found');
+    if (user.twoFactor && user.twoFactor.enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+      throw new Error('Two-factor setup has not been started');
+    }
+
+    const counter = totp.verifyCode(decrypt(user.twoFactor.pendingSecret), code);
+    if (counter === null) throw new Error('Invalid two-factor code');
+
+    const { codes, records } = generateRecoveryCodes();
+    user.set('twoFactor', {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      enabledAt: new Date(),
+      lastUsedCounter: counter,
+      recoveryCodes: records
+    });
+    await user.save();
+
+    await auditService.record(user._id, 'auth.2fa_enable');
+    return codes;
+  }
+
+  // Check a TOTP code or an unused recovery code. Each is accepted only once; returns
+  // the method used, or null.
+  async verifySecondFactor(user, { code, recoveryCode } = {}) {
+    if (!user.twoFactor || !user.twoFactor.enabled) return null;
+
+    if (code) {
+      const counter = totp.verifyCode(decrypt(user.twoFactor.secret), code);
+      if (counter === null) return null;
+
+      // Claim the time step atomically so the same code can't log in twice
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { 'twoFactor.lastUsedCounter': { $lt: counter } },
+            { 'twoFactor.lastUsedCounter': null }
+          ]
+        },
+        { $set: { 'twoFactor.lastUsedCounter': counter } }
+      );
+      return result.modifiedCount === 1 ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+      const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          'twoFactor.recoveryCodes': { $elemMatch: { codeHash, usedAt: null } }
+        },
+        { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+      );
+      return result.modifiedCount === 1 ? 'recovery_code' : null;
+    }
+
+    return null;
+  }
+
+  // Sensitive changes need the password and a second factor again
+  async reauthenticate(userId, password, factor) {
+    const user = await User.findById(userId);
+    if (!user) throw new Error('User not found');
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      throw new Error('Current password is incorrect');
+    }
+    if (!(await this.verifySecondFactor(user, factor))) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    return user;
+  }
+
+  async disable(userId, password, factor) {
+    await this.reauthenticate(userId, password, factor);
+    await User.updateOne(
+      { _id: userId },
+      { $set: { twoFactor: { enabled: false, recoveryCodes: [] } } }
+    );
+
+    await auditService.record(userId, 'auth.2fa_disable');
+  }
+
+  async regenerateRecoveryCodes(userId, password, factor) {
+    await this.reauthenticate(userId, password, factor);
+
+    const { codes, records } = generateRecoveryCodes();
+    await User.updateOne({ _id: userId }, { $set: { 'twoFactor.recoveryCodes': records } });
+
+    await auditService.record(userId, 'auth.recovery_codes_regenerate');
+    return codes;
+  }
+
+  async getStatus(userId) {
+    const user = await User.findById(userId).select('twoFactor');
+    const twoFactor = (user && user.twoFactor) || {};
+
+    return {
+      enabled: Boolean(twoFactor.enabled),
+      enabledAt: twoFactor.enabledAt || null,
+      recoveryCodesRemaining: (twoFactor.recoveryCodes || []).filter(code => !code.usedAt).length
+    };
+  }
+
+  // Challenge for the second login step; `session` holds the login's device details
+  async createChallenge(userId, session = {}) {
+    const token = generateToken();
+    const ttlMinutes = getChallengeTtlMinutes();
+
+    await TwoFactorChallenge.create({
+      userId,
+      tokenHash: hashToken(token),
+      deviceName: session.deviceName,
+      platform: session.platform,
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    });
+
+    return { challengeToken: token, expiresIn: ttlMinutes * 60 };
+  }
+
+  // Pass a login challenge with a second factor. Each challenge allows a few attempts
+  // and can be used once. Wrong codes also count towards the account's login lockout,
+  // so new challenges don't give unlimited guesses.
+  async completeChallenge(challengeToken, factor, { ip } = {}) {
+    const challenge = await TwoFactorChallenge.findOneAndUpdate(
+      {
+        tokenHash: hashToken(challengeToken),
+        expiresAt: { $gt: new Date() },
+        attempts: { $lt: MAX_CHALLENGE_ATTEMPTS }
+      },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!challenge) throw new Error('Invalid or expired challenge');
+
+    const user = await User.findById(challenge.userId);
+    if (!user) throw new Error('Invalid or expired challenge');
+
+    const attempt = { email: user.email, ip };
+    await loginProtectionService.check(attempt);
+
+    const method = await this.verifySecondFactor(user, factor);
+    if (!method) {
+      await loginProtectionService.recordFailure(attempt);
+      await auditService.record(user._id, 'auth.login_failed', { reason: 'invalid_two_factor_code' });
+      throw new Error('Invalid two-factor code');
+    }
+
+    await TwoFactorChallenge.deleteOne({ _id: challenge._id });
+    return { user, challenge, method };
+  }
+}
+
+module.exports = new TwoFactorService();
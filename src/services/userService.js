@@ -1,6 +1,12 @@
 const { User } = require('../models');
 const { hashPassword, comparePassword } = require('../utils/password');
 const validator = require('validator');
+const emailVerificationService = require('./emailVerificationService');
+const auditService = require('./auditService');
+
+// Compared against when the email is unknown, so a missing account takes as long to
+// reject as a wrong password
+const DUMMY_PASSWORD_HASH = '$2a$12$C6UzMDM.H6dfI/f/IKxGhuWvFgiW2VZ9uxIVfgVRL5wrLsPiU0FGO';
 
 class UserService {
   // Create new user
@@ -34,12 +40,21 @@ class UserService {
 
       await user.save();
 
+      // Registration shouldn't fail because the verification email couldn't be sent;
+      // the user can ask for another one
+      try {
+        await emailVerificationService.sendVerification(user);
+      } catch (error) {
+        console.error('Error sending verification email:', error);
+      }
+
       // Return user without password
       return {
         id: user._id,
         email: user.email,
         name: user.name,
         currency: user.currency,
+        isEmailVerified: user.isEmailVerified,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       };
@@ -77,15 +92,22 @@ class UserService {
       const user = await this.getUserByEmail(email);
       
       if (!user) {
+        await comparePassword(password, DUMMY_PASSWORD_HASH);
         throw new Error('Invalid credentials');
       }
 
       const isPasswordValid = await user.comparePassword(password);
       
       if (!isPasswordValid) {
+        await auditService.record(user._id, 'auth.login_failed', { reason: 'invalid_password' });
         throw new Error('Invalid credentials');
       }
 
+      // Checked after the password, so the response doesn't reveal the account state to others
+      if (user.disabledAt) {
+        throw new Error('Account disabled');
+      }
+
       // Update last login time
       user.lastLoginAt = new Date();
       await user.save();
@@ -96,6 +118,9 @@ class UserService {
         email: user.email,
         name: user.name,
         currency: user.currency,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+        role: user.role || 'user',
         lastLoginAt: user.lastLoginAt
       };
     } catch (error) {
@@ -144,8 +169,8 @@ class UserService {
         throw new Error('User not found');
       }
 
-      // Verify current password
-      const isCurrentPasswordValid = await user.comparePassword(currentPassword);
+      // Verify current password (password-less accounts are setting their first one)
+      const isCurrentPasswordValid = !user.password || await user.comparePassword(currentPassword);
       if (!isCurrentPasswordValid) {
         throw new Error('Current password is incorrect');
       }
@@ -0,0 +1,75 @@
+const AuditEvent = require('../models/AuditEvent');
+const { getContext } = require('./requestContext');
+
+// Bookkeeping fields that change on every write and say nothing about the change itself
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'version', 'syncSeq', 'syncSeqAt', 'sync_status', 'last_sync_at'];
+
+const toPlain = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Changed top-level fields of two versions of a document, as { before, after }.
+// Either side may be null (create, delete), which lists all fields of the other one.
+const diffDocuments = (beforeDoc, afterDoc) => {
+  const beforeValues = toPlain(beforeDoc) || {};
+  const afterValues = toPlain(afterDoc) || {};
+  const fields = new Set([...Object.keys(beforeValues), ...Object.keys(afterValues)]);
+
+  const before = {};
+  const after = {};
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    if (JSON.stringify(beforeValues[field]) === JSON.stringify(afterValues[field])) return;
+    if (beforeDoc) before[field] = beforeValues[field] === undefined ? null : beforeValues[field];
+    if (afterDoc) after[field] = afterValues[field] === undefined ? null : afterValues[field];
+  });
+
+  return {
+    before: beforeDoc ? before : null,
+    after: afterDoc ? after : null,
+    changed: Object.keys(beforeDoc ? before : after).length > 0
+  };
+};
+
+// Fill in who acted and from where from the request context. Outside a request
+// (scheduled jobs) the actor is the system.
+const buildEvent = (event) => {
+  const context = getContext();
+  const actorId = event.actorId || (context && context.actorId) || null;
+
+  let actorType = event.actorType || (context && context.actorType);
+  if (!actorType) actorType = context ? (actorId ? 'user' : 'anonymous') : 'system';
+
+  return {
+    ...event,
+    actorId,
+    actorType,
+    ipAddress: context ? context.ipAddress : undefined,
+    userAgent: context ? context.userAgent : undefined,
+    sessionId: (context && context.sessionId) || event.sessionId || undefined,
+    requestId: context ? context.requestId : undefined
+  };
+};
+
+// Append audit events. Failures are logged, never thrown: auditing must not break the
+// write it describes. Pass the write's `session` so the events commit or roll back with
+// its transaction.
+const recordAuditEvents = async (events, { session } = {}) => {
+  if (events.length === 0) return;
+
+  try {
+    await AuditEvent.insertMany(events.map(buildEvent), { session });
+  } catch (error) {
+    console.error('Error writing audit events:', error);
+  }
+};
+
+const recordAuditEvent = (event) => recordAuditEvents([event]);
+
+module.exports = {
+  diffDocuments,
+  recordAuditEvent,
+  recordAuditEvents
+};
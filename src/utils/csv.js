@@ -0,0 +1,109 @@
+// Minimal CSV (RFC 4180) helpers
+
+// Spreadsheet apps run cells starting with these as formulas; prefix them so exported
+// text stays text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value)) {
+    text = value.join(';');
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows as CSV text. `columns` is a list of { header, value(row) }.
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(column => formatCell(column.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => formatCell(column.value(row))).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+const DELIMITERS = [',', ';', '\t'];
+
+// Most frequent delimiter in the first line, outside quotes
+const detectDelimiter = (text) => {
+  const counts = new Map(DELIMITERS.map(delimiter => [delimiter, 0]));
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (char === '\n' || char === '\r')) break;
+    else if (!inQuotes && counts.has(char)) counts.set(char, counts.get(char) + 1);
+  }
+
+  return [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+};
+
+// CSV text as a list of rows (arrays of strings). Handles quoted cells with delimiters,
+// line breaks and doubled quotes, CRLF line endings and a UTF-8 byte order mark.
+// Blank lines are skipped.
+const parseCsv = (text, { delimiter } = {}) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(input);
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) throw new Error('Unterminated quoted cell');
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+// Undo the formula escaping of formatCell, so exported files can be imported again
+const unescapeCell = (text) => (/^'[=+\-@]/.test(text) ? text.slice(1) : text);
+
+module.exports = {
+  toCsv,
+  parseCsv,
+  detectDelimiter,
+  unescapeCell
+};
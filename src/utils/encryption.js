@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+// AES-256-GCM encryption for secrets stored in the database (e.g. TOTP secrets).
+// DATA_ENCRYPTION_KEY is 32 bytes as hex or base64. Without it a key is derived from
+// JWT_SECRET, which is fine for development but ties stored secrets to that value.
+const getKey = () => {
+  const configured = process.env.DATA_ENCRYPTION_KEY;
+  if (configured) {
+    const key = /^[0-9a-f]{64}$/i.test(configured)
+      ? Buffer.from(configured, 'hex')
+      : Buffer.from(configured, 'base64');
+    if (key.length !== 32) throw new Error('DATA_ENCRYPTION_KEY must be 32 bytes (hex or base64)');
+    return key;
+  }
+
+  if (!process.env.JWT_SECRET) {
+    throw new Error('DATA_ENCRYPTION_KEY or JWT_SECRET must be set');
+  }
+  return crypto.createHash('sha256').update(`expensewise:data:${process.env.JWT_SECRET}`).digest();
+};
+
+// Returns "iv.authTag.ciphertext", each base64url encoded
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+const decrypt = (payload) => {
+  const [iv, authTag, ciphertext] = String(payload).split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
@@ -1,82 +1,252 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { RefreshToken } = require('../models');
+const { hashToken } = require('./tokens');
+const { getSigningKey, getVerificationKeys } = require('./jwtKeys');
+
+const ISSUER = 'expensewise-api';
+const AUDIENCE = 'expensewise-app';
+
+// Duration like jsonwebtoken's expiresIn: seconds as a number, or a string such as '15m' or '7d'
+const DURATION_UNITS = { ms: 0.001, s: 1, m: 60, h: 3600, d: 86400, w: 604800, y: 31557600 };
+const toSeconds = (value) => {
+  if (typeof value === 'number') return value;
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w|y)?$/i.exec(String(value).trim());
+  if (!match) throw new Error(`Invalid token lifetime: ${value}`);
+  return Math.floor(parseFloat(match[1]) * DURATION_UNITS[(match[2] || 'ms').toLowerCase()]);
+};
+
+// jsonwebtoken has no EdDSA support, so Ed25519 tokens are signed and checked here
+const signEdDSA = (claims, key) => {
+  const header = { alg: 'EdDSA', typ: 'JWT', kid: key.kid };
+  const input = `${Buffer.from(JSON.stringify(header)).toString('base64url')}.` +
+    Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.sign(null, Buffer.from(input), key.signingKey).toString('base64url');
+  return `${input}.${signature}`;
+};
+
+const verifyEdDSA = (token, key) => {
+  const [header, payload, signature] = token.split('.');
+  const valid = crypto.verify(
+    null,
+    Buffer.from(`${header}.${payload}`),
+    key.verifyKey,
+    Buffer.from(signature || '', 'base64url')
+  );
+  if (!valid) throw new jwt.JsonWebTokenError('invalid signature');
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  const now = Math.floor(Date.now() / 1000);
+
+  if (claims.exp !== undefined && now >= claims.exp) {
+    throw new jwt.TokenExpiredError('jwt expired', new Date(claims.exp * 1000));
+  }
+  if (claims.nbf !== undefined && now < claims.nbf) {
+    throw new jwt.NotBeforeError('jwt not active', new Date(claims.nbf * 1000));
+  }
+  if (claims.iss !== ISSUER) throw new jwt.JsonWebTokenError(`jwt issuer invalid. expected: ${ISSUER}`);
+  if (claims.aud !== AUDIENCE) throw new jwt.JsonWebTokenError(`jwt audience invalid. expected: ${AUDIENCE}`);
+
+  return claims;
+};
+
+// Sign a token of a type ('access' or 'refresh') with that type's current key.
+// The type is stored in the `typ` claim and checked on verification.
+const signToken = (type, payload, { expiresIn, jwtid } = {}) => {
+  const key = getSigningKey(type);
+  const claims = { ...payload, typ: type };
+
+  if (key.alg === 'EdDSA') {
+    const iat = Math.floor(Date.now() / 1000);
+    return signEdDSA({
+      ...claims,
+      iat,
+      exp: iat + toSeconds(expiresIn),
+      iss: ISSUER,
+      aud: AUDIENCE,
+      ...(jwtid ? { jti: jwtid } : {})
+    }, key);
+  }
+
+  return jwt.sign(claims, key.signingKey, {
+    algorithm: key.alg,
+    keyid: key.kid,
+    expiresIn,
+    issuer: ISSUER,
+    audience: AUDIENCE,
+    ...(jwtid ? { jwtid } : {})
+  });
+};
+
+// Verify a token of a type. The key is picked by the kid header (the previous key is
+// accepted during its grace window) and the header algorithm must match the key's.
+// Throws jsonwebtoken's errors (JsonWebTokenError, TokenExpiredError, ...).
+const verifyToken = (type, token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header) throw new jwt.JsonWebTokenError('jwt malformed');
+
+  const keys = getVerificationKeys(type, decoded.header.kid)
+    .filter(key => key.alg === decoded.header.alg);
+  if (keys.length === 0) throw new jwt.JsonWebTokenError('no matching signing key');
+
+  let lastError;
+  for (const key of keys) {
+    try {
+      const claims = key.alg === 'EdDSA'
+        ? verifyEdDSA(token, key)
+        : jwt.verify(token, key.verifyKey, { algorithms: [key.alg], issuer: ISSUER, audience: AUDIENCE });
+
+      // A refresh token must never pass as an access token and vice versa
+      if (claims.typ !== type) throw new jwt.JsonWebTokenError(`jwt type invalid. expected: ${type}`);
+      return claims;
+    } catch (error) {
+      lastError = error;
+      // Only a wrong signature is worth trying with the next key
+      if (error.message !== 'invalid signature') break;
+    }
+  }
+  throw lastError;
+};
 
 // Generate access token (short-lived)
-const generateAccessToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '2d',
-    issuer: 'expensewise-api',
-    audience: 'expensewise-app'
+const generateAccessToken = (payload, options = {}) => {
+  return signToken('access', payload, {
+    expiresIn: options.expiresIn || process.env.JWT_EXPIRES_IN || '2d'
   });
 };
 
-// Generate refresh token (long-lived)
+// Generate refresh token (long-lived). The jwtid keeps tokens unique even when two
+// are issued for the same session within one second.
 const generateRefreshToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
+  return signToken('refresh', payload, {
     expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
-    issuer: 'expensewise-api',
-    audience: 'expensewise-app'
+    jwtid: crypto.randomUUID()
   });
 };
 
-// Verify access token
+// Verify access token. Throws jsonwebtoken's errors so callers can tell an expired
+// token from an invalid one.
 const verifyAccessToken = (token) => {
-  try {
-    return jwt.verify(token, process.env.JWT_SECRET, {
-      issuer: 'expensewise-api',
-      audience: 'expensewise-app'
-    });
-  } catch (error) {
-    throw new Error('Invalid or expired access token');
-  }
+  return verifyToken('access', token);
 };
 
 // Verify refresh token
 const verifyRefreshToken = (token) => {
   try {
-    return jwt.verify(token, process.env.JWT_SECRET, {
-      issuer: 'expensewise-api',
-      audience: 'expensewise-app'
-    });
+    return verifyToken('refresh', token);
   } catch (error) {
     throw new Error('Invalid or expired refresh token');
   }
 };
 
-// Persist a refresh token to the DB
-const storeRefreshToken = async (userId, token) => {
+// New login session id, carried as the `sid` claim
+const generateSessionId = () => crypto.randomUUID();
+
+// Persist a refresh token to the DB (as a hash). `session` holds the session id, the
+// parent token it was rotated from and device details (deviceName, platform, ipAddress, userAgent).
+const storeRefreshToken = async (userId, token, session = {}) => {
   try {
     const payload = jwt.decode(token);
     const expiresAt = payload && payload.exp ? new Date(payload.exp * 1000) : null;
 
-    // Upsert token record
-    await RefreshToken.create({ userId, token, expiresAt });
+    return await RefreshToken.create({
+      userId,
+      token: hashToken(token),
+      expiresAt,
+      parentId: session.parentId || null,
+      sessionId: session.sessionId || (payload && payload.sid) || generateSessionId(),
+      deviceName: session.deviceName,
+      platform: session.platform,
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      authenticatedAt: session.authenticatedAt,
+      lastUsedAt: new Date()
+    });
   } catch (error) {
     console.error('Error storing refresh token:', error);
     throw error;
   }
 };
 
-// Validate that a refresh token exists in DB and is valid
+// Stored record of a refresh token
+const findRefreshToken = (token) => RefreshToken.findOne({ token: hashToken(token) });
+
+// Error for a refresh token that was already rotated: someone is replaying an old token
+const reuseError = (record) => {
+  const error = new Error('Refresh token reuse detected');
+  error.reusedToken = record;
+  return error;
+};
+
+// Validate that a refresh token exists in DB and is valid. Throws an error carrying
+// `reusedToken` when the token was already rotated.
 const validateRefreshToken = async (token) => {
   try {
     // Verify signature/expiry first
     const decoded = verifyRefreshToken(token);
 
     // Ensure token exists in DB
-    const found = await RefreshToken.findOne({ token });
+    const found = await findRefreshToken(token);
     if (!found) throw new Error('Refresh token not found');
+    if (found.rotatedAt) throw reuseError(found);
 
     return decoded;
   } catch (error) {
     console.error('Refresh token validation error:', error.message || error);
+    if (error.reusedToken) throw error;
     throw new Error('Invalid or expired refresh token');
   }
 };
 
+// Replace a refresh token with its successor in the same session (token family).
+// The old token is kept, marked as rotated, so a later replay of it is recognized.
+// Device details are kept; the network details are updated to the refreshing request's.
+const rotateRefreshToken = async (oldToken, newToken, { ipAddress, userAgent } = {}) => {
+  try {
+    // Marking the old token is atomic, so two refreshes with the same token can't both win
+    const current = await RefreshToken.findOneAndUpdate(
+      { token: hashToken(oldToken), rotatedAt: null },
+      { rotatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!current) {
+      const found = await findRefreshToken(oldToken);
+      if (found) throw reuseError(found);
+      throw new Error('Refresh token not found');
+    }
+
+    return await storeRefreshToken(current.userId, newToken, {
+      sessionId: current.sessionId,
+      parentId: current._id,
+      deviceName: current.deviceName,
+      platform: current.platform,
+      ipAddress: ipAddress || current.ipAddress,
+      userAgent: userAgent || current.userAgent,
+      // Sessions from before sign-in times were recorded don't count as recent
+      authenticatedAt: current.authenticatedAt || new Date(0)
+    });
+  } catch (error) {
+    console.error('Error rotating refresh token:', error);
+    throw error;
+  }
+};
+
+// Revoke every token of a session (the whole token family)
+const revokeTokenFamily = async (sessionId) => {
+  try {
+    await RefreshToken.deleteMany({ sessionId });
+  } catch (error) {
+    console.error('Error revoking refresh token family:', error);
+    throw error;
+  }
+};
+
+// Logging out with a refresh token ends its whole session
 const removeRefreshToken = async (token) => {
   try {
-    await RefreshToken.deleteOne({ token });
+    const found = await findRefreshToken(token);
+    if (found) await revokeTokenFamily(found.sessionId);
   } catch (error) {
     console.error('Error removing refresh token:', error);
     throw error;
@@ -97,8 +267,12 @@ module.exports = {
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken
-  ,storeRefreshToken,
+  ,generateSessionId,
+  storeRefreshToken,
+  findRefreshToken,
   validateRefreshToken,
+  rotateRefreshToken,
+  revokeTokenFamily,
   removeRefreshToken,
   removeAllRefreshTokens
 };
\ No newline at end of file
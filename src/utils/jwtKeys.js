@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Signing keys per token type ('access', 'refresh'). Each type is configured with
+// JWT_<TYPE>_* variables:
+//   ALGORITHM            HS256 (default), HS384, HS512, RS256, RS384, RS512, ES256, PS256 or EdDSA
+//   SECRET               HMAC secret
+//   PRIVATE_KEY / PUBLIC_KEY   PEM keys for asymmetric algorithms (or *_FILE with a path)
+//   KEY_ID               kid header; derived from the key when not set
+// The key being rotated out is configured the same way with JWT_<TYPE>_PREVIOUS_* and is
+// accepted for verification only, until JWT_<TYPE>_PREVIOUS_KEY_EXPIRES_AT.
+//
+// Without any configuration, HMAC keys are derived from JWT_SECRET so access and refresh
+// tokens still never share a key.
+
+const TOKEN_TYPES = ['access', 'refresh'];
+const HMAC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256', 'PS384', 'PS512', 'EdDSA'];
+
+let cache = null;
+
+// Env value, or the contents of the file named by <name>_FILE. PEM keys may use "\n".
+const readSetting = (name) => {
+  if (process.env[name]) return process.env[name].replace(/\\n/g, '\n');
+  if (process.env[`${name}_FILE`]) return fs.readFileSync(process.env[`${name}_FILE`], 'utf8');
+  return null;
+};
+
+const deriveSecret = (type) => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error(`JWT_SECRET or JWT_${type.toUpperCase()}_SECRET must be set`);
+  }
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(`expensewise:${type}`).digest('hex');
+};
+
+const deriveKeyId = (material) => {
+  return crypto.createHash('sha256').update(material).digest('base64url').slice(0, 16);
+};
+
+// Load one key from JWT_<prefix>_* settings. Returns null when nothing is configured.
+const loadKey = (prefix, { fallbackSecret = null, defaultAlgorithm = 'HS256' } = {}) => {
+  const algorithm = process.env[`${prefix}_ALGORITHM`] || defaultAlgorithm;
+
+  if (HMAC_ALGORITHMS.includes(algorithm)) {
+    const secret = readSetting(`${prefix}_SECRET`) || (fallbackSecret && fallbackSecret());
+    if (!secret) return null;
+
+    return {
+      alg: algorithm,
+      kid: process.env[`${prefix}_KEY_ID`] || deriveKeyId(secret),
+      signingKey: secret,
+      verifyKey: secret
+    };
+  }
+
+  if (!ASYMMETRIC_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported JWT algorithm ${algorithm} in ${prefix}_ALGORITHM`);
+  }
+
+  const privatePem = readSetting(`${prefix}_PRIVATE_KEY`);
+  const publicPem = readSetting(`${prefix}_PUBLIC_KEY`);
+  if (!privatePem && !publicPem) return null;
+
+  const privateKey = privatePem ? crypto.createPrivateKey(privatePem) : null;
+  const publicKey = publicPem ? crypto.createPublicKey(publicPem) : crypto.createPublicKey(privateKey);
+  const publicDer = publicKey.export({ type: 'spki', format: 'der' });
+
+  return {
+    alg: algorithm,
+    kid: process.env[`${prefix}_KEY_ID`] || deriveKeyId(publicDer),
+    signingKey: privateKey,
+    verifyKey: publicKey
+  };
+};
+
+const loadTypeKeys = (type) => {
+  const prefix = `JWT_${type.toUpperCase()}`;
+
+  const current = loadKey(prefix, { fallbackSecret: () => deriveSecret(type) });
+  if (!current || !current.signingKey) {
+    throw new Error(`No signing key configured for ${type} tokens`);
+  }
+
+  const previous = loadKey(`${prefix}_PREVIOUS`, { defaultAlgorithm: current.alg });
+  if (previous) {
+    const expiresAt = process.env[`${prefix}_PREVIOUS_KEY_EXPIRES_AT`];
+    previous.notAfter = expiresAt ? new Date(expiresAt) : null;
+  }
+
+  return { current, previous };
+};
+
+const getKeys = (type) => {
+  if (!TOKEN_TYPES.includes(type)) {
+    throw new Error(`Unknown token type ${type}`);
+  }
+  if (!cache) cache = {};
+  if (!cache[type]) cache[type] = loadTypeKeys(type);
+  return cache[type];
+};
+
+// Key used to sign new tokens of a type
+const getSigningKey = (type) => getKeys(type).current;
+
+// Keys that may verify a token of a type with the given kid (any key when kid is missing).
+// The previous key only counts until its grace window ends.
+const getVerificationKeys = (type, kid) => {
+  const { current, previous } = getKeys(type);
+  const keys = [current];
+  if (previous && (!previous.notAfter || previous.notAfter > new Date())) {
+    keys.push(previous);
+  }
+  return kid ? keys.filter(key => key.kid === kid) : keys;
+};
+
+// Forget loaded keys, e.g. after the environment changed during a rotation
+const reloadKeys = () => {
+  cache = null;
+};
+
+module.exports = {
+  TOKEN_TYPES,
+  getSigningKey,
+  getVerificationKeys,
+  reloadKeys
+};
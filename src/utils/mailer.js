@@ -0,0 +1,59 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing email. Configure SMTP_HOST/SMTP_PORT to point at a real server or a local
+// catcher (e.g. MailHog on localhost:1025). Without SMTP_HOST messages are only logged.
+let transport = null;
+
+const createDefaultTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+    // Local test servers usually have no valid certificate
+    tls: process.env.SMTP_ALLOW_INSECURE === 'true' ? { rejectUnauthorized: false } : undefined
+  });
+};
+
+const getTransport = () => {
+  if (!transport) transport = createDefaultTransport();
+  return transport;
+};
+
+// Replace the transport (any object with a nodemailer-style sendMail)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send an email
+const sendMail = async ({ to, subject, text, html }) => {
+  try {
+    const info = await getTransport().sendMail({
+      from: process.env.MAIL_FROM || 'ExpenseWise <no-reply@expensewise.app>',
+      to,
+      subject,
+      text,
+      html
+    });
+
+    if (!process.env.SMTP_HOST) {
+      console.log(`Email to ${to} not sent (SMTP_HOST not configured): ${subject}`);
+    }
+
+    return info;
+  } catch (error) {
+    console.error('Error sending email:', error);
+    throw new Error('Failed to send email');
+  }
+};
+
+module.exports = {
+  sendMail,
+  setTransport
+};
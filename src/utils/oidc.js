@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// OpenID Connect client helpers: discovery, PKCE, the code exchange and ID token checks.
+// Issuer metadata and signing keys are cached; unknown key ids trigger a JWKS refresh
+// (providers rotate keys).
+
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const JWKS_TTL_MS = 60 * 60 * 1000;
+// Don't refetch JWKS more than once a minute for unknown key ids
+const JWKS_MIN_REFRESH_MS = 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...(options.headers || {}) },
+    signal: AbortSignal.timeout(10000)
+  });
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const reason = body && (body.error_description || body.error);
+    const error = new Error(`OIDC request to ${url} failed with ${response.status}${reason ? `: ${reason}` : ''}`);
+    error.oidcError = body && body.error;
+    throw error;
+  }
+  return body;
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// PKCE verifier and its S256 challenge
+const createPkcePair = () => {
+  const verifier = base64url(crypto.randomBytes(32));
+  const challenge = base64url(crypto.createHash('sha256').update(verifier).digest());
+  return { verifier, challenge };
+};
+
+// Issuer metadata from discovery; `overrides` (e.g. a configured jwks_uri) take precedence
+const getMetadata = async (provider) => {
+  const cached = metadataCache.get(provider.name);
+  if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+
+  const discoveryUrl = provider.discoveryUrl ||
+    `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+  const discovered = await fetchJson(discoveryUrl);
+
+  if (discovered.issuer !== provider.issuer) {
+    throw new Error(`Issuer mismatch in discovery for ${provider.name}: ${discovered.issuer}`);
+  }
+
+  const metadata = { ...discovered, ...provider.endpoints };
+  metadataCache.set(provider.name, { metadata, expiresAt: Date.now() + METADATA_TTL_MS });
+  return metadata;
+};
+
+const loadJwks = async (jwksUri) => {
+  const { keys = [] } = await fetchJson(jwksUri);
+  const entry = { keys, fetchedAt: Date.now() };
+  jwksCache.set(jwksUri, entry);
+  return entry;
+};
+
+// Public key for a kid, refreshing the key set once if the kid is unknown
+const getSigningKey = async (jwksUri, kid, alg) => {
+  let entry = jwksCache.get(jwksUri);
+  if (!entry || Date.now() - entry.fetchedAt > JWKS_TTL_MS) {
+    entry = await loadJwks(jwksUri);
+  }
+
+  const find = (keys) => keys.find(key =>
+    (key.use === undefined || key.use === 'sig') &&
+    (kid ? key.kid === kid : true) &&
+    (key.alg === undefined || key.alg === alg)
+  );
+
+  let jwk = find(entry.keys);
+  if (!jwk && Date.now() - entry.fetchedAt > JWKS_MIN_REFRESH_MS) {
+    entry = await loadJwks(jwksUri);
+    jwk = find(entry.keys);
+  }
+  if (!jwk) throw new Error('ID token signed with an unknown key');
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const buildAuthorizationUrl = (metadata, params) => {
+  const url = new URL(metadata.authorization_endpoint);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) url.searchParams.set(key, value);
+  });
+  return url.toString();
+};
+
+// Exchange an authorization code (with its PKCE verifier) for tokens
+const exchangeCode = async (provider, metadata, { code, redirectUri, codeVerifier }) => {
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+  if (provider.clientSecret) params.set('client_secret', provider.clientSecret);
+
+  return fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params.toString()
+  });
+};
+
+// Verify an ID token's signature (JWKS), issuer, audience, expiry and nonce; returns its claims
+const verifyIdToken = async (provider, metadata, idToken, { nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) throw new Error('Malformed ID token');
+
+  const { alg, kid } = decoded.header;
+  if (!ID_TOKEN_ALGORITHMS.includes(alg)) {
+    throw new Error(`Unsupported ID token algorithm ${alg}`);
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, kid, alg);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: [alg],
+    issuer: provider.issuer,
+    audience: provider.clientId,
+    clockTolerance: CLOCK_TOLERANCE_SECONDS
+  });
+
+  if (!claims.sub) throw new Error('ID token has no subject');
+  if (claims.nonce !== nonce) throw new Error('ID token nonce mismatch');
+
+  // With several audiences the token must have been issued to us
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+    throw new Error('ID token was issued to another client');
+  }
+
+  return claims;
+};
+
+// Forget cached metadata and keys, e.g. after provider settings changed
+const clearCache = () => {
+  metadataCache.clear();
+  jwksCache.clear();
+};
+
+module.exports = {
+  createPkcePair,
+  getMetadata,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  clearCache
+};
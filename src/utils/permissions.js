@@ -0,0 +1,36 @@
+// Roles and what they may do. Regular users only have access to their own data;
+// support and admin permissions cover the admin API.
+const ROLES = ['user', 'support', 'admin'];
+
+const SUPPORT_PERMISSIONS = [
+  'users:read',
+  'users:logout',
+  'users:reset-2fa',
+  'users:unlock'
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  support: SUPPORT_PERMISSIONS,
+  admin: [
+    ...SUPPORT_PERMISSIONS,
+    'users:disable',
+    'users:set-role',
+    'admin-actions:read',
+    'audit:read'
+  ]
+};
+
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+// Roles rank user < support < admin; staff can only manage accounts ranked below them
+const outranks = (role, otherRole) => ROLES.indexOf(role) > ROLES.indexOf(otherRole || 'user');
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  outranks
+};
@@ -0,0 +1,133 @@
+// Date helpers for recurring expenses and income.
+// Occurrences are always computed from the series anchor (the first date) so that
+// month-end dates don't drift: Jan 31 -> Feb 28 -> Mar 31, not Jan 31 -> Feb 28 -> Mar 28.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Safety net against runaway loops (e.g. a daily series with a 1990 anchor)
+const MAX_OCCURRENCES = 1000;
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Get the nth occurrence of a series starting at anchor (n = 0 is the anchor itself)
+const addInterval = (anchor, frequency, n) => {
+  const start = new Date(anchor);
+  const result = new Date(start);
+
+  switch (frequency) {
+    case 'daily':
+      result.setDate(start.getDate() + n);
+      break;
+    case 'weekly':
+      result.setDate(start.getDate() + n * 7);
+      break;
+    case 'monthly': {
+      const totalMonths = start.getMonth() + n;
+      const year = start.getFullYear() + Math.floor(totalMonths / 12);
+      const month = ((totalMonths % 12) + 12) % 12;
+      result.setFullYear(year, month, Math.min(start.getDate(), daysInMonth(year, month)));
+      break;
+    }
+    case 'yearly': {
+      const year = start.getFullYear() + n;
+      result.setFullYear(year, start.getMonth(), Math.min(start.getDate(), daysInMonth(year, start.getMonth())));
+      break;
+    }
+    default:
+      throw new Error(`Unsupported recurring frequency: ${frequency}`);
+  }
+
+  return result;
+};
+
+// Same calendar day check, used to match skipped dates and existing occurrences
+const isSameDay = (a, b) => {
+  const first = new Date(a);
+  const second = new Date(b);
+  return first.getFullYear() === second.getFullYear() &&
+    first.getMonth() === second.getMonth() &&
+    first.getDate() === second.getDate();
+};
+
+const dayKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+};
+
+// Rough index of the last occurrence on or before date, so long-running series
+// don't have to be walked from the anchor every time
+const estimateIndex = (anchor, frequency, date) => {
+  const start = new Date(anchor);
+  const target = new Date(date);
+  const DAY = 24 * 60 * 60 * 1000;
+
+  let estimate;
+  switch (frequency) {
+    case 'daily':
+      estimate = Math.floor((target - start) / DAY);
+      break;
+    case 'weekly':
+      estimate = Math.floor((target - start) / (7 * DAY));
+      break;
+    case 'monthly':
+      estimate = (target.getFullYear() - start.getFullYear()) * 12 + (target.getMonth() - start.getMonth());
+      break;
+    case 'yearly':
+      estimate = target.getFullYear() - start.getFullYear();
+      break;
+    default:
+      estimate = 0;
+  }
+
+  // Step back one to absorb DST shifts and month-end clamping
+  return Math.max(0, estimate - 1);
+};
+
+// List occurrence dates of a series within (after, until]
+// Options:
+//   after    - only dates strictly after this one (defaults to the anchor, so the anchor is excluded)
+//   until    - last date to include
+//   endDate  - series end date (recurringEndDate), inclusive
+//   skip     - dates to leave out (skipped occurrences)
+//   limit    - maximum number of dates to return
+const listOccurrences = (anchor, frequency, options = {}) => {
+  const {
+    after = anchor,
+    until = new Date(),
+    endDate = null,
+    skip = [],
+    limit = MAX_OCCURRENCES
+  } = options;
+
+  const afterTime = new Date(after).getTime();
+  let untilTime = new Date(until).getTime();
+  if (endDate) {
+    untilTime = Math.min(untilTime, new Date(endDate).getTime());
+  }
+
+  const skipped = new Set(skip.map(dayKey));
+  const dates = [];
+
+  const first = Math.max(1, estimateIndex(anchor, frequency, after));
+
+  for (let n = first; n < first + MAX_OCCURRENCES && dates.length < limit; n++) {
+    const occurrence = addInterval(anchor, frequency, n);
+    const time = occurrence.getTime();
+
+    if (time > untilTime) break;
+    if (time <= afterTime) continue;
+    if (skipped.has(dayKey(occurrence))) continue;
+
+    dates.push(occurrence);
+  }
+
+  return dates;
+};
+
+module.exports = {
+  FREQUENCIES,
+  addInterval,
+  isSameDay,
+  dayKey,
+  listOccurrences
+};
@@ -0,0 +1,35 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// Per-request context (who is acting and from where), available anywhere down the call
+// chain, including Mongoose hooks. Code running outside a request (jobs) has none.
+const storage = new AsyncLocalStorage();
+
+// Express middleware; mount after body parsing
+const requestContext = (req, res, next) => {
+  storage.run({
+    requestId: req.get('X-Request-Id') || crypto.randomUUID(),
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent') || null,
+    actorId: null,
+    actorType: null,
+    sessionId: null
+  }, next);
+};
+
+const getContext = () => storage.getStore() || null;
+
+// Called by authMiddleware once the caller is known
+const setActor = ({ actorId, actorType, sessionId = null }) => {
+  const context = storage.getStore();
+  if (!context) return;
+  context.actorId = actorId;
+  context.actorType = actorType;
+  context.sessionId = sessionId;
+};
+
+module.exports = {
+  requestContext,
+  getContext,
+  setActor
+};
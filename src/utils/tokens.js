@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Random token handed to the user (e.g. in an email link)
+const generateToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Tokens are stored as SHA-256 hashes so a database leak doesn't expose usable tokens
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = {
+  generateToken,
+  hashToken
+};
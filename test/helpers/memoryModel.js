@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+// Stands in for a Mongoose model's query methods with an in-memory collection, for the
+// filters and update operators the services use. Documents are plain objects.
+
+const isMissing = (value) => value === null || value === undefined;
+
+const same = (a, b) => {
+  if (isMissing(a) || isMissing(b)) return isMissing(a) && isMissing(b);
+  if (a instanceof Date || b instanceof Date) return new Date(a).getTime() === new Date(b).getTime();
+  return String(a) === String(b);
+};
+
+const compare = (a, b) => (a instanceof Date ? a.getTime() : a) - (b instanceof Date ? b.getTime() : b);
+
+const matchesCondition = (value, condition) => {
+  if (condition && typeof condition === 'object' && !(condition instanceof Date) &&
+    !mongoose.isValidObjectId(condition) && Object.keys(condition).some(key => key.startsWith('$'))) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$in': return operand.some(item => same(value, item));
+        case '$ne': return !same(value, operand);
+        case '$gt': return !isMissing(value) && compare(value, operand) > 0;
+        case '$gte': return !isMissing(value) && compare(value, operand) >= 0;
+        case '$lt': return !isMissing(value) && compare(value, operand) < 0;
+        case '$lte': return !isMissing(value) && compare(value, operand) <= 0;
+        default: throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  }
+  return same(value, condition);
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') return condition.some(branch => matches(doc, branch));
+  return matchesCondition(doc[field], condition);
+});
+
+const applyUpdate = (doc, update, isInsert) => {
+  const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+
+  Object.entries(operators).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([field, value]) => {
+      switch (operator) {
+        case '$set': doc[field] = value; break;
+        case '$setOnInsert': if (isInsert) doc[field] = value; break;
+        case '$inc': doc[field] = (doc[field] || 0) + value; break;
+        case '$push': doc[field] = [...(doc[field] || []), value]; break;
+        case '$max':
+          if (isMissing(doc[field]) || compare(value, doc[field]) > 0) doc[field] = value;
+          break;
+        default: throw new Error(`Unsupported update operator ${operator}`);
+      }
+    });
+  });
+  return doc;
+};
+
+// Thenable query with the chainable methods the services call
+const query = (run) => {
+  let sortSpec = null;
+  let limit = null;
+  const chain = {
+    sort: (spec) => { sortSpec = spec; return chain; },
+    limit: (count) => { limit = count; return chain; },
+    select: () => chain,
+    lean: () => chain,
+    session: () => chain,
+    then: (resolve, reject) => Promise.resolve().then(() => {
+      let result = run();
+      if (Array.isArray(result) && sortSpec) {
+        const [[field, direction]] = Object.entries(sortSpec);
+        result = [...result].sort((a, b) => compare(a[field], b[field]) * direction);
+      }
+      if (Array.isArray(result) && limit !== null) result = result.slice(0, limit);
+      return result;
+    }).then(resolve, reject)
+  };
+  return chain;
+};
+
+// Replace the query methods of `Model` for the duration of test `t`; returns the documents
+const useMemoryModel = (t, Model, docs = []) => {
+  const defaults = (data) => ({ ...new Model(data).toObject(), ...data });
+
+  t.mock.method(Model, 'find', (filter) => query(() => docs.filter(doc => matches(doc, filter))));
+  t.mock.method(Model, 'findOne', (filter) => query(() => docs.find(doc => matches(doc, filter)) || null));
+  t.mock.method(Model, 'findById', (id) => query(() => docs.find(doc => same(doc._id, id)) || null));
+  t.mock.method(Model, 'countDocuments', (filter) => query(() => docs.filter(doc => matches(doc, filter)).length));
+
+  t.mock.method(Model, 'create', async (data) => {
+    const doc = defaults(data);
+    docs.push(doc);
+    return doc;
+  });
+
+  t.mock.method(Model, 'findOneAndUpdate', (filter, update, options = {}) => query(() => {
+    let doc = docs.find(item => matches(item, filter));
+    if (!doc) {
+      if (!options.upsert) return null;
+      const seed = {};
+      Object.entries(filter).forEach(([field, value]) => {
+        if (!field.startsWith('$') && !(value && typeof value === 'object' && !mongoose.isValidObjectId(value))) {
+          seed[field] = value;
+        }
+      });
+      doc = applyUpdate(defaults(seed), update, true);
+      docs.push(doc);
+      return options.new ? doc : null;
+    }
+    const before = { ...doc };
+    applyUpdate(doc, update, false);
+    return options.new ? doc : before;
+  }));
+
+  t.mock.method(Model, 'updateOne', (filter, update) => query(() => {
+    const doc = docs.find(item => matches(item, filter));
+    if (doc) applyUpdate(doc, update, false);
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  }));
+
+  t.mock.method(Model, 'updateMany', (filter, update) => query(() => {
+    const matched = docs.filter(item => matches(item, filter));
+    matched.forEach(doc => applyUpdate(doc, update, false));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  }));
+
+  const remove = (filter, many) => {
+    let deletedCount = 0;
+    for (let index = docs.length - 1; index >= 0; index--) {
+      if (matches(docs[index], filter) && (many || deletedCount === 0)) {
+        docs.splice(index, 1);
+        deletedCount += 1;
+      }
+    }
+    return { deletedCount };
+  };
+
+  t.mock.method(Model, 'deleteOne', (filter) => query(() => remove(filter, false)));
+  t.mock.method(Model, 'deleteMany', (filter) => query(() => remove(filter, true)));
+  t.mock.method(Model, 'findOneAndDelete', (filter) => query(() => {
+    const doc = docs.find(item => matches(item, filter)) || null;
+    if (doc) remove({ _id: doc._id }, false);
+    return doc;
+  }));
+
+  return docs;
+};
+
+module.exports = { useMemoryModel };
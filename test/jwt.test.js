@@ -0,0 +1,63 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { reloadKeys } = require('../src/utils/jwtKeys');
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyAccessToken,
+  verifyRefreshToken
+} = require('../src/utils/jwt');
+
+const SETTINGS = ['JWT_SECRET', 'JWT_ACCESS_SECRET', 'JWT_REFRESH_SECRET', 'JWT_ACCESS_KEY_ID', 'JWT_REFRESH_KEY_ID'];
+const payload = { userId: '64b7f0c2a1e4c3b2a1d0e9f8', email: 'owner@example.com' };
+
+let saved;
+
+beforeEach(() => {
+  saved = Object.fromEntries(SETTINGS.map(name => [name, process.env[name]]));
+  SETTINGS.forEach(name => delete process.env[name]);
+  process.env.JWT_SECRET = 'test-secret';
+  reloadKeys();
+});
+
+afterEach(() => {
+  SETTINGS.forEach(name => {
+    if (saved[name] === undefined) delete process.env[name];
+    else process.env[name] = saved[name];
+  });
+  reloadKeys();
+});
+
+// Both token types signed with one key, so only the typ claim tells them apart
+const shareOneKey = () => {
+  process.env.JWT_ACCESS_SECRET = 'shared-secret';
+  process.env.JWT_REFRESH_SECRET = 'shared-secret';
+  process.env.JWT_ACCESS_KEY_ID = 'shared';
+  process.env.JWT_REFRESH_KEY_ID = 'shared';
+  reloadKeys();
+};
+
+test('each token type verifies as itself', () => {
+  assert.strictEqual(verifyAccessToken(generateAccessToken(payload)).typ, 'access');
+  assert.strictEqual(verifyRefreshToken(generateRefreshToken({ ...payload, sid: 'session-1' })).typ, 'refresh');
+});
+
+test('a refresh token is not accepted as an access token', () => {
+  shareOneKey();
+  const refreshToken = generateRefreshToken({ ...payload, sid: 'session-1' });
+
+  assert.throws(() => verifyAccessToken(refreshToken), { name: 'JsonWebTokenError', message: /type invalid/ });
+});
+
+test('an access token is not accepted as a refresh token', () => {
+  shareOneKey();
+  const accessToken = generateAccessToken(payload);
+
+  assert.throws(() => verifyRefreshToken(accessToken), /Invalid or expired refresh token/);
+});
+
+test('keys derived from JWT_SECRET differ per token type', () => {
+  const refreshToken = generateRefreshToken({ ...payload, sid: 'session-1' });
+
+  assert.throws(() => verifyAccessToken(refreshToken), { name: 'JsonWebTokenError' });
+});
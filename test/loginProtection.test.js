@@ -0,0 +1,103 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { LoginAttempt, TwoFactorChallenge, User } = require('../src/models');
+const loginProtectionService = require('../src/services/loginProtectionService');
+const twoFactorService = require('../src/services/twoFactorService');
+const auditService = require('../src/services/auditService');
+const userService = require('../src/services/userService');
+const authController = require('../src/controllers/authController');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const IP = '203.0.113.7';
+const email = 'owner@example.com';
+
+let user;
+let attempts;
+
+const fakeResponse = () => ({
+  statusCode: 200,
+  headers: {},
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  set(name, value) {
+    this.headers[name] = value;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const login = async () => {
+  const res = fakeResponse();
+  await authController.login({ body: { email, password: 'right password' }, ip: IP, get: () => 'test' }, res);
+  return res;
+};
+
+const wrongCode = async () => {
+  const { challengeToken } = await twoFactorService.createChallenge(user._id, { ipAddress: IP });
+  return twoFactorService.completeChallenge(challengeToken, { code: '000000' }, { ip: IP });
+};
+
+beforeEach((t) => {
+  // Lockouts only; the progressive delay is covered by its own settings
+  process.env.LOGIN_DELAY_AFTER_FAILURES = '100';
+  delete process.env.LOGIN_MAX_ACCOUNT_FAILURES;
+
+  user = { _id: new mongoose.Types.ObjectId(), email, name: 'Owner', twoFactor: { enabled: true } };
+  attempts = useMemoryModel(t, LoginAttempt);
+  useMemoryModel(t, TwoFactorChallenge);
+  useMemoryModel(t, User, [user]);
+
+  t.mock.method(loginProtectionService, 'notifyLockout', async () => {});
+  t.mock.method(auditService, 'record', async () => {});
+  t.mock.method(twoFactorService, 'verifySecondFactor', async () => null);
+  t.mock.method(userService, 'authenticateUser', async () => ({
+    id: String(user._id),
+    email,
+    name: user.name,
+    twoFactorEnabled: true
+  }));
+});
+
+test('an account is locked after the maximum number of failed passwords', async () => {
+  for (let i = 0; i < 4; i++) {
+    await loginProtectionService.recordFailure({ email, ip: IP });
+    await loginProtectionService.check({ email, ip: IP });
+  }
+
+  await loginProtectionService.recordFailure({ email, ip: IP });
+  await assert.rejects(loginProtectionService.check({ email, ip: IP }), error => error.retryAfter > 0);
+});
+
+test('wrong two-factor codes lock the account, across challenges', async () => {
+  for (let i = 0; i < 4; i++) {
+    await assert.rejects(wrongCode(), /Invalid two-factor code/);
+  }
+  await assert.rejects(wrongCode(), /Invalid two-factor code/);
+
+  // The fifth failure locked the account: a new challenge gets no more guesses
+  await assert.rejects(wrongCode(), error => error.retryAfter > 0);
+  assert.strictEqual(twoFactorService.verifySecondFactor.mock.callCount(), 5);
+
+  const res = await login();
+  assert.strictEqual(res.statusCode, 429);
+});
+
+test('a correct password with two-factor pending does not clear failures', async () => {
+  for (let i = 0; i < 4; i++) {
+    await assert.rejects(wrongCode(), /Invalid two-factor code/);
+  }
+
+  const res = await login();
+  assert.strictEqual(res.body.data.twoFactorRequired, true);
+  assert.strictEqual(attempts.find(entry => entry.key === `account:${email}`).failures, 4);
+
+  await assert.rejects(wrongCode(), /Invalid two-factor code/);
+  await assert.rejects(wrongCode(), error => error.retryAfter > 0);
+});
@@ -0,0 +1,88 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { RateLimitCounter } = require('../src/models');
+const { createRateLimiters } = require('../src/middleware/rateLimit');
+
+let counts;
+let limiters;
+
+// A request as a limiter mounted at `mountPath` (see server.js) sees it
+const request = (mountPath, url, method = 'POST') => ({
+  method,
+  ip: '192.0.2.10',
+  baseUrl: mountPath,
+  path: url.slice(mountPath.length),
+  header: () => undefined
+});
+
+const run = async (limiter, req) => {
+  const res = {
+    statusCode: 200,
+    locals: {},
+    set() { return this; },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json() { return this; }
+  };
+  let nextCalled = false;
+  await limiter(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+};
+
+// Limiter names that counted the request
+const countedBy = () => [...counts.keys()].map(key => key.split(':')[0]);
+
+beforeEach((t) => {
+  process.env.RATE_LIMIT_AUTH_MAX = '2';
+  counts = new Map();
+  t.mock.method(RateLimitCounter, 'hit', async (key) => {
+    counts.set(key, (counts.get(key) || 0) + 1);
+    return counts.get(key);
+  });
+  // The limiters stand aside while the database is down
+  mongoose.connection.readyState = 1;
+  limiters = createRateLimiters();
+});
+
+afterEach(() => {
+  mongoose.connection.readyState = 0;
+  delete process.env.RATE_LIMIT_AUTH_MAX;
+});
+
+test('the auth limit counts credential endpoints', async () => {
+  for (const url of ['/api/auth/login', '/api/auth/2fa/verify', '/api/auth/oidc/google/callback', '/api/auth/reset-password/']) {
+    counts.clear();
+    await run(limiters.auth, request('/api/auth', url));
+    assert.deepStrictEqual(countedBy(), ['auth'], url);
+  }
+});
+
+test('the auth limit rejects a client over its budget', async () => {
+  await run(limiters.auth, request('/api/auth', '/api/auth/login'));
+  await run(limiters.auth, request('/api/auth', '/api/auth/login'));
+
+  const { res, nextCalled } = await run(limiters.auth, request('/api/auth', '/api/auth/login'));
+  assert.strictEqual(nextCalled, false);
+  assert.strictEqual(res.statusCode, 429);
+});
+
+test('other auth endpoints are not counted by the auth limit', async () => {
+  for (const url of ['/api/auth/profile', '/api/auth/refresh', '/api/auth/sessions', '/api/auth/login/extra', '/api/auth/oidc/google/start']) {
+    const { nextCalled } = await run(limiters.auth, request('/api/auth', url));
+    assert.strictEqual(nextCalled, true, url);
+  }
+  assert.deepStrictEqual(countedBy(), []);
+});
+
+test('credential endpoints are not counted twice by the read and write limits', async () => {
+  await run(limiters.read, request('/api', '/api/auth/login'));
+  await run(limiters.write, request('/api', '/api/auth/login'));
+  assert.deepStrictEqual(countedBy(), []);
+
+  await run(limiters.read, request('/api', '/api/auth/profile', 'GET'));
+  await run(limiters.write, request('/api', '/api/auth/profile', 'PUT'));
+  assert.deepStrictEqual(countedBy().sort(), ['read', 'write']);
+});
@@ -0,0 +1,65 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { Expense } = require('../src/models');
+const recurringExpenseService = require('../src/services/recurringExpenseService');
+
+const userId = new mongoose.Types.ObjectId();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let parent;
+let occurrence;
+
+const expense = (data) => Expense.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  userId,
+  categoryId: new mongoose.Types.ObjectId(),
+  amount: 20,
+  description: 'Gym',
+  version: 1,
+  ...data
+});
+
+beforeEach((t) => {
+  // A monthly series that ended last week
+  parent = expense({
+    date: new Date(Date.now() - 90 * DAY_MS),
+    isRecurring: true,
+    recurringFrequency: 'monthly',
+    recurringEndDate: new Date(Date.now() - 7 * DAY_MS)
+  });
+  occurrence = expense({ date: new Date(Date.now() - 30 * DAY_MS), recurringParentId: parent._id });
+
+  t.mock.method(recurringExpenseService, 'getSeriesRoot', async (owner, id) => ({
+    expense: String(id) === String(parent._id) ? parent : occurrence,
+    parent
+  }));
+  // Validates like Mongoose's save does before writing; there's no database to write to
+  t.mock.method(Expense.prototype, 'save', async function(options = {}) {
+    if (options.validateBeforeSave !== false) await this.validate();
+    return this;
+  });
+  t.mock.method(Expense, 'find', () => ({ sort: () => ({ limit: async () => [] }) }));
+  t.mock.method(Expense, 'updateMany', async () => ({}));
+  t.mock.method(Expense, 'updateOne', async () => ({}));
+});
+
+test('an ended series can still be edited as a whole', async () => {
+  const updated = await recurringExpenseService.updateThisAndFuture(userId, parent._id, { amount: 25 });
+  assert.strictEqual(updated.amount, 25);
+});
+
+test('an ended series can be split at a later occurrence', async () => {
+  const root = await recurringExpenseService.updateThisAndFuture(userId, occurrence._id, { amount: 25 });
+  assert.strictEqual(root.amount, 25);
+  assert.strictEqual(root.recurringEndDate.getTime(), parent.recurringEndDate.getTime());
+});
+
+test('a new end date in the past is still rejected', async () => {
+  await assert.rejects(
+    recurringExpenseService.updateThisAndFuture(userId, parent._id, {
+      recurringEndDate: new Date(Date.now() - DAY_MS)
+    }),
+    { name: 'ValidationError' }
+  );
+});
@@ -0,0 +1,81 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { RefreshToken, User } = require('../src/models');
+const { generateRefreshToken, storeRefreshToken } = require('../src/utils/jwt');
+const userService = require('../src/services/userService');
+const auditService = require('../src/services/auditService');
+const notificationService = require('../src/services/notificationService');
+const authController = require('../src/controllers/authController');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+let user;
+let tokens;
+
+const fakeResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const refresh = async (refreshToken) => {
+  const res = fakeResponse();
+  await authController.refreshToken({ body: { refreshToken }, ip: '198.51.100.4', get: () => 'test' }, res);
+  return res;
+};
+
+const signIn = async (sessionId) => {
+  const token = generateRefreshToken({ userId: String(user._id), email: user.email, sid: sessionId });
+  await storeRefreshToken(user._id, token, { sessionId });
+  return token;
+};
+
+beforeEach((t) => {
+  user = { _id: new mongoose.Types.ObjectId(), email: 'owner@example.com', name: 'Owner', isEmailVerified: true };
+  user.id = String(user._id);
+
+  tokens = useMemoryModel(t, RefreshToken);
+  useMemoryModel(t, User, [user]);
+  t.mock.method(userService, 'getUserById', async () => user);
+  t.mock.method(auditService, 'record', async () => {});
+  t.mock.method(notificationService, 'notify', async () => {});
+});
+
+test('a refresh token is rotated within its session', async () => {
+  const first = await signIn('session-1');
+
+  const res = await refresh(first);
+  assert.strictEqual(res.statusCode, 200);
+  assert.notStrictEqual(res.body.data.tokens.refreshToken, first);
+  assert.strictEqual(tokens.length, 2);
+  assert.ok(tokens.every(record => record.sessionId === 'session-1'));
+});
+
+test('reusing a rotated refresh token revokes its whole family', async () => {
+  const first = await signIn('session-1');
+  const other = await signIn('session-2');
+
+  const rotated = await refresh(first);
+  const second = rotated.body.data.tokens.refreshToken;
+
+  const replay = await refresh(first);
+  assert.strictEqual(replay.statusCode, 401);
+  assert.ok(tokens.every(record => record.sessionId !== 'session-1'));
+  assert.strictEqual(user.securityFlags[0].type, 'refresh_token_reuse');
+
+  // The legitimate holder of the newest token is signed out too
+  assert.strictEqual((await refresh(second)).statusCode, 401);
+
+  // Other sessions keep working
+  assert.strictEqual((await refresh(other)).statusCode, 200);
+});
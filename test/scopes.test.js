@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { requireScope, rejectPersonalAccessTokens } = require('../src/middleware/scopes');
+
+const run = (middleware, req) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let nextCalled = false;
+  middleware(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+};
+
+test('a personal access token without the scope gets 403', () => {
+  const { res, nextCalled } = run(requireScope('write:expenses'), { tokenScopes: ['read:expenses'] });
+
+  assert.strictEqual(nextCalled, false);
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(res.body.code, 'INSUFFICIENT_SCOPE');
+  assert.strictEqual(res.body.requiredScope, 'write:expenses');
+});
+
+test('a personal access token with the scope passes', () => {
+  const { nextCalled } = run(requireScope('write:expenses'), { tokenScopes: ['read:expenses', 'write:expenses'] });
+  assert.strictEqual(nextCalled, true);
+});
+
+test('a login has no scope limits', () => {
+  const { nextCalled } = run(requireScope('write:expenses'), { tokenScopes: null });
+  assert.strictEqual(nextCalled, true);
+});
+
+test('account security endpoints reject personal access tokens', () => {
+  const withToken = run(rejectPersonalAccessTokens, { tokenScopes: ['read:expenses'] });
+  assert.strictEqual(withToken.nextCalled, false);
+  assert.strictEqual(withToken.res.statusCode, 403);
+  assert.strictEqual(withToken.res.body.code, 'LOGIN_REQUIRED');
+
+  assert.strictEqual(run(rejectPersonalAccessTokens, {}).nextCalled, true);
+});
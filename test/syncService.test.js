@@ -0,0 +1,105 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { Expense, Income, Category, Allocation, SyncTombstone } = require('../src/models');
+const syncService = require('../src/services/syncService');
+const incomeAllocationService = require('../src/services/incomeAllocationService');
+
+const userId = new mongoose.Types.ObjectId();
+const SETTLED = new Date(Date.now() - 5 * 60 * 1000);
+
+// Committed (visible) rows per collection, queried the way pull does
+let collections;
+
+const find = (name) => (filter) => {
+  const seq = filter.syncSeq;
+  let rows = collections[name]
+    .filter(row => String(row.userId) === String(filter.userId))
+    .filter(row => (typeof seq === 'object' ? row.syncSeq > seq.$gt : row.syncSeq === seq))
+    .sort((a, b) => a.syncSeq - b.syncSeq);
+
+  const query = {
+    sort: () => query,
+    limit: (count) => {
+      rows = rows.slice(0, count);
+      return query;
+    },
+    then: (resolve, reject) => Promise.resolve(rows).then(resolve, reject)
+  };
+  return query;
+};
+
+const expense = (syncSeq, syncSeqAt) => ({ _id: new mongoose.Types.ObjectId(), userId, syncSeq, syncSeqAt });
+
+beforeEach((t) => {
+  collections = { expenses: [], income: [], categories: [], allocations: [], tombstones: [] };
+  t.mock.method(Expense, 'find', find('expenses'));
+  t.mock.method(Income, 'find', find('income'));
+  t.mock.method(Category, 'find', find('categories'));
+  t.mock.method(Allocation, 'find', find('allocations'));
+  t.mock.method(SyncTombstone, 'find', find('tombstones'));
+});
+
+test('a write that commits after a later one is still pulled', async () => {
+  // Two writes take seq 1 and 2; the second commits first
+  const first = expense(1, new Date());
+  const second = expense(2, new Date());
+  collections.expenses.push(second);
+
+  const before = await syncService.pull(userId, { since: 0 });
+  assert.deepStrictEqual(before.changes.expenses.map(doc => doc.syncSeq), [2]);
+  assert.strictEqual(before.cursor, 0);
+
+  collections.expenses.push(first);
+
+  const after = await syncService.pull(userId, { since: before.cursor });
+  assert.deepStrictEqual(after.changes.expenses.map(doc => doc.syncSeq), [1, 2]);
+});
+
+test('the cursor moves past settled changes only', async () => {
+  collections.expenses.push(expense(1, SETTLED), expense(2, SETTLED), expense(3, new Date()));
+  collections.tombstones.push({ userId, entity: 'income', entityId: new mongoose.Types.ObjectId(), syncSeq: 4, syncSeqAt: new Date() });
+
+  const result = await syncService.pull(userId, { since: 0 });
+  assert.strictEqual(result.cursor, 2);
+  assert.strictEqual(result.changes.expenses.length, 3);
+  assert.strictEqual(result.deleted.length, 1);
+});
+
+test('changes stamped before syncSeqAt existed count as settled', async () => {
+  collections.expenses.push(expense(5, undefined));
+
+  const result = await syncService.pull(userId, { since: 0 });
+  assert.strictEqual(result.cursor, 5);
+});
+
+test('a full page of unsettled changes stops paging', async () => {
+  collections.expenses.push(expense(1, new Date()), expense(2, new Date()), expense(3, new Date()));
+
+  const result = await syncService.pull(userId, { since: 0, limit: 2 });
+  assert.strictEqual(result.cursor, 0);
+  assert.strictEqual(result.hasMore, false);
+});
+
+test('income pushed through sync keeps the allocation ledger in step', async (t) => {
+  const allocate = t.mock.method(incomeAllocationService, 'allocateIncome', async () => []);
+  const reallocate = t.mock.method(incomeAllocationService, 'reallocateIfAllocated', async () => []);
+  const remove = t.mock.method(incomeAllocationService, 'removeForIncome', async () => {});
+  t.mock.method(incomeAllocationService, 'shouldAutoAllocate', async () => true);
+  t.mock.method(Income.prototype, 'save', async function() { return this; });
+
+  const income = new Income({ userId, source: 'Salary', amount: 1000, date: new Date() });
+  t.mock.method(syncService, 'findTarget', async (owner, entity, { api_id }) => (api_id === 'new' ? null : income));
+  t.mock.method(Income, 'findOneAndDelete', async () => income);
+
+  const results = await syncService.push(userId, [
+    { clientId: 'm1', entity: 'income', op: 'create', api_id: 'new', data: { source: 'Salary', amount: 1000, date: new Date() } },
+    { clientId: 'm2', entity: 'income', op: 'update', id: String(income._id), data: { amount: 1200 } },
+    { clientId: 'm3', entity: 'income', op: 'delete', id: String(income._id) }
+  ]);
+
+  assert.deepStrictEqual(results.results.map(result => result.status), ['applied', 'applied', 'applied']);
+  assert.strictEqual(allocate.mock.callCount(), 1);
+  assert.strictEqual(reallocate.mock.calls[0].arguments[0].amount, 1200);
+  assert.strictEqual(String(remove.mock.calls[0].arguments[0]), String(income._id));
+});